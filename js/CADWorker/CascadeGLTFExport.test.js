@@ -0,0 +1,46 @@
+import * as THREE from "three";
+import { exportGLTF } from "../MainPage/CascadeGLTFExport";
+import { TextDecoder } from "util";
+
+/** Returns a `mainObject` like `combineAndRenderShapes` renders: two CAD faces of one
+ * triangle each, the second in a `Color()`ed material (then the Outliner's selection). */
+function renderedObject() {
+  let geometry = new THREE.Geometry();
+  geometry.vertices = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(1, 1, 0)];
+  geometry.faces = [[0, 1, 2], [1, 3, 2]].map(([a, b, c], index) => {
+    let face = new THREE.Face3(a, b, c, new THREE.Vector3(0, 0, 1), new THREE.Color(index, index, 0), index);
+    face.baseMaterialIndex = index;
+    return face;
+  });
+  let colored = new THREE.MeshStandardMaterial();
+  colored.name = "Red";
+  colored.userData.appearance = { color: "#ff0000" };
+  let model = new THREE.Mesh(geometry, [new THREE.MeshStandardMaterial(), colored, new THREE.MeshBasicMaterial()]);
+  model.name = "Model Faces";
+  let mainObject = new THREE.Group();
+  mainObject.add(model);
+  return mainObject;
+}
+
+test("writes a GLB with its header and JSON chunk", async () => {
+  let file = await exportGLTF(renderedObject(), { binary: true });
+  expect(file.filename).toBe("CascadeStudioPart.glb");
+  let view = new DataView(file.content);
+  expect(view.getUint32(0, true)).toBe(0x46546C67); // "glTF"
+  expect(view.getUint32(4, true)).toBe(2);
+  expect(view.getUint32(8, true)).toBe(file.content.byteLength);
+  expect(view.getUint32(16, true)).toBe(0x4E4F534A); // "JSON"
+  let json = JSON.parse(new TextDecoder().decode(new Uint8Array(file.content, 20, view.getUint32(12, true))));
+  expect(json.asset.version).toBe("2.0");
+  expect(json.meshes.length).toBe(1);
+});
+
+test("gives each material its own primitive", async () => {
+  let json = JSON.parse((await exportGLTF(renderedObject(), {
+    sceneTree: [{ name: "Plate", faces: [0, 2], children: [] }] })).content);
+  let plate = json.nodes.find((node) => node.name === "Plate");
+  expect(plate.extras.faceIndices).toEqual([0, 1]);
+  let primitives = json.meshes[plate.mesh].primitives;
+  expect(primitives.length).toBe(2);
+  expect(primitives.map((primitive) => json.materials[primitive.material].name)).toEqual(["Faces", "Red"]);
+});
@@ -0,0 +1,287 @@
+// Call-Site Instrumentation
+// Before the user's code is evaluated, every call to a Standard Library function is
+// rewritten from `Box(1, 2, 3)` to `__callSite(7, Box)(1, 2, 3)`, where 7 indexes the
+// call's original source range.  This lets ops (and Transform gizmos and errors) know
+// exactly where they were called from without scraping `Error().stack`, which differs
+// between browsers.  Only the tokens are scanned; the rest of the code is untouched,
+// so line numbers are preserved (columns are mapped back by `toOriginalColumn()`).
+
+const regexPrecedingKeywords = ["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"];
+
+/** This function rewrites the calls to `functionNames` in `code` to go through `__callSite()`.
+ * Returns `{ code, callSites, insertions }`, where `callSites[index]` is the
+ * `{ name, line, column, endLine, endColumn }` (1-based, end exclusive) of each call. */
+export function instrumentCode(code, functionNames) {
+  let names = new Set(functionNames);
+  let tokens = tokenize(code);
+  let lineStarts = [0];
+  for (let i = 0; i < code.length; i++) { if (code[i] === "\n") { lineStarts.push(i + 1); } }
+  let toLineAndColumn = (offset) => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > offset) { line--; }
+    return [line + 1, offset - lineStarts[line] + 1];
+  };
+
+  let callSites = [], edits = [], enclosing = enclosingBrackets(tokens);
+  for (let t = 0; t < tokens.length; t++) {
+    let token = tokens[t], previous = tokens[t - 1], next = tokens[t + 1];
+    if (token.type !== "name" || !names.has(token.value)) { continue; }
+    if (!next || next.value !== "(") { continue; }
+    // Skip member calls (`sketch.Circle()`, `sketch?.Circle()`), constructors (`new Sketch()`), and declarations
+    if (previous && (previous.value === "." || previous.value === "new" || previous.value === "function")) { continue; }
+
+    let closing = findClosingParenthesis(tokens, t + 1);
+    // Skip method definitions (`{ Box() { ... } }`, `class A { Circle(r) { ... } }`)
+    if ((enclosing[t] === "object" || enclosing[t] === "class") &&
+        closing >= 0 && tokens[closing + 1] && tokens[closing + 1].value === "{") { continue; }
+    let end = closing >= 0 ? tokens[closing].end : next.end;
+    let [line, column] = toLineAndColumn(token.start);
+    let [endLine, endColumn] = toLineAndColumn(end);
+    edits.push({ start: token.start, end: token.end, index: callSites.length, name: token.value });
+    callSites.push({ name: token.value, line: line, column: column, endLine: endLine, endColumn: endColumn });
+  }
+
+  // Apply the edits, remembering where (in the instrumented code) text was inserted
+  let instrumented = "", last = 0, insertions = {};
+  let recordInsertion = (length) => {
+    let [line, column] = toLineAndColumn(last);
+    let lineInsertions = insertions[line] = insertions[line] || [];
+    let shift = lineInsertions.reduce((total, insertion) => total + insertion.length, 0);
+    lineInsertions.push({ column: column + shift, length: length });
+  };
+  edits.forEach((edit) => {
+    let prefix = "__callSite(" + edit.index + ", ";
+    instrumented += code.slice(last, edit.start);
+    last = edit.start;
+    recordInsertion(prefix.length);
+    instrumented += prefix + edit.name;
+    last = edit.end;
+    recordInsertion(1);
+    instrumented += ")";
+  });
+  instrumented += code.slice(last);
+
+  return { code: instrumented, callSites: callSites, insertions: insertions };
+}
+
+/** Maps a `column` on `line` of the instrumented code back to the original code. */
+export function toOriginalColumn(instrumentation, line, column) {
+  let original = column;
+  (instrumentation.insertions[line] || []).forEach((insertion) => {
+    if (insertion.column < column) { original -= Math.min(insertion.length, column - insertion.column); }
+  });
+  return original;
+}
+
+const continuingPunctuation = ".,=+-*/%&|^!~<>?:([{";
+const namesContinuingAfter  = ["new", "typeof", "void", "delete", "in", "of", "instanceof", "let", "const", "var", "else", "do"];
+const namesContinuingBefore = ["else", "catch", "finally", "in", "of", "instanceof"];
+
+/** This function splits `code` into its top-level statements, returning the
+ * `{ start, end, tokens }` of each.  A statement ends at a top-level ";" or "}",
+ * or at a line break where the code on neither side continues the expression
+ * (a rough version of automatic semicolon insertion). */
+export function splitStatements(code) {
+  let tokens = tokenize(code), statements = [], current = [], depth = 0;
+  let continues = (token, names) => token.type === "punctuation" ?
+    continuingPunctuation.includes(token.value) : (token.type === "name" && names.includes(token.value));
+  for (let t = 0; t < tokens.length; t++) {
+    let token = tokens[t], next = tokens[t + 1];
+    if (token.type === "punctuation" && "([{".includes(token.value)) { depth++; }
+    if (token.type === "punctuation" && ")]}".includes(token.value)) { depth = Math.max(0, depth - 1); }
+    current.push(token);
+    if (depth > 0 || (next && next.value === ";")) { continue; }
+    let ends = !next || token.value === ";" ||
+      (token.value === "}" && !continues(next, namesContinuingBefore)) ||
+      (code.slice(token.end, next.start).includes("\n") &&
+        !continues(token, namesContinuingAfter) && !continues(next, namesContinuingBefore) && !")]".includes(next.value));
+    if (ends) {
+      statements.push({ start: current[0].start, end: token.end, tokens: current });
+      current = [];
+    }
+  }
+  return statements;
+}
+
+/** Names that aren't variables shared between statements. */
+const ignoredNames = new Set([
+  "let", "const", "var", "function", "return", "if", "else", "for", "while", "do", "break", "continue",
+  "new", "typeof", "instanceof", "in", "of", "this", "true", "false", "null", "undefined", "NaN", "Infinity",
+  "switch", "case", "default", "try", "catch", "finally", "throw", "class", "extends", "async", "await",
+  "Math", "JSON", "Array", "Object", "Number", "String", "Boolean", "console", "__callSite"]);
+/** Names whose values can change without the code or GUIState changing. */
+const volatileNames = new Set([
+  "sceneShapes", "externalShapes", "Import", "RemoveFromSceneShapes", "remainingGlobals", "random", "Date", "eval"]);
+
+/** This function groups the top-level statements of `code` that mention the same variables,
+ * so that no value can flow between two groups (except through the `volatileNames`).
+ * Returns `{ statements, statementGroups, siteStatements, groupMentions }`, where
+ * `statementGroups[statement]` and `siteStatements[callSite]` are indices and
+ * `groupMentions[group]` is the Set of `volatileNames` mentioned by that group. */
+export function groupStatements(code, callSites) {
+  let statements = splitStatements(code);
+  let lineStarts = [0];
+  for (let i = 0; i < code.length; i++) { if (code[i] === "\n") { lineStarts.push(i + 1); } }
+  let siteStatements = callSites.map((site) => {
+    let offset = lineStarts[site.line - 1] + site.column - 1;
+    return statements.findIndex((statement) => statement.start <= offset && offset < statement.end);
+  });
+
+  // Union-Find over the statements, joining the ones that mention the same variable
+  let parents = statements.map((statement, index) => index);
+  let find = (index) => parents[index] === index ? index : (parents[index] = find(parents[index]));
+  let libraryNames = new Set(callSites.map((site) => site.name));
+  let firstMention = new Map(); // variable name -> index of the first statement mentioning it
+  statements.forEach((statement, index) => {
+    statement.tokens.forEach((token, t) => {
+      let previous = statement.tokens[t - 1];
+      if (token.type !== "name" || ignoredNames.has(token.value) || libraryNames.has(token.value) ||
+          (previous && previous.value === ".")) { return; }
+      if (firstMention.has(token.value)) {
+        parents[find(index)] = find(firstMention.get(token.value));
+      } else {
+        firstMention.set(token.value, index);
+      }
+    });
+  });
+
+  let groups = new Map(), groupMentions = [];
+  let statementGroups = statements.map((statement, index) => {
+    if (!groups.has(find(index))) { groups.set(find(index), groups.size); groupMentions.push(new Set()); }
+    let group = groups.get(find(index));
+    statement.tokens.forEach((token) => {
+      if (token.type === "name" && volatileNames.has(token.value)) { groupMentions[group].add(token.value); }
+    });
+    return group;
+  });
+  return { statements: statements, statementGroups: statementGroups, siteStatements: siteStatements, groupMentions: groupMentions };
+}
+
+const objectPrecedingNames = ["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "yield", "await"];
+
+/** This function returns what each of the `tokens` is directly inside of: "paren", "bracket",
+ * "object" (literal), "class" (body), "block", or null at the top level.  Whether a "{" opens
+ * an object literal or a block is judged from the token before it, as a parser would. */
+function enclosingBrackets(tokens) {
+  let stack = [], enclosing = [], classPending = false;
+  tokens.forEach((token, t) => {
+    let inside = stack.length > 0 ? stack[stack.length - 1] : null;
+    enclosing.push(inside);
+    if (token.type === "name" && token.value === "class") { classPending = true; }
+    if (token.type !== "punctuation") { return; }
+    if (token.value === "(") { stack.push("paren"); }
+    if (token.value === "[") { stack.push("bracket"); }
+    if (token.value === "{") {
+      let previous = tokens[t - 1], beforePrevious = tokens[t - 2];
+      let isArrow = previous && previous.value === ">" && beforePrevious && beforePrevious.value === "=" && beforePrevious.end === previous.start;
+      let opensObject = !isArrow && previous && (previous.type === "punctuation" ?
+        (previous.value === ":" ? inside !== "block" && inside !== null : "(,=[?!&|+-*/%<>~^".includes(previous.value)) :
+        (previous.type === "name" && objectPrecedingNames.includes(previous.value)));
+      stack.push(classPending ? "class" : (opensObject ? "object" : "block"));
+      classPending = false;
+    }
+    if (")]}".includes(token.value)) { stack.pop(); }
+  });
+  return enclosing;
+}
+
+/** Returns the index of the ")" matching the "(" at `tokens[open]`, or -1. */
+function findClosingParenthesis(tokens, open) {
+  let depth = 0;
+  for (let t = open; t < tokens.length; t++) {
+    if (tokens[t].value === "(") { depth++; }
+    if (tokens[t].value === ")" && --depth === 0) { return t; }
+  }
+  return -1;
+}
+
+/** Splits `code` into name, punctuation, and literal tokens; comments and whitespace are dropped.
+ * Strings, regular expressions, and the text of template literals are single tokens,
+ * but the code inside `${}` substitutions is tokenized like the rest. */
+function tokenize(code) {
+  let tokens = [], i = 0, braceDepths = [];
+  let previousSignificant = () => tokens[tokens.length - 1];
+  let regexAllowed = () => {
+    let previous = previousSignificant();
+    if (!previous) { return true; }
+    if (previous.type === "name") { return regexPrecedingKeywords.includes(previous.value); }
+    if (previous.type !== "punctuation") { return false; }
+    return !(previous.value === ")" || previous.value === "]" || previous.value === "}");
+  };
+  let scanTemplate = (start) => {
+    // Scans template text from `start` until the closing backtick or a `${`
+    let j = start;
+    while (j < code.length && code[j] !== "`") {
+      if (code[j] === "\\") { j += 2; continue; }
+      if (code[j] === "$" && code[j + 1] === "{") {
+        tokens.push({ type: "template", value: code.slice(start, j + 2), start: start, end: j + 2 });
+        braceDepths.push(0);
+        return j + 2;
+      }
+      j++;
+    }
+    tokens.push({ type: "template", value: code.slice(start, j + 1), start: start, end: j + 1 });
+    return j + 1;
+  };
+
+  while (i < code.length) {
+    let char = code[i];
+    if (/\s/.test(char)) { i++; continue; }
+    if (char === "/" && code[i + 1] === "/") {
+      while (i < code.length && code[i] !== "\n") { i++; }
+      continue;
+    }
+    if (char === "/" && code[i + 1] === "*") {
+      let close = code.indexOf("*/", i + 2);
+      i = close < 0 ? code.length : close + 2;
+      continue;
+    }
+    if (char === "'" || char === '"') {
+      let j = i + 1;
+      while (j < code.length && code[j] !== char && code[j] !== "\n") { j += code[j] === "\\" ? 2 : 1; }
+      tokens.push({ type: "string", value: code.slice(i, j + 1), start: i, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+    if (char === "`") { i = scanTemplate(i); continue; }
+    if (char === "/" && regexAllowed()) {
+      let j = i + 1, inClass = false;
+      while (j < code.length && code[j] !== "\n" && (inClass || code[j] !== "/")) {
+        if (code[j] === "\\") { j++; } else if (code[j] === "[") { inClass = true; } else if (code[j] === "]") { inClass = false; }
+        j++;
+      }
+      j++;
+      while (j < code.length && /[A-Za-z]/.test(code[j])) { j++; } // Flags
+      tokens.push({ type: "regex", value: code.slice(i, j), start: i, end: j });
+      i = j;
+      continue;
+    }
+    if (/[A-Za-z_$]/.test(char)) {
+      let j = i + 1;
+      while (j < code.length && /[\w$]/.test(code[j])) { j++; }
+      tokens.push({ type: "name", value: code.slice(i, j), start: i, end: j });
+      i = j;
+      continue;
+    }
+    if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(code[i + 1]))) {
+      let j = i + 1;
+      while (j < code.length && /[\w.]/.test(code[j])) { j++; }
+      tokens.push({ type: "number", value: code.slice(i, j), start: i, end: j });
+      i = j;
+      continue;
+    }
+
+    // Punctuation; braces also close `${}` substitutions inside template literals
+    if (braceDepths.length > 0) {
+      if (char === "{") { braceDepths[braceDepths.length - 1]++; }
+      if (char === "}" && braceDepths[braceDepths.length - 1]-- === 0) {
+        braceDepths.pop();
+        i = scanTemplate(i);
+        continue;
+      }
+    }
+    tokens.push({ type: "punctuation", value: char, start: i, end: i + 1 });
+    i++;
+  }
+  return tokens;
+}
@@ -0,0 +1,92 @@
+import { instrumentCode, toOriginalColumn, splitStatements, groupStatements } from "./CascadeStudioCodeInstrumentation.js";
+
+const names = ["Box", "Sphere", "Translate", "Sketch", "Transform"];
+
+test("wraps Standard Library calls with their source ranges", () => {
+  let result = instrumentCode("let a = Box(1, 2, 3);\nTranslate([0, 0, 1],\n  Sphere(5));", names);
+  expect(result.code).toBe("let a = __callSite(0, Box)(1, 2, 3);\n__callSite(1, Translate)([0, 0, 1],\n  __callSite(2, Sphere)(5));");
+  expect(result.callSites).toEqual([
+    { name: "Box",       line: 1, column: 9, endLine: 1, endColumn: 21 },
+    { name: "Translate", line: 2, column: 1, endLine: 3, endColumn: 13 },
+    { name: "Sphere",    line: 3, column: 3, endLine: 3, endColumn: 12 }
+  ]);
+});
+
+test("leaves strings, comments, regexes, members, constructors, and declarations alone", () => {
+  let code = [
+    "// Box(1, 2, 3)",
+    "let s = \"Box(1)\" + 'Sphere(2)' + /Box(3)/.source;",
+    "/* Translate([1, 0, 0], a) */",
+    "let sketch = new Sketch([0, 0]).Box(1);",
+    "function Sphere(r) { return r; }",
+    "let n = 4 / 2 / Box(1);"
+  ].join("\n");
+  let result = instrumentCode(code, names);
+  expect(result.callSites.map((site) => [site.name, site.line])).toEqual([["Box", 6]]);
+  expect(result.code.split("\n").slice(0, 5).join("\n")).toBe(code.split("\n").slice(0, 5).join("\n"));
+});
+
+test("leaves method definitions named like Standard Library functions alone", () => {
+  let code = [
+    "let shapes = { Box() { return Box(1); }, Sphere: (r) => Sphere(r), get Translate() { return 1; } };",
+    "class A { Sphere(r) { return r; } static Box(x) { if (x) { Box(x); } } }",
+    "let b = a?.Box(1);",
+    "let c = [{ size: Box(2) }];"
+  ].join("\n");
+  let result = instrumentCode(code, names);
+  expect(result.callSites.map((site) => [site.name, site.line])).toEqual([
+    ["Box", 1], ["Sphere", 1], ["Box", 2], ["Box", 4]
+  ]);
+  expect(result.code.split("\n")[1]).toBe("class A { Sphere(r) { return r; } static Box(x) { if (x) { __callSite(2, Box)(x); } } }");
+  expect(() => new Function("__callSite", result.code)).not.toThrow(); // Still valid JavaScript
+});
+
+test("instruments calls inside template literal substitutions", () => {
+  let result = instrumentCode("let t = `size ${Box(1).hash} and {braces}`; Sphere(1);", names);
+  expect(result.callSites.map((site) => site.name)).toEqual(["Box", "Sphere"]);
+  expect(result.code).toBe("let t = `size ${__callSite(0, Box)(1).hash} and {braces}`; __callSite(1, Sphere)(1);");
+});
+
+test("maps instrumented columns back to the original code", () => {
+  let result = instrumentCode("Box(1); undefinedFunction();", names);
+  let instrumentedColumn = result.code.indexOf("undefinedFunction") + 1;
+  expect(toOriginalColumn(result, 1, instrumentedColumn)).toBe("Box(1); ".length + 1);
+  expect(toOriginalColumn(result, 2, 5)).toBe(5);
+});
+
+test("splits the code into top-level statements", () => {
+  let code = [
+    "let a = Box(1,",
+    "  2, 3)",
+    "let b = a",
+    "  .hash; function f() {",
+    "  return 1;",
+    "}",
+    "if (b) { f(); } else { f(); }"
+  ].join("\n");
+  let statements = splitStatements(code).map((statement) => code.slice(statement.start, statement.end));
+  expect(statements).toEqual([
+    "let a = Box(1,\n  2, 3)",
+    "let b = a\n  .hash;",
+    "function f() {\n  return 1;\n}",
+    "if (b) { f(); } else { f(); }"
+  ]);
+});
+
+test("groups the statements that share variables", () => {
+  let code = [
+    "let r = Slider(\"Radius\", 1);",
+    "let ball = Sphere(r);",
+    "let box = Box(1, 2, 3);",
+    "Translate([0, 0, 1], ball);",
+    "sceneShapes.push(box);"
+  ].join("\n");
+  let analysis = groupStatements(code, instrumentCode(code, names.concat(["Slider"])).callSites);
+  let [radius, ball, box, translate, push] = analysis.statementGroups;
+  expect(ball).toBe(radius);
+  expect(translate).toBe(radius);
+  expect(box).not.toBe(radius);
+  expect(push).toBe(box);
+  expect([...analysis.groupMentions[box]]).toEqual(["sceneShapes"]);
+  expect(analysis.siteStatements).toEqual([0, 1, 2, 3]);
+});
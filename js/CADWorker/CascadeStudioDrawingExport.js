@@ -0,0 +1,432 @@
+// Drawing Export
+// Writes planar shapes (faces, wires, or sections through a solid) as flat DXF and SVG
+// drawings, e.g. for laser cutting.  Each edge is sampled and recognized as a line, arc,
+// circle, or ellipse, which are written as true curves; any other curve is written as a cubic
+// B-spline whose poles and knots are fit to `BRepAdaptor_Curve`'s points and tangents (exactly,
+// for the cubic and quadratic B-splines most sketches are made of).  Shapes that aren't planar
+// are projected onto the drawing plane, without removing hidden edges.
+import {
+  oc,
+  messageHandlers,
+  currentShape
+} from "./CascadeStudioWorkerState";
+
+const samplesPerEdge = 16;
+const maxSplineDepth = 10; // Spans are split in half at most this many times before giving up on a fit
+const viewer = [0.25, -0.5, 1]; // Drawing normals face this way, so the XY/XZ/YZ views aren't mirrored
+const planeNormals = { XY: [0, 0, 1], XZ: [0, -1, 0], YZ: [1, 0, 0] };
+
+let dot   = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+let sub   = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+let cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+let scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+let normalize = (a) => scale(a, 1 / (Math.hypot(a[0], a[1], a[2]) || 1));
+
+/** This function returns the drawing's axes `{ normal, xDir, yDir }` for a plane facing `normal`;
+ * the drawing's Y axis follows the model's Z axis wherever it can. */
+export function drawingFrame(normal) {
+  normal = normalize(normal);
+  if (dot(normal, viewer) < 0) { normal = scale(normal, -1); }
+  if (Math.abs(normal[2]) > 0.9) {
+    let xDir = normalize(sub([1, 0, 0], scale(normal, normal[0])));
+    return { normal: normal, xDir: xDir, yDir: cross(normal, xDir) };
+  }
+  let yDir = normalize(sub([0, 0, 1], scale(normal, normal[2])));
+  return { normal: normal, xDir: cross(yDir, normal), yDir: yDir };
+}
+
+/** Returns the center of the circle through the 2D points `a`, `b`, and `c`, or null if they're collinear. */
+function circumcenter(a, b, c) {
+  let d = 2 * (a[0] * (b[1] - c[1]) + b[0] * (c[1] - a[1]) + c[0] * (a[1] - b[1]));
+  if (Math.abs(d) < 1e-12) { return null; }
+  let [a2, b2, c2] = [a, b, c].map((p) => p[0] * p[0] + p[1] * p[1]);
+  return [(a2 * (b[1] - c[1]) + b2 * (c[1] - a[1]) + c2 * (a[1] - b[1])) / d,
+          (a2 * (c[0] - b[0]) + b2 * (a[0] - c[0]) + c2 * (b[0] - a[0])) / d];
+}
+
+/** Returns the angle swept (in radians, counter-clockwise) through the successive `angles`. */
+function sweepOf(angles) {
+  let sweep = 0;
+  for (let i = 1; i < angles.length; i++) {
+    let delta = angles[i] - angles[i - 1];
+    sweep += delta - 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+  }
+  return sweep;
+}
+
+/** Solves the linear system `matrix` · x = `values` by Gaussian elimination; null if it's singular. */
+function solve(matrix, values) {
+  let n = values.length, rows = matrix.map((row, i) => [...row, values[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) { if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) { pivot = row; } }
+    if (Math.abs(rows[pivot][col]) < 1e-12) { return null; }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) { continue; }
+      let factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= n; k++) { rows[row][k] -= factor * rows[col][k]; }
+    }
+  }
+  return rows.map((row, i) => row[n] / row[i]);
+}
+
+/** This function recognizes the 2D `points` sampled evenly along a curve as a line
+ * (`{ type: "line", start, end }`), a circle (`{ type: "circle", center, radius }`), a
+ * counter-clockwise arc (`{ type: "arc", center, radius, startAngle, endAngle }`, in degrees),
+ * or an ellipse (`{ type: "ellipse", center, majorAxis, ratio, startParameter, endParameter }`,
+ * as in DXF: `majorAxis` runs from the center to the end of the major axis, and the parameters
+ * are in radians, counter-clockwise).  Returns null if the curve is none of these (within `tolerance`). */
+export function classifyCurve(points, tolerance = 1e-4) {
+  let first = points[0], last = points[points.length - 1];
+  let chord = [last[0] - first[0], last[1] - first[1]], chordLength = Math.hypot(chord[0], chord[1]);
+  if (chordLength > tolerance && points.every((p) =>
+    Math.abs((p[0] - first[0]) * chord[1] - (p[1] - first[1]) * chord[0]) / chordLength < tolerance)) {
+    return { type: "line", start: first, end: last };
+  }
+
+  let third = Math.floor(points.length / 3);
+  let center = circumcenter(first, points[third], points[2 * third]);
+  if (!center) { return null; }
+  let radius = Math.hypot(first[0] - center[0], first[1] - center[1]);
+  if (!points.every((p) => Math.abs(Math.hypot(p[0] - center[0], p[1] - center[1]) - radius) < tolerance)) {
+    return classifyEllipse(points, tolerance);
+  }
+
+  let angles = points.map((p) => Math.atan2(p[1] - center[1], p[0] - center[0]));
+  let sweep = sweepOf(angles);
+  if (Math.abs(Math.abs(sweep) - 2 * Math.PI) < 1e-6 || chordLength < tolerance) {
+    return { type: "circle", center: center, radius: radius };
+  }
+  let [start, end] = sweep > 0 ? [angles[0], angles[angles.length - 1]] : [angles[angles.length - 1], angles[0]];
+  let toDegrees = (angle) => ((Math.round(angle * 180 / Math.PI * 1e9) / 1e9) % 360 + 360) % 360;
+  return { type: "arc", center: center, radius: radius, startAngle: toDegrees(start), endAngle: toDegrees(end) };
+}
+
+/** Fits the conic through five of `points` and returns it as an ellipse (see `classifyCurve()`)
+ * if it is one and the rest of `points` lie on it (within `tolerance`); null otherwise. */
+function classifyEllipse(points, tolerance) {
+  // Fit A x² + B xy + C y² + D x + E y = 1 around the points' centroid, scaled to unit size
+  let picks = [0, 1, 2, 3, 4].map((i) => points[Math.round(i * (points.length - 1) / 5)]); // Not the last, in case it closes
+  let origin = [0, 1].map((axis) => picks.reduce((sum, p) => sum + p[axis], 0) / picks.length);
+  let size = Math.max(...picks.map((p) => Math.hypot(p[0] - origin[0], p[1] - origin[1])));
+  if (size < tolerance) { return null; }
+  let local = (p) => [(p[0] - origin[0]) / size, (p[1] - origin[1]) / size];
+  let conic = solve(picks.map(local).map(([x, y]) => [x * x, x * y, y * y, x, y]), [1, 1, 1, 1, 1]);
+  if (!conic) { return null; }
+  let [A, B, C, D, E] = conic;
+  if (B * B - 4 * A * C >= 0) { return null; }
+
+  let centerLocal = solve([[2 * A, B], [B, 2 * C]], [-D, -E]);
+  let [x0, y0] = centerLocal;
+  let level = 1 - (A * x0 * x0 + B * x0 * y0 + C * y0 * y0 + D * x0 + E * y0); // A u² + B uv + C v² = level
+  let angle = 0.5 * Math.atan2(B, A - C);
+  let [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+  let lambdas = [A * cos * cos + B * cos * sin + C * sin * sin, A * sin * sin - B * cos * sin + C * cos * cos];
+  if (!lambdas.every((lambda) => level / lambda > 0)) { return null; }
+  let [radiusU, radiusV] = lambdas.map((lambda) => Math.sqrt(level / lambda) * size);
+  let center = [origin[0] + x0 * size, origin[1] + y0 * size];
+  let [u, v] = [[cos, sin], [-sin, cos]];
+  if (radiusV > radiusU) { [radiusU, radiusV, u, v] = [radiusV, radiusU, v, [-u[0], -u[1]]]; }
+
+  let parameters = [];
+  for (let p of points) {
+    let offset = [p[0] - center[0], p[1] - center[1]];
+    let [pu, pv] = [(offset[0] * u[0] + offset[1] * u[1]) / radiusU, (offset[0] * v[0] + offset[1] * v[1]) / radiusV];
+    if (Math.abs(Math.hypot(pu, pv) - 1) * radiusU > tolerance) { return null; }
+    parameters.push(Math.atan2(pv, pu));
+  }
+
+  let ellipse = { type: "ellipse", center: center, majorAxis: [u[0] * radiusU, u[1] * radiusU], ratio: radiusV / radiusU };
+  let sweep = sweepOf(parameters), first = points[0], last = points[points.length - 1];
+  if (Math.abs(Math.abs(sweep) - 2 * Math.PI) < 1e-6 || Math.hypot(last[0] - first[0], last[1] - first[1]) < tolerance) {
+    return Object.assign(ellipse, { startParameter: 0, endParameter: 2 * Math.PI });
+  }
+  let [start, end] = sweep > 0 ? [parameters[0], parameters[parameters.length - 1]] : [parameters[parameters.length - 1], parameters[0]];
+  let wrap = (parameter) => (parameter % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+  return Object.assign(ellipse, { startParameter: wrap(start), endParameter: wrap(end) });
+}
+
+/** This function fits a cubic B-spline to the curve between the parameters `first` and `last`,
+ * where `evaluate(u)` returns the curve's 2D `[point, tangent]` at `u`.  Each span is the Bézier
+ * through the points and tangents at its ends (so cubic and quadratic curves come out exact), and
+ * is split in half until it's within `tolerance` of the curve.  Returns
+ * `{ type: "spline", degree: 3, knots, controlPoints }`, or null if the curve doesn't converge. */
+export function fitSpline(evaluate, first, last, tolerance = 1e-4) {
+  let knots = [first, first, first, first], controlPoints = [evaluate(first)[0]];
+  let fitSpan = (a, b, depth) => {
+    let [[p0, t0], [p3, t3]] = [evaluate(a), evaluate(b)], h = (b - a) / 3;
+    let p1 = [p0[0] + t0[0] * h, p0[1] + t0[1] * h], p2 = [p3[0] - t3[0] * h, p3[1] - t3[1] * h];
+    let fits = [1, 2, 3, 4, 5, 6, 7].every((k) => {
+      let s = k / 8, r = 1 - s, p = evaluate(a + (b - a) * s)[0];
+      let bezier = [0, 1].map((i) => r * r * r * p0[i] + 3 * r * r * s * p1[i] + 3 * r * s * s * p2[i] + s * s * s * p3[i]);
+      return Math.hypot(bezier[0] - p[0], bezier[1] - p[1]) < tolerance;
+    });
+    if (fits) {
+      controlPoints.push(p1, p2, p3);
+      knots.push(b, b, b);
+      return true;
+    }
+    return depth < maxSplineDepth && fitSpan(a, (a + b) / 2, depth + 1) && fitSpan((a + b) / 2, b, depth + 1);
+  };
+  if (!fitSpan(first, last, 0)) { return null; }
+  knots.push(last);
+  return { type: "spline", degree: 3, knots: knots, controlPoints: controlPoints };
+}
+
+/** Formats `value` for a drawing file, dropping floating point noise. */
+function num(value) { return String(Math.round(value * 1e6) / 1e6); }
+
+/** This function writes the 2D `entities` (from `classifyCurve()` and `fitSpline()`, plus
+ * `{ type: "spline", points }` through fit points) as an ASCII DXF (AutoCAD 2000) drawing in millimeters. */
+export function writeDXF(entities) {
+  let groups = [], handle = 0x100;
+  let entity = (type, subclass, ...codes) => {
+    groups.push(0, type, 5, (handle++).toString(16).toUpperCase(), 100, "AcDbEntity", 8, "0", 100, subclass, ...codes);
+  };
+  entities.forEach((drawn) => {
+    if (drawn.type === "line") {
+      entity("LINE", "AcDbLine", 10, num(drawn.start[0]), 20, num(drawn.start[1]), 30, 0,
+        11, num(drawn.end[0]), 21, num(drawn.end[1]), 31, 0);
+    } else if (drawn.type === "circle") {
+      entity("CIRCLE", "AcDbCircle", 10, num(drawn.center[0]), 20, num(drawn.center[1]), 30, 0, 40, num(drawn.radius));
+    } else if (drawn.type === "arc") {
+      entity("ARC", "AcDbCircle", 10, num(drawn.center[0]), 20, num(drawn.center[1]), 30, 0, 40, num(drawn.radius),
+        100, "AcDbArc", 50, num(drawn.startAngle), 51, num(drawn.endAngle));
+    } else if (drawn.type === "ellipse") {
+      entity("ELLIPSE", "AcDbEllipse", 10, num(drawn.center[0]), 20, num(drawn.center[1]), 30, 0,
+        11, num(drawn.majorAxis[0]), 21, num(drawn.majorAxis[1]), 31, 0, 210, 0, 220, 0, 230, 1,
+        40, num(drawn.ratio), 41, num(drawn.startParameter), 42, num(drawn.endParameter));
+    } else if (drawn.type === "spline" && drawn.controlPoints) {
+      let codes = [210, 0, 220, 0, 230, 1, 70, 8, 71, drawn.degree, 72, drawn.knots.length,
+        73, drawn.controlPoints.length, 74, 0, 42, 1e-7, 43, 1e-7];
+      drawn.knots.forEach((knot) => { codes.push(40, num(knot)); });
+      drawn.controlPoints.forEach((p) => { codes.push(10, num(p[0]), 20, num(p[1]), 30, 0); });
+      entity("SPLINE", "AcDbSpline", ...codes);
+    } else if (drawn.type === "spline") {
+      // A cubic spline through its fit points
+      let codes = [210, 0, 220, 0, 230, 1, 70, 8, 71, 3, 72, 0, 73, 0, 74, drawn.points.length, 44, 1e-7];
+      drawn.points.forEach((p) => { codes.push(11, num(p[0]), 21, num(p[1]), 31, 0); });
+      entity("SPLINE", "AcDbSpline", ...codes);
+    }
+  });
+  groups = [0, "SECTION", 2, "HEADER", 9, "$ACADVER", 1, "AC1015", 9, "$HANDSEED", 5, handle.toString(16).toUpperCase(),
+    9, "$INSUNITS", 70, 4, 9, "$MEASUREMENT", 70, 1, 0, "ENDSEC",
+    0, "SECTION", 2, "ENTITIES", ...groups, 0, "ENDSEC", 0, "EOF"];
+  let lines = [];
+  for (let i = 0; i < groups.length; i += 2) { lines.push(String(groups[i]).padStart(3, " "), groups[i + 1]); }
+  return lines.join("\n") + "\n";
+}
+
+/** Returns the path of a smooth (Catmull-Rom) curve through `points`, as cubic Béziers. */
+function splinePath(points) {
+  let path = "M " + num(points[0][0]) + " " + num(points[0][1]);
+  for (let i = 0; i < points.length - 1; i++) {
+    let [p0, p1, p2, p3] = [points[Math.max(i - 1, 0)], points[i], points[i + 1], points[Math.min(i + 2, points.length - 1)]];
+    path += " C " + num(p1[0] + (p2[0] - p0[0]) / 6) + " " + num(p1[1] + (p2[1] - p0[1]) / 6) + " " +
+                    num(p2[0] - (p3[0] - p1[0]) / 6) + " " + num(p2[1] - (p3[1] - p1[1]) / 6) + " " +
+                    num(p2[0]) + " " + num(p2[1]);
+  }
+  return path;
+}
+
+/** This function writes the 2D `entities` (see `writeDXF()`) as an SVG drawing in millimeters,
+ * with the drawing's Y axis pointing up. */
+export function writeSVG(entities) {
+  let min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+  let extend = (p, r = 0) => {
+    min = [Math.min(min[0], p[0] - r), Math.min(min[1], p[1] - r)];
+    max = [Math.max(max[0], p[0] + r), Math.max(max[1], p[1] + r)];
+  };
+  let elements = entities.map((entity) => {
+    if (entity.type === "line") {
+      extend(entity.start); extend(entity.end);
+      return '<line x1="' + num(entity.start[0]) + '" y1="' + num(entity.start[1]) +
+                '" x2="' + num(entity.end[0]) + '" y2="' + num(entity.end[1]) + '"/>';
+    } else if (entity.type === "circle") {
+      extend(entity.center, entity.radius);
+      return '<circle cx="' + num(entity.center[0]) + '" cy="' + num(entity.center[1]) + '" r="' + num(entity.radius) + '"/>';
+    } else if (entity.type === "arc") {
+      extend(entity.center, entity.radius);
+      let [start, end] = [entity.startAngle, entity.endAngle].map((angle) => [
+        entity.center[0] + entity.radius * Math.cos(angle * Math.PI / 180),
+        entity.center[1] + entity.radius * Math.sin(angle * Math.PI / 180)]);
+      let sweep = ((entity.endAngle - entity.startAngle) % 360 + 360) % 360;
+      return '<path d="M ' + num(start[0]) + " " + num(start[1]) + " A " + num(entity.radius) + " " + num(entity.radius) +
+        " 0 " + (sweep > 180 ? 1 : 0) + " 1 " + num(end[0]) + " " + num(end[1]) + '"/>';
+    } else if (entity.type === "ellipse") {
+      let radii = [Math.hypot(entity.majorAxis[0], entity.majorAxis[1]), Math.hypot(entity.majorAxis[0], entity.majorAxis[1]) * entity.ratio];
+      let rotation = Math.atan2(entity.majorAxis[1], entity.majorAxis[0]);
+      extend(entity.center, radii[0]);
+      if (entity.endParameter - entity.startParameter >= 2 * Math.PI - 1e-9) {
+        return '<ellipse cx="' + num(entity.center[0]) + '" cy="' + num(entity.center[1]) + '" rx="' + num(radii[0]) +
+          '" ry="' + num(radii[1]) + '" transform="rotate(' + num(rotation * 180 / Math.PI) + " " +
+          num(entity.center[0]) + " " + num(entity.center[1]) + ')"/>';
+      }
+      let [start, end] = [entity.startParameter, entity.endParameter].map((t) => [0, 1].map((i) => entity.center[i] +
+        radii[0] * Math.cos(t) * [Math.cos(rotation), Math.sin(rotation)][i] +
+        radii[1] * Math.sin(t) * [-Math.sin(rotation), Math.cos(rotation)][i]));
+      let sweep = ((entity.endParameter - entity.startParameter) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+      return '<path d="M ' + num(start[0]) + " " + num(start[1]) + " A " + num(radii[0]) + " " + num(radii[1]) + " " +
+        num(rotation * 180 / Math.PI) + " " + (sweep > Math.PI ? 1 : 0) + " 1 " + num(end[0]) + " " + num(end[1]) + '"/>';
+    } else if (entity.controlPoints) {
+      // `fitSpline()`'s knots all have full multiplicity, so its control points are the spans' Béziers
+      let points = entity.controlPoints, path = "M " + num(points[0][0]) + " " + num(points[0][1]);
+      points.forEach((p) => extend(p));
+      for (let i = 1; i < points.length; i += 3) {
+        path += " C " + points.slice(i, i + 3).map((p) => num(p[0]) + " " + num(p[1])).join(" ");
+      }
+      return '<path d="' + path + '"/>';
+    }
+    entity.points.forEach((p) => extend(p));
+    return '<path d="' + splinePath(entity.points) + '"/>';
+  });
+  if (entities.length === 0) { min = [0, 0]; max = [0, 0]; }
+  let margin = 1, width = max[0] - min[0] + 2 * margin, height = max[1] - min[1] + 2 * margin;
+  return ['<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" width="' + num(width) + 'mm" height="' + num(height) + 'mm" ' +
+      'viewBox="' + num(min[0] - margin) + " " + num(-max[1] - margin) + " " + num(width) + " " + num(height) + '">',
+    ' <g transform="scale(1,-1)" fill="none" stroke="black" stroke-width="0.1">',
+    ...elements.map((element) => "  " + element),
+    ' </g>', '</svg>', ''].join("\n");
+}
+
+/** This function returns the part of `shape` that lies in the plane through `origin` facing
+ * `normal` (the faces where it cuts through solids). */
+export function sectionShape(shape, origin = [0, 0, 0], normal = [0, 0, 1]) {
+  let box = new oc.Bnd_Box();
+  oc.BRepBndLib.prototype.Add(shape, box, false);
+  let [boxMin, boxMax] = [box.CornerMin(), box.CornerMax()];
+  let size = Math.hypot(boxMax.X() - boxMin.X(), boxMax.Y() - boxMin.Y(), boxMax.Z() - boxMin.Z()) +
+             Math.hypot(origin[0], origin[1], origin[2]) + 1;
+
+  // Intersect the shape with a square face in the plane that's larger than it
+  let frame = drawingFrame(normal);
+  let corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => {
+    let corner = [0, 1, 2].map((i) => origin[i] + (u * frame.xDir[i] + v * frame.yDir[i]) * size);
+    return new oc.gp_Pnt(corner[0], corner[1], corner[2]);
+  });
+  let planeWire = new oc.BRepBuilderAPI_MakeWire();
+  corners.forEach((corner, index) => {
+    let segment = new oc.GC_MakeSegment(corner, corners[(index + 1) % corners.length]).Value();
+    planeWire.Add(new oc.BRepBuilderAPI_MakeWire(new oc.BRepBuilderAPI_MakeEdge(segment).Edge()).Wire());
+  });
+  let common = new oc.BRepAlgoAPI_Common(shape, new oc.BRepBuilderAPI_MakeFace(planeWire.Wire()).Face());
+  common.Build();
+  return common.Shape();
+}
+
+/** This function returns the exact curves where the plane through `origin` facing `normal` cuts
+ * `shape`, from `BRepAlgoAPI_Section`; builds of opencascade.js without it warn, and get the
+ * outlines of the faces from `sectionShape()` instead. */
+export function exactSection(shape, origin = [0, 0, 0], normal = [0, 0, 1]) {
+  if (!oc.BRepAlgoAPI_Section) {
+    console.error("This build of opencascade.js lacks BRepAlgoAPI_Section, so the section isn't exact; cutting the shape with a face instead.");
+    return sectionShape(shape, origin, normal);
+  }
+  let plane = new oc.gp_Pln(new oc.gp_Pnt(origin[0], origin[1], origin[2]),
+    new oc.gp_Dir(new oc.gp_Vec(normal[0], normal[1], normal[2])));
+  let section = new oc.BRepAlgoAPI_Section(shape, plane, false);
+  section.Approximation(true);
+  section.Build();
+  return section.Shape();
+}
+
+/** Returns the 3D points sampled along each of the edges of `shape`, the points and tangents of
+ * its `BRepAdaptor_Curve` (`evaluate(u)`, between `first` and `last`) to fit freeform curves with,
+ * and the discretization used by the viewport (`GCPnts_TangentialDeflection`) in case they don't fit. */
+function sampleEdges(shape, deflection) {
+  let edges = [], edgeHashes = {};
+  let anExplorer = new oc.TopExp_Explorer(shape, oc.TopAbs_EDGE);
+  for (anExplorer.Init(shape, oc.TopAbs_EDGE); anExplorer.More(); anExplorer.Next()) {
+    let edge = oc.TopoDS.prototype.Edge(anExplorer.Current());
+    let edgeHash = edge.HashCode(100000000);
+    if (edgeHash in edgeHashes || oc.BRep_Tool.prototype.Degenerated(edge)) { continue; }
+    edgeHashes[edgeHash] = true;
+
+    let adaptorCurve = new oc.BRepAdaptor_Curve(edge);
+    let first = adaptorCurve.FirstParameter(), last = adaptorCurve.LastParameter();
+    let samples = [];
+    for (let i = 0; i <= samplesPerEdge; i++) {
+      let p = adaptorCurve.Value(first + (last - first) * i / samplesPerEdge);
+      samples.push([p.X(), p.Y(), p.Z()]);
+    }
+    let tangDef = new oc.GCPnts_TangentialDeflection(adaptorCurve, deflection, 0.1);
+    let discretization = [];
+    for (let j = 1; j <= tangDef.NbPoints(); j++) {
+      let p = tangDef.Value(j);
+      discretization.push([p.X(), p.Y(), p.Z()]);
+    }
+    let evaluate = (u) => {
+      let point = new oc.gp_Pnt(0, 0, 0), tangent = new oc.gp_Vec(0, 0, 0);
+      adaptorCurve.D1(u, point, tangent);
+      return { point: [point.X(), point.Y(), point.Z()], tangent: [tangent.X(), tangent.Y(), tangent.Z()] };
+    };
+    edges.push({ samples: samples, discretization: discretization, evaluate: evaluate, first: first, last: last });
+  }
+  return edges;
+}
+
+/** Returns the normal of the plane that all of `points` lie in (within `tolerance`), or null. */
+function fitPlane(points, tolerance) {
+  let p0 = points[0], far = (candidates, distance) =>
+    candidates.reduce((best, p) => distance(p) > distance(best) ? p : best, candidates[0]);
+  let p1 = far(points, (p) => Math.hypot(...sub(p, p0)));
+  let axis = normalize(sub(p1, p0));
+  let p2 = far(points, (p) => Math.hypot(...cross(sub(p, p0), axis)));
+  let normal = cross(sub(p1, p0), sub(p2, p0));
+  if (Math.hypot(...normal) < 1e-12) { return null; }
+  normal = normalize(normal);
+  return points.every((p) => Math.abs(dot(sub(p, p0), normal)) < tolerance) ? normal : null;
+}
+
+/** This function converts the edges of `shape` into 2D drawing entities (see `writeDXF()`).
+ * The drawing lies in the shape's own plane unless a `normal` is given, in which case the
+ * shape is projected onto the plane facing it (every edge, hidden or not).  `options` are `{ normal, deflection, tolerance }`. */
+export function shapeToDrawing(shape, options = {}) {
+  let tolerance = options.tolerance || 1e-4;
+  let edges = sampleEdges(shape, options.deflection || 0.1);
+  if (edges.length === 0) { console.error("There are no edges to draw!"); return []; }
+
+  let normal = options.normal;
+  if (!normal) {
+    normal = fitPlane([].concat(...edges.map((edge) => edge.samples)), tolerance * 10);
+    if (!normal) { console.log("This shape isn't planar; projecting it onto the XY plane."); normal = [0, 0, 1]; }
+  }
+  let frame = drawingFrame(normal);
+  let to2D = (p) => [dot(p, frame.xDir), dot(p, frame.yDir)];
+
+  let entities = [];
+  edges.forEach((edge) => {
+    let points = edge.samples.map(to2D);
+    if (points.every((p) => Math.hypot(p[0] - points[0][0], p[1] - points[0][1]) < tolerance)) { return; } // Seen end-on
+    let entity = classifyCurve(points, tolerance) || fitSpline((u) => {
+      let evaluated = edge.evaluate(u);
+      return [to2D(evaluated.point), to2D(evaluated.tangent)];
+    }, edge.first, edge.last, tolerance);
+    entities.push(entity || { type: "spline", points: edge.discretization.map(to2D) });
+  });
+  return entities;
+}
+
+/** This function returns a drawing of `currentShape` as a `.dxf` or `.svg` file: `{ files: [{ filename, content }] }`.
+ * `options` are `{ format: "dxf"|"svg", mode: "section"|"projection", plane: "XY"|"XZ"|"YZ", offset, filename }`;
+ * sections cut the plane `offset` along its normal through the shape.  Sections through any plane
+ * (like the CAD View's section planes) take its `origin` and `normal` instead, and `exact` ones are
+ * cut by `exactSection()`. */
+function saveShapeDrawing(options = {}) {
+  if (!currentShape) { console.error("There is no shape to export yet!"); return { files: [] }; }
+  let format = (options.format || "dxf").toLowerCase();
+  let normal = options.normal ? normalize(options.normal) : planeNormals[options.plane || "XY"];
+  let origin = options.origin || scale(normal, options.offset || 0);
+  let shape = currentShape;
+  if (options.mode !== "projection") {
+    shape = (options.exact ? exactSection : sectionShape)(currentShape, origin, normal);
+  }
+  let entities = shapeToDrawing(shape, { normal: normal });
+  return { files: [{
+    filename: options.filename || "CascadeStudioDrawing." + format,
+    content : format === "svg" ? writeSVG(entities) : writeDXF(entities)
+  }] };
+}
+messageHandlers["saveShapeDrawing"] = saveShapeDrawing;
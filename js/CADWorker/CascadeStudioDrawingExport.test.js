@@ -0,0 +1,137 @@
+import { drawingFrame, classifyCurve, fitSpline, writeDXF, writeSVG, exactSection } from "./CascadeStudioDrawingExport.js";
+import { setOc } from "./CascadeStudioWorkerState";
+
+/** Samples `count + 1` points evenly along the arc from `start` to `end` (in radians). */
+function arcPoints(center, radius, start, end, count = 16) {
+  return Array.from({ length: count + 1 }, (value, i) => {
+    let angle = start + (end - start) * i / count;
+    return [center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)];
+  });
+}
+
+test("orients the drawing planes like the standard views", () => {
+  let round = (frame) => [frame.xDir, frame.yDir].map((axis) => axis.map((c) => Math.round(c) + 0));
+  expect(round(drawingFrame([0, 0, 1]))).toEqual([[1, 0, 0], [0, 1, 0]]);
+  expect(round(drawingFrame([0, 0, -1]))).toEqual([[1, 0, 0], [0, 1, 0]]);
+  expect(round(drawingFrame([0, -1, 0]))).toEqual([[1, 0, 0], [0, 0, 1]]);
+  expect(round(drawingFrame([1, 0, 0]))).toEqual([[0, 1, 0], [0, 0, 1]]);
+});
+
+test("recognizes lines, arcs, and circles", () => {
+  expect(classifyCurve([[0, 0], [1, 1], [2, 2]])).toEqual({ type: "line", start: [0, 0], end: [2, 2] });
+
+  let arc = classifyCurve(arcPoints([1, 2], 3, 0, Math.PI / 2));
+  expect(arc.type).toBe("arc");
+  expect(arc.center[0]).toBeCloseTo(1); expect(arc.center[1]).toBeCloseTo(2);
+  expect(arc.radius).toBeCloseTo(3);
+  expect(arc.startAngle).toBeCloseTo(0); expect(arc.endAngle).toBeCloseTo(90);
+
+  // Clockwise arcs are written counter-clockwise from their end
+  let clockwise = classifyCurve(arcPoints([0, 0], 1, Math.PI, -Math.PI / 2));
+  expect(clockwise.startAngle).toBeCloseTo(270); expect(clockwise.endAngle).toBeCloseTo(180);
+
+  expect(classifyCurve(arcPoints([0, 0], 2, 0, 2 * Math.PI)).type).toBe("circle");
+  expect(classifyCurve(Array.from({ length: 17 }, (value, i) => [i, (i / 4) ** 3]))).toBe(null);
+});
+
+test("recognizes ellipses", () => {
+  // Rotated by 30°, with semi-axes of 4 and 1, from the parameter 0.5 to 2
+  let rotation = Math.PI / 6, [cos, sin] = [Math.cos(rotation), Math.sin(rotation)];
+  let ellipsePoints = (start, end) => Array.from({ length: 17 }, (value, i) => {
+    let t = start + (end - start) * i / 16, [u, v] = [4 * Math.cos(t), Math.sin(t)];
+    return [1 + u * cos - v * sin, 2 + u * sin + v * cos];
+  });
+  let ellipse = classifyCurve(ellipsePoints(0.5, 2));
+  expect(ellipse.type).toBe("ellipse");
+  expect(ellipse.center[0]).toBeCloseTo(1); expect(ellipse.center[1]).toBeCloseTo(2);
+  expect(ellipse.majorAxis[0]).toBeCloseTo(4 * cos); expect(ellipse.majorAxis[1]).toBeCloseTo(4 * sin);
+  expect(ellipse.ratio).toBeCloseTo(0.25);
+  expect(ellipse.startParameter).toBeCloseTo(0.5); expect(ellipse.endParameter).toBeCloseTo(2);
+
+  let whole = classifyCurve(ellipsePoints(0, 2 * Math.PI));
+  expect(whole.startParameter).toBe(0); expect(whole.endParameter).toBeCloseTo(2 * Math.PI);
+});
+
+test("fits B-splines to freeform curves", () => {
+  // A cubic is a single span, with the poles of its Bézier
+  let cubic = fitSpline((u) => [[u, u * u * u], [1, 3 * u * u]], 0, 1);
+  expect(cubic.knots).toEqual([0, 0, 0, 0, 1, 1, 1, 1]);
+  [[0, 0], [1 / 3, 0], [2 / 3, 0], [1, 1]].forEach((pole, i) => {
+    expect(cubic.controlPoints[i][0]).toBeCloseTo(pole[0]); expect(cubic.controlPoints[i][1]).toBeCloseTo(pole[1]);
+  });
+
+  // Anything else is split into spans until it fits
+  let wave = fitSpline((u) => [[u, Math.sin(u)], [1, Math.cos(u)]], 0, Math.PI, 1e-4);
+  expect(wave.knots.length).toBe(wave.controlPoints.length + 4);
+  expect(wave.controlPoints.length).toBeGreaterThan(4);
+  expect(wave.controlPoints[wave.controlPoints.length - 1][0]).toBeCloseTo(Math.PI);
+  expect(fitSpline((u) => [[u, Math.sqrt(Math.abs(u))], [1, 1e9]], -1, 1)).toBe(null);
+});
+
+test("writes DXF entities", () => {
+  let dxf = writeDXF([
+    { type: "line", start: [0, 0], end: [10, 0] },
+    { type: "arc", center: [0, 0], radius: 5, startAngle: 0, endAngle: 90 },
+    { type: "spline", points: [[0, 0], [1, 1], [2, 0]] }
+  ]).split("\n").map((line) => line.trim());
+  expect(dxf.filter((line) => ["LINE", "ARC", "SPLINE"].includes(line))).toEqual(["LINE", "ARC", "SPLINE"]);
+  expect(dxf[dxf.indexOf("$INSUNITS") + 2]).toBe("4");
+  expect(dxf[dxf.indexOf("$ACADVER") + 2]).toBe("AC1015");
+  expect(dxf[dxf.indexOf("74") + 1]).toBe("3");
+  expect(dxf[dxf.length - 2]).toBe("EOF");
+});
+
+test("writes DXF B-splines with their knots and poles, and ellipses", () => {
+  let dxf = writeDXF([
+    { type: "spline", degree: 3, knots: [0, 0, 0, 0, 1, 1, 1, 1], controlPoints: [[0, 0], [1, 1], [2, 1], [3, 0]] },
+    { type: "ellipse", center: [0, 0], majorAxis: [4, 0], ratio: 0.5, startParameter: 0, endParameter: Math.PI }
+  ]).split("\n").map((line) => line.trim());
+  let value = (code, from = 0) => dxf[dxf.indexOf(code, from) + 1];
+  let spline = dxf.indexOf("AcDbSpline"), ellipse = dxf.indexOf("AcDbEllipse");
+  expect([value("71", spline), value("72", spline), value("73", spline), value("74", spline)]).toEqual(["3", "8", "4", "0"]);
+  expect(dxf.slice(spline, ellipse).filter((line, i, lines) => lines[i - 1] === "40")).toEqual(["0", "0", "0", "0", "1", "1", "1", "1"]);
+  expect([value("11", ellipse), value("40", ellipse), value("42", ellipse)]).toEqual(["4", "0.5", "3.141593"]);
+});
+
+test("writes SVG arcs as true curves", () => {
+  let svg = writeSVG([
+    { type: "circle", center: [0, 0], radius: 5 },
+    { type: "arc", center: [0, 0], radius: 5, startAngle: 0, endAngle: 270 }
+  ]);
+  expect(svg).toContain('<circle cx="0" cy="0" r="5"/>');
+  expect(svg).toContain('<path d="M 5 0 A 5 5 0 1 1 0 -5"/>');
+  expect(svg).toContain('viewBox="-6 -6 12 12"');
+
+  svg = writeSVG([
+    { type: "ellipse", center: [0, 0], majorAxis: [0, 4], ratio: 0.5, startParameter: 0, endParameter: 2 * Math.PI },
+    { type: "spline", degree: 3, knots: [0, 0, 0, 0, 1, 1, 1, 1], controlPoints: [[0, 0], [1, 1], [2, 1], [3, 0]] }
+  ]);
+  expect(svg).toContain('<ellipse cx="0" cy="0" rx="4" ry="2" transform="rotate(90 0 0)"/>');
+  expect(svg).toContain('<path d="M 0 0 C 1 1 2 1 3 0"/>');
+});
+
+test("cuts exact sections through the plane it's given", () => {
+  let calls = [];
+  let record = (name) => function (...args) { calls.push([name, ...args]); this.args = args; };
+  setOc({
+    gp_Pnt: record("gp_Pnt"), gp_Vec: record("gp_Vec"), gp_Dir: record("gp_Dir"), gp_Pln: record("gp_Pln"),
+    BRepAlgoAPI_Section: function (shape) {
+      calls.push(["BRepAlgoAPI_Section", shape]);
+      this.Approximation = () => {}; this.Build = () => {}; this.Shape = () => "section";
+    }
+  });
+  expect(exactSection("shape", [1, 2, 3], [0, 0, 1])).toBe("section");
+  expect(calls).toContainEqual(["gp_Pnt", 1, 2, 3]);
+  expect(calls).toContainEqual(["gp_Vec", 0, 0, 1]);
+  expect(calls).toContainEqual(["BRepAlgoAPI_Section", "shape"]);
+  setOc(null);
+});
+
+test("warns when it can't cut exact sections", () => {
+  let error = jest.spyOn(console, "error").mockImplementation(() => { });
+  setOc({ Bnd_Box: function () { throw new Error("cut with a face"); } }); // Where `sectionShape()` starts
+  expect(() => exactSection("shape")).toThrow("cut with a face");
+  expect(error.mock.calls[0][0]).toContain("lacks BRepAlgoAPI_Section");
+  error.mockRestore();
+  setOc(null);
+});
@@ -0,0 +1,411 @@
+// Drawing Import
+// Reads the 2D curves of DXF and SVG drawings into plain curve objects (in millimeters,
+// with Y up), and chains them into the wires and faces that `importDXForSVG()` (in
+// CascadeStudioFileUtils.js) builds with OpenCascade.  The curves are:
+//   { type: "line",   start, end }
+//   { type: "arc",    center, radius, startAngle, endAngle }   (counter-clockwise, in degrees)
+//   { type: "circle", center, radius }
+//   { type: "bezier", points }
+//   { type: "spline", degree, controlPoints, knots, weights }  (or just `fitPoints`)
+
+const arcSamples = 16;
+
+/** Returns the counter-clockwise arc from `a` through `m` to `b`, or a line if they're collinear. */
+export function arcThroughPoints(a, m, b) {
+  let d = 2 * (a[0] * (m[1] - b[1]) + m[0] * (b[1] - a[1]) + b[0] * (a[1] - m[1]));
+  if (Math.abs(d) < 1e-12) { return { type: "line", start: a, end: b }; }
+  let [a2, m2, b2] = [a, m, b].map((p) => p[0] * p[0] + p[1] * p[1]);
+  let center = [(a2 * (m[1] - b[1]) + m2 * (b[1] - a[1]) + b2 * (a[1] - m[1])) / d,
+                (a2 * (b[0] - m[0]) + m2 * (a[0] - b[0]) + b2 * (m[0] - a[0])) / d];
+  let angle = (p) => Math.atan2(p[1] - center[1], p[0] - center[0]) * 180 / Math.PI;
+  let counterClockwise = d > 0;
+  return { type: "arc", center: center, radius: Math.hypot(a[0] - center[0], a[1] - center[1]),
+    startAngle: angle(counterClockwise ? a : b), endAngle: angle(counterClockwise ? b : a) };
+}
+
+/** Returns the point at `angle` (in degrees) on the circle of `curve`. */
+function pointOnCircle(curve, angle) {
+  return [curve.center[0] + curve.radius * Math.cos(angle * Math.PI / 180),
+          curve.center[1] + curve.radius * Math.sin(angle * Math.PI / 180)];
+}
+
+/** Returns the counter-clockwise sweep of an arc, in degrees. */
+function arcSweep(curve) {
+  let sweep = ((curve.endAngle - curve.startAngle) % 360 + 360) % 360;
+  return sweep === 0 ? 360 : sweep;
+}
+
+/** This function returns points along `curve` from its start to its end (for finding its
+ * ends, and which loops lie inside which); circles return null. */
+export function curvePoints(curve) {
+  if (curve.type === "line") { return [curve.start, curve.end]; }
+  if (curve.type === "circle") { return null; }
+  if (curve.type === "arc") {
+    let sweep = arcSweep(curve);
+    return Array.from({ length: arcSamples + 1 }, (value, i) => pointOnCircle(curve, curve.startAngle + sweep * i / arcSamples));
+  }
+  if (curve.type === "bezier") {
+    return Array.from({ length: arcSamples + 1 }, (value, i) => {
+      let points = curve.points, t = i / arcSamples;
+      while (points.length > 1) {
+        points = points.slice(1).map((p, j) => [points[j][0] + (p[0] - points[j][0]) * t, points[j][1] + (p[1] - points[j][1]) * t]);
+      }
+      return points[0];
+    });
+  }
+  // Clamped splines start and end at their end control points
+  return curve.fitPoints || curve.controlPoints;
+}
+
+// DXF ----------------------------------------------------------------------------------
+
+/** This function parses the LINE, ARC, CIRCLE, LWPOLYLINE (with bulges), and SPLINE
+ * entities of the text of a `.dxf` file into curves. */
+export function parseDXF(dxfText) {
+  let lines = dxfText.split(/\r?\n/), pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) { pairs.push([parseInt(lines[i].trim()), lines[i + 1].trim()]); }
+
+  // Gather the group codes of each entity in the ENTITIES section
+  let entities = [], inEntities = false, entity = null;
+  pairs.forEach(([code, value]) => {
+    if (code === 2 && value === "ENTITIES") { inEntities = true; return; }
+    if (code !== 0) { if (entity) { entity.groups.push([code, value]); } return; }
+    if (entity) { entities.push(entity); entity = null; }
+    if (value === "ENDSEC") { inEntities = false; } else if (inEntities) { entity = { type: value, groups: [] }; }
+  });
+
+  let curves = [], skipped = {};
+  entities.forEach((entity) => {
+    let first = (code, fallback = 0) => {
+      let group = entity.groups.find((g) => g[0] === code);
+      return group ? parseFloat(group[1]) : fallback;
+    };
+    let all = (code) => entity.groups.filter((g) => g[0] === code).map((g) => parseFloat(g[1]));
+    // Entities drawn with their extrusion direction towards -Z are mirrored in X
+    let mirrored = first(230, 1) < 0;
+    let toWCS = (x, y) => [mirrored ? -x : x, y];
+
+    if (entity.type === "LINE") {
+      curves.push({ type: "line", start: [first(10), first(20)], end: [first(11), first(21)] });
+    } else if (entity.type === "CIRCLE") {
+      curves.push({ type: "circle", center: toWCS(first(10), first(20)), radius: first(40) });
+    } else if (entity.type === "ARC") {
+      let [start, end] = [first(50), first(51)];
+      curves.push({ type: "arc", center: toWCS(first(10), first(20)), radius: first(40),
+        startAngle: mirrored ? 180 - end : start, endAngle: mirrored ? 180 - start : end });
+    } else if (entity.type === "LWPOLYLINE") {
+      // Each vertex's bulge (code 42, after its coordinates) curves the segment after it
+      let vertices = [];
+      entity.groups.forEach(([code, value]) => {
+        if (code === 10) { vertices.push({ x: parseFloat(value), y: 0, bulge: 0 }); }
+        else if (code === 20 && vertices.length) { vertices[vertices.length - 1].y = parseFloat(value); }
+        else if (code === 42 && vertices.length) { vertices[vertices.length - 1].bulge = parseFloat(value); }
+      });
+      let closed = (first(70) & 1) === 1;
+      let segments = closed ? vertices.length : vertices.length - 1;
+      for (let i = 0; i < segments; i++) {
+        let [v1, v2] = [vertices[i], vertices[(i + 1) % vertices.length]];
+        let [p1, p2] = [toWCS(v1.x, v1.y), toWCS(v2.x, v2.y)];
+        if (Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) < 1e-9) { continue; }
+        let bulge = mirrored ? -v1.bulge : v1.bulge;
+        curves.push(bulge === 0 ? { type: "line", start: p1, end: p2 } : bulgeArc(p1, p2, bulge));
+      }
+    } else if (entity.type === "SPLINE") {
+      let controlX = all(10), controlY = all(20), fitX = all(11), fitY = all(21);
+      let spline = { type: "spline", degree: first(71, 3) };
+      if (controlX.length > 1) {
+        spline.controlPoints = controlX.map((x, i) => [x, controlY[i]]);
+        spline.knots = all(40);
+        let weights = all(41);
+        spline.weights = weights.length === controlX.length ? weights : controlX.map(() => 1);
+      } else {
+        spline.fitPoints = fitX.map((x, i) => [x, fitY[i]]);
+      }
+      curves.push(spline);
+    } else if (!skipped[entity.type]) {
+      skipped[entity.type] = true;
+      console.log("Skipping the " + entity.type + " entities of this DXF file; they aren't supported (yet).");
+    }
+  });
+  return curves;
+}
+
+/** Returns the arc of an LWPOLYLINE segment from `p1` to `p2` with `bulge`
+ * (the tangent of a quarter of its sweep; positive is counter-clockwise). */
+function bulgeArc(p1, p2, bulge) {
+  let chord = [p2[0] - p1[0], p2[1] - p1[1]], length = Math.hypot(chord[0], chord[1]);
+  let offset = length * (1 - bulge * bulge) / (4 * bulge); // From the chord's midpoint to the center, to its left
+  let center = [(p1[0] + p2[0]) / 2 - chord[1] / length * offset, (p1[1] + p2[1]) / 2 + chord[0] / length * offset];
+  let angle = (p) => Math.atan2(p[1] - center[1], p[0] - center[0]) * 180 / Math.PI;
+  return { type: "arc", center: center, radius: length * (1 + bulge * bulge) / (4 * Math.abs(bulge)),
+    startAngle: angle(bulge > 0 ? p1 : p2), endAngle: angle(bulge > 0 ? p2 : p1) };
+}
+
+// SVG ----------------------------------------------------------------------------------
+
+/** Returns the product of the 2D affine matrices `m` and `n` (as `[a, b, c, d, e, f]`). */
+function multiply(m, n) {
+  return [m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+          m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+          m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]];
+}
+
+/** Parses an SVG `transform` attribute into a matrix. */
+function parseTransform(transform) {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  (transform || "").replace(/(\w+)\s*\(([^)]*)\)/g, (match, name, args) => {
+    let v = (args.match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || []).map(parseFloat);
+    let radians = (v[0] || 0) * Math.PI / 180;
+    let step = {
+      matrix   : v,
+      translate: [1, 0, 0, 1, v[0] || 0, v[1] || 0],
+      scale    : [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0],
+      rotate   : [Math.cos(radians), Math.sin(radians), -Math.sin(radians), Math.cos(radians), 0, 0],
+      skewX    : [1, 0, Math.tan(radians), 1, 0, 0],
+      skewY    : [1, Math.tan(radians), 0, 1, 0, 0]
+    }[name];
+    if (!step) { return; }
+    if (name === "rotate" && v.length === 3) {
+      step = multiply(multiply([1, 0, 0, 1, v[1], v[2]], step), [1, 0, 0, 1, -v[1], -v[2]]);
+    }
+    matrix = multiply(matrix, step);
+  });
+  return matrix;
+}
+
+/** Parses the attributes of an XML tag into a dictionary. */
+function parseAttributes(text) {
+  let attributes = {};
+  text.replace(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (match, name, quoted, double, single) => {
+    attributes[name] = double !== undefined ? double : single;
+  });
+  return attributes;
+}
+
+/** Converts an SVG length (like "100mm") to millimeters; unitless lengths are CSS pixels. */
+function lengthInMM(length) {
+  let match = /^\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*(mm|cm|in|pt|pc|px)?/i.exec(length || "");
+  if (!match) { return null; }
+  let mmPerUnit = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, pc: 25.4 / 6, px: 25.4 / 96 };
+  return parseFloat(match[1]) * mmPerUnit[(match[2] || "px").toLowerCase()];
+}
+
+/** This function parses the paths and basic shapes (line, rect, circle, ellipse, polyline,
+ * polygon) of the text of an `.svg` file into curves, in millimeters with Y pointing up.
+ * Files without a `width` are read as if their user units were millimeters. */
+export function parseSVG(svgText) {
+  let curves = [], stack = [];
+  svgText = svgText.replace(/<!--[\s\S]*?-->/g, "").replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, "");
+  svgText.replace(/<(\/?)([\w:-]+)([^>]*?)(\/?)>/g, (match, closing, tag, attributeText, selfClosing) => {
+    if (closing) { stack.pop(); return; }
+    let attributes = parseAttributes(attributeText);
+    let parent = stack.length ? stack[stack.length - 1] : [1, 0, 0, -1, 0, 0]; // SVG's Y axis points down
+    let matrix = multiply(parent, parseTransform(attributes.transform));
+    if (tag === "svg" && stack.length === 0) {
+      let viewBox = (attributes.viewBox || "").trim().split(/[\s,]+/).map(parseFloat);
+      let width = lengthInMM(attributes.width), scale = 1;
+      if (width !== null && viewBox.length === 4 && viewBox[2] > 0) { scale = width / viewBox[2]; }
+      else if (width !== null) { scale = 25.4 / 96; }
+      matrix = multiply(parent, [scale, 0, 0, scale, 0, 0]);
+    }
+    let pathData = shapePathData(tag, attributes);
+    if (pathData) { curves.push(...parsePathData(pathData, matrix)); }
+    if (!selfClosing) { stack.push(matrix); }
+  });
+  return curves;
+}
+
+/** Returns the path data equivalent to an SVG basic shape (or a path's own `d`). */
+function shapePathData(tag, a) {
+  let n = (name) => parseFloat(a[name]) || 0;
+  if (tag === "path") { return a.d; }
+  if (tag === "line") { return "M " + n("x1") + " " + n("y1") + " L " + n("x2") + " " + n("y2"); }
+  if (tag === "rect") { return "M " + n("x") + " " + n("y") + " h " + n("width") + " v " + n("height") + " h " + (-n("width")) + " Z"; }
+  if (tag === "polyline" || tag === "polygon") { return "M " + (a.points || "") + (tag === "polygon" ? " Z" : ""); }
+  if (tag === "circle" || tag === "ellipse") {
+    let [rx, ry] = tag === "circle" ? [n("r"), n("r")] : [n("rx"), n("ry")];
+    let [cx, cy] = [n("cx"), n("cy")];
+    return "M " + (cx + rx) + " " + cy + " A " + rx + " " + ry + " 0 0 1 " + (cx - rx) + " " + cy +
+                                        " A " + rx + " " + ry + " 0 0 1 " + (cx + rx) + " " + cy + " Z";
+  }
+  return null;
+}
+
+/** Parses SVG path data into curves, transformed by `matrix`. */
+function parsePathData(d, matrix) {
+  let tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+  let apply = (p) => [matrix[0] * p[0] + matrix[2] * p[1] + matrix[4], matrix[1] * p[0] + matrix[3] * p[1] + matrix[5]];
+  let curves = [], index = 0, command = null;
+  let current = [0, 0], subpathStart = [0, 0];
+  let lastControl = null; // The last Bézier control point, as `{ kind: "C"|"Q", point }`
+  let number = () => parseFloat(tokens[index++]);
+  let flag = () => {
+    // Arc flags may be written without separators, like "a5 5 0 014 4"
+    let token = tokens[index];
+    if (token.length > 1 && (token[0] === "0" || token[0] === "1")) { tokens[index] = token.slice(1); return token[0] === "1"; }
+    index++;
+    return token === "1";
+  };
+  let lineTo = (p) => {
+    if (Math.hypot(p[0] - current[0], p[1] - current[1]) > 1e-9) { curves.push({ type: "line", start: apply(current), end: apply(p) }); }
+    current = p;
+  };
+  let bezierTo = (points) => {
+    curves.push({ type: "bezier", points: [current, ...points].map(apply) });
+    current = points[points.length - 1];
+  };
+
+  while (index < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[index])) { command = tokens[index++]; }
+    else if (command === null) { break; }
+    let relative = command === command.toLowerCase() && command !== "z";
+    let point = () => { let p = [number(), number()]; return relative ? [p[0] + current[0], p[1] + current[1]] : p; };
+    let reflected = (kind) => lastControl && lastControl.kind === kind ?
+      [2 * current[0] - lastControl.point[0], 2 * current[1] - lastControl.point[1]] : current;
+    let control = null;
+    switch (command.toUpperCase()) {
+      case "M":
+        current = subpathStart = point();
+        command = relative ? "l" : "L"; // Further coordinate pairs are lines
+        break;
+      case "L": lineTo(point()); break;
+      case "H": lineTo([number() + (relative ? current[0] : 0), current[1]]); break;
+      case "V": lineTo([current[0], number() + (relative ? current[1] : 0)]); break;
+      case "C": { let c1 = point(), c2 = point(), end = point(); bezierTo([c1, c2, end]); control = { kind: "C", point: c2 }; break; }
+      case "S": { let c1 = reflected("C"), c2 = point(), end = point(); bezierTo([c1, c2, end]); control = { kind: "C", point: c2 }; break; }
+      case "Q": { let c = point(), end = point(); bezierTo([c, end]); control = { kind: "Q", point: c }; break; }
+      case "T": { let c = reflected("Q"), end = point(); bezierTo([c, end]); control = { kind: "Q", point: c }; break; }
+      case "A": {
+        let rx = Math.abs(number()), ry = Math.abs(number()), rotation = number();
+        let largeArc = flag(), sweep = flag(), end = point();
+        curves.push(...svgArc(current, end, rx, ry, rotation, largeArc, sweep, apply, matrix));
+        current = end;
+        break;
+      }
+      case "Z":
+        lineTo(subpathStart);
+        break;
+    }
+    lastControl = control;
+  }
+  return curves;
+}
+
+/** Converts an SVG elliptical arc into a true arc (if it stays circular once transformed)
+ * or cubic Béziers, following the SVG spec's endpoint-to-center conversion. */
+function svgArc(start, end, rx, ry, rotation, largeArc, sweep, apply, matrix) {
+  if (rx === 0 || ry === 0) { return [{ type: "line", start: apply(start), end: apply(end) }]; }
+  let phi = rotation * Math.PI / 180, cos = Math.cos(phi), sin = Math.sin(phi);
+  let dx = (start[0] - end[0]) / 2, dy = (start[1] - end[1]) / 2;
+  let x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+  let lambda = x1 * x1 / (rx * rx) + y1 * y1 / (ry * ry);
+  if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+  let factor = Math.sqrt(Math.max(0, (rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1) / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+  if (largeArc === sweep) { factor = -factor; }
+  let cx1 = factor * rx * y1 / ry, cy1 = -factor * ry * x1 / rx;
+  let center = [cos * cx1 - sin * cy1 + (start[0] + end[0]) / 2, sin * cx1 + cos * cy1 + (start[1] + end[1]) / 2];
+  let angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  let theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+  if (!sweep && delta > 0) { delta -= 2 * Math.PI; } else if (sweep && delta < 0) { delta += 2 * Math.PI; }
+  let pointAt = (t) => [center[0] + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+                        center[1] + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos];
+
+  // Circles stay circles under transforms that only rotate, mirror, and scale uniformly
+  let similarity = Math.abs(matrix[0] * matrix[0] + matrix[1] * matrix[1] - matrix[2] * matrix[2] - matrix[3] * matrix[3]) < 1e-9 &&
+                   Math.abs(matrix[0] * matrix[2] + matrix[1] * matrix[3]) < 1e-9;
+  if (Math.abs(rx - ry) < 1e-9 * Math.max(rx, 1) && similarity && Math.abs(delta) < 2 * Math.PI - 1e-9) {
+    return [arcThroughPoints(apply(start), apply(pointAt(theta + delta / 2)), apply(end))];
+  }
+
+  // Otherwise, one cubic Bézier per quarter turn (at most)
+  let segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9)), curves = [];
+  let step = delta / segments, k = 4 / 3 * Math.tan(step / 4);
+  let derivative = (t) => [-rx * Math.sin(t) * cos - ry * Math.cos(t) * sin, -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos];
+  for (let i = 0; i < segments; i++) {
+    let t1 = theta + step * i, t2 = t1 + step;
+    let [p1, p2, d1, d2] = [i === 0 ? start : pointAt(t1), i === segments - 1 ? end : pointAt(t2), derivative(t1), derivative(t2)];
+    curves.push({ type: "bezier", points: [p1, [p1[0] + k * d1[0], p1[1] + k * d1[1]], [p2[0] - k * d2[0], p2[1] - k * d2[1]], p2].map(apply) });
+  }
+  return curves;
+}
+
+// Profiles -----------------------------------------------------------------------------
+
+/** Returns the signed area of the polygon `points` (positive if it's counter-clockwise). */
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    let [p, q] = [points[i], points[(i + 1) % points.length]];
+    area += p[0] * q[1] - q[0] * p[1];
+  }
+  return area / 2;
+}
+
+/** Returns whether `point` lies inside the polygon `points`. */
+function insidePolygon(point, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    if ((points[i][1] > point[1]) !== (points[j][1] > point[1]) &&
+        point[0] < (points[j][0] - points[i][0]) * (point[1] - points[i][1]) / (points[j][1] - points[i][1]) + points[i][0]) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** This function chains `curves` end to end (within `tolerance`) into profiles.  Returns
+ * `{ faces: [{ outer, holes }], wires }`, where each chain is `{ curves, closed, counterClockwise }`:
+ * closed chains become faces (with the chains nested inside them as holes), open ones wires. */
+export function drawingProfiles(curves, tolerance = 1e-6) {
+  let near = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]) <= tolerance;
+  let items = curves.map((curve) => {
+    let points = curvePoints(curve);
+    return { curve: curve, points: points, used: false };
+  });
+
+  let chains = [];
+  items.forEach((item) => {
+    if (item.used) { return; }
+    item.used = true;
+    if (!item.points) { // Circles are closed on their own
+      let polygon = curvePoints({ type: "arc", center: item.curve.center, radius: item.curve.radius, startAngle: 0, endAngle: 360 });
+      chains.push({ curves: [item.curve], closed: true, polygon: polygon });
+      return;
+    }
+    let chain = [item.curve], polygon = [...item.points];
+    for (let grew = true; grew && !near(polygon[0], polygon[polygon.length - 1]);) {
+      grew = false;
+      for (let other of items) {
+        if (other.used || !other.points) { continue; }
+        let [start, end] = [other.points[0], other.points[other.points.length - 1]];
+        let last = polygon[polygon.length - 1], first = polygon[0];
+        if (near(start, last) || near(end, last)) {
+          chain.push(other.curve);
+          polygon.push(...(near(start, last) ? other.points : [...other.points].reverse()).slice(1));
+        } else if (near(end, first) || near(start, first)) {
+          chain.unshift(other.curve);
+          polygon.unshift(...(near(end, first) ? other.points : [...other.points].reverse()).slice(0, -1));
+        } else { continue; }
+        other.used = grew = true;
+        break;
+      }
+    }
+    let closed = polygon.length > 2 && near(polygon[0], polygon[polygon.length - 1]);
+    chains.push({ curves: chain, closed: closed, polygon: polygon });
+  });
+
+  // Loops inside an odd number of other loops are holes in the smallest of them
+  let loops = chains.filter((chain) => chain.closed);
+  loops.forEach((loop) => {
+    loop.counterClockwise = signedArea(loop.polygon) > 0;
+    loop.area = Math.abs(signedArea(loop.polygon));
+    loop.containers = loops.filter((other) => other !== loop && other.area > loop.area && insidePolygon(loop.polygon[0], other.polygon));
+  });
+  let faces = loops.filter((loop) => loop.containers.length % 2 === 0).map((loop) => ({ outer: loop, holes: [] }));
+  loops.filter((loop) => loop.containers.length % 2 === 1).forEach((hole) => {
+    let outer = hole.containers.filter((loop) => loop.containers.length % 2 === 0).sort((a, b) => a.area - b.area)[0];
+    faces.find((face) => face.outer === outer).holes.push(hole);
+  });
+  return { faces: faces, wires: chains.filter((chain) => !chain.closed) };
+}
@@ -0,0 +1,82 @@
+import { parseDXF, parseSVG, drawingProfiles } from "./CascadeStudioDrawingImport.js";
+import { writeDXF, writeSVG } from "./CascadeStudioDrawingExport.js";
+
+const close = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((value, i) => { expect(value).toBeCloseTo(expected[i]); });
+};
+
+/** Writes the DXF group codes and values in `groups` as the lines of a file. */
+const dxfFile = (...groups) => ["0", "SECTION", "2", "ENTITIES", ...groups.map(String), "0", "ENDSEC", "0", "EOF"].join("\n");
+
+test("reads DXF lines, arcs, and circles", () => {
+  let curves = parseDXF(writeDXF([
+    { type: "line", start: [0, 0], end: [10, 0] },
+    { type: "arc", center: [5, 5], radius: 2, startAngle: 0, endAngle: 90 },
+    { type: "circle", center: [1, 2], radius: 3 }
+  ]));
+  expect(curves).toEqual([
+    { type: "line", start: [0, 0], end: [10, 0] },
+    { type: "arc", center: [5, 5], radius: 2, startAngle: 0, endAngle: 90 },
+    { type: "circle", center: [1, 2], radius: 3 }
+  ]);
+});
+
+test("reads LWPOLYLINE bulges as arcs", () => {
+  // A closed slot: two straight sides and two half circles
+  let [bottom, right, top, left] = parseDXF(dxfFile(0, "LWPOLYLINE", 90, 4, 70, 1,
+    10, 0, 20, 0, 10, 10, 20, 0, 42, 1, 10, 10, 20, 4, 10, 0, 20, 4, 42, 1));
+  expect(bottom).toEqual({ type: "line", start: [0, 0], end: [10, 0] });
+  expect(right.type).toBe("arc");
+  close(right.center, [10, 2]); expect(right.radius).toBeCloseTo(2);
+  expect(right.startAngle).toBeCloseTo(-90); expect(right.endAngle).toBeCloseTo(90);
+  expect(top.type).toBe("line");
+  close(left.center, [0, 2]);
+});
+
+test("reads DXF splines by their control points", () => {
+  let [spline] = parseDXF(dxfFile(0, "SPLINE", 71, 2, 40, 0, 40, 0, 40, 0, 40, 1, 40, 1, 40, 1,
+    10, 0, 20, 0, 10, 1, 20, 1, 10, 2, 20, 0));
+  expect(spline).toEqual({ type: "spline", degree: 2, controlPoints: [[0, 0], [1, 1], [2, 0]],
+    knots: [0, 0, 0, 1, 1, 1], weights: [1, 1, 1] });
+});
+
+test("reads SVG paths in millimeters with Y up", () => {
+  let curves = parseSVG('<svg width="20mm" height="10mm" viewBox="0 0 40 20">' +
+    '<g transform="translate(10, 0)"><path d="M0 0 h10 q5 0 5 5 Z"/></g></svg>');
+  expect(curves.map((curve) => curve.type)).toEqual(["line", "bezier", "line"]);
+  close(curves[0].start, [5, 0]); close(curves[0].end, [10, 0]);
+  close(curves[1].points[2], [12.5, -2.5]);
+});
+
+test("reads SVG circles and circular arcs as arcs", () => {
+  let curves = parseSVG('<svg><circle cx="0" cy="0" r="5"/><path d="M 10 0 a 5 5 0 0 1 -5 5"/></svg>');
+  expect(curves.map((curve) => curve.type)).toEqual(["arc", "arc", "arc"]);
+  expect(curves[0].radius).toBeCloseTo(5);
+  // With Y up, the arc runs clockwise from (10, 0) to (5, -5), i.e. counter-clockwise back again
+  close(curves[2].center, [5, 0]);
+  expect(curves[2].startAngle).toBeCloseTo(-90); expect(curves[2].endAngle).toBeCloseTo(0);
+});
+
+test("round trips the SVG drawings it exports", () => {
+  let curves = parseSVG(writeSVG([
+    { type: "line", start: [0, 0], end: [10, 0] },
+    { type: "arc", center: [0, 0], radius: 10, startAngle: 0, endAngle: 90 },
+    { type: "line", start: [0, 10], end: [0, 0] }
+  ]));
+  expect(curves.map((curve) => curve.type)).toEqual(["line", "arc", "line"]);
+  close(curves[1].center, [0, 0]);
+  expect(curves[1].startAngle).toBeCloseTo(0); expect(curves[1].endAngle).toBeCloseTo(90);
+});
+
+test("chains curves into faces with holes and open wires", () => {
+  let square = (size) => [[0, 0], [size, 0], [size, size], [0, size]].map((p, i, points) =>
+    ({ type: "line", start: p, end: points[(i + 1) % 4] }));
+  let hole = { type: "circle", center: [5, 5], radius: 2 };
+  let scrambled = square(10).reverse();
+  let profiles = drawingProfiles([...scrambled, hole, { type: "line", start: [20, 0], end: [30, 0] }]);
+  expect(profiles.faces.length).toBe(1);
+  expect(profiles.faces[0].outer.curves.length).toBe(4);
+  expect(profiles.faces[0].holes.map((loop) => loop.curves[0])).toEqual([hole]);
+  expect(profiles.wires.length).toBe(1);
+});
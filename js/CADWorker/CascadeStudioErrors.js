@@ -0,0 +1,74 @@
+import {
+  oc,
+  opStack,
+  currentOp,
+  currentLineNumber,
+  codeInstrumentation
+} from "./CascadeStudioWorkerState";
+import { getCallingLocation } from "./CascadeStudioStandardUtils.js";
+import { toOriginalColumn } from "./CascadeStudioCodeInstrumentation.js";
+
+// Errors and warnings leave the CAD Worker as `{ type: "error", payload: describeError(...) }`
+
+/** This function converts a thrown value (or a `console.error()` message) into plain data:
+ * `{ severity, message, op, line, column, endLine, endColumn, callStack, exceptionType }`, where `callStack` lists
+ * the Standard Library ops that were running (outermost first) and `exceptionType` names the
+ * JavaScript Error or OpenCascade exception that was thrown (null for plain messages).
+ * Errors that carry their own `severity` (like the "notice" that a file is loading) keep it. */
+export function describeError(error, severity = "error") {
+  let callStack = opStack.map((frame) => Object.assign({}, frame));
+  let innermost = callStack[callStack.length - 1] || { op: currentOp, line: currentLineNumber, column: 0 };
+  let description = {
+    severity: (error && error.severity) || severity,
+    message: "",
+    op: innermost.op,
+    line: innermost.line,
+    column: innermost.column,
+    endLine: innermost.endLine,
+    endColumn: innermost.endColumn,
+    callStack: callStack,
+    exceptionType: null
+  };
+
+  if (typeof error === "number") {
+    // OpenCascade's C++ exceptions arrive as a pointer to the thrown Standard_Failure
+    description.exceptionType = openCascadeExceptionType(error);
+    description.message = "OpenCascade threw " + description.exceptionType + openCascadeExceptionMessage(error);
+  } else if (error instanceof Error) {
+    description.exceptionType = error.name;
+    description.message = error.message;
+    if (callStack.length === 0) { description.op = null; } // Thrown by the user's code, not an op
+    // Errors in the user's own code carry their location in their stack (where the browser supports it)
+    let lineAndColumn = getCallingLocation(error.stack || "");
+    if (lineAndColumn[0] > 0 && lineAndColumn[0] !== description.line) {
+      description.line      = lineAndColumn[0];
+      description.column    = toOriginalColumn(codeInstrumentation, lineAndColumn[0], lineAndColumn[1]);
+      description.endLine   = undefined;
+      description.endColumn = undefined;
+    }
+  } else {
+    description.message = typeof error === "string" ? error : JSON.stringify(error);
+  }
+  return description;
+}
+
+/** Returns the dynamic type of the OpenCascade exception at `pointer`, if this build can tell. */
+function openCascadeExceptionType(pointer) {
+  if (!oc || !oc.Standard_Failure || !oc.wrapPointer) { return "Standard_Failure"; }
+  try {
+    return oc.wrapPointer(pointer, oc.Standard_Failure).DynamicType().get().Name();
+  } catch (e) {
+    return "Standard_Failure";
+  }
+}
+
+/** Returns ": <message>" for the OpenCascade exception at `pointer`, if this build can tell. */
+function openCascadeExceptionMessage(pointer) {
+  if (!oc || !oc.Standard_Failure || !oc.wrapPointer) { return ""; }
+  try {
+    let message = oc.wrapPointer(pointer, oc.Standard_Failure).GetMessageString();
+    return message ? ": " + message : "";
+  } catch (e) {
+    return "";
+  }
+}
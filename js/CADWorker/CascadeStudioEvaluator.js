@@ -0,0 +1,232 @@
+import {
+  oc,
+  setGUIState,
+  currentShape,
+  setCurrentShape,
+  setCurrentSceneShapes,
+  setShapeMetadata,
+  shapeMetadata,
+  opNumber,
+  setOpNumber,
+  setOpStack,
+  argCache,
+  usedHashes,
+  setUsedHashes,
+  callSiteStack,
+  setCallSiteStack,
+  codeInstrumentation,
+  setCodeInstrumentation
+} from "./CascadeStudioWorkerState";
+import * as remainingGlobals from "./CascadeStudioWorkerState";
+import {
+  sceneShapes,
+  resetSceneShapes
+} from "./CascadeStudioSceneShapesService";
+import * as sceneShapesService from "./CascadeStudioSceneShapesService";
+import { ShapeToMesh } from "./CascadeStudioShapeToMesh.js";
+import { flushPersistentCache } from "./CascadeStudioPersistentCache.js";
+import { instrumentCode } from "./CascadeStudioCodeInstrumentation.js";
+import { beginProfile, profilePhase } from "./CascadeStudioProfiler.js";
+import { beginIncrementalEvaluation, resetIncrementalEvaluation } from "./CascadeStudioIncrementalEvaluation.js";
+import * as standardLibraryModule from "./CascadeStudioStandardLibrary.js";
+import { shapeAppearance, toHexColor } from "./CascadeStudioStandardUtils.js";
+const { ForEachEdge, ForEachFace, ForEachSolid } = standardLibraryModule;
+
+// This is the environment-agnostic core of the CAD Worker; it is shared by
+// the Web Worker (CascadeStudioMainWorker.js) and the headless Node runner.
+
+const runCode = code => {
+  // making the following available to eval
+  const { externalShapes } = remainingGlobals;
+  const { RemoveFromSceneShapes, sceneShapes } = sceneShapesService;
+  const {
+    Assembly,
+    BSpline,
+    Box,
+    Button,
+    ChamferEdges,
+    Checkbox,
+    Circle,
+    Color,
+    Cone,
+    Cylinder,
+    Difference,
+    Extrude,
+    FilletEdges,
+    ForEachEdge,
+    ForEachFace,
+    ForEachShell,
+    ForEachSolid,
+    ForEachVertex,
+    ForEachWire,
+    GetNumSolidsInCompound,
+    GetSolidFromCompound,
+    GetWire,
+    Import,
+    Intersection,
+    Loft,
+    Material,
+    Name,
+    Offset,
+    Part,
+    Pipe,
+    Polygon,
+    RemoveInternalEdges,
+    Revolve,
+    Rotate,
+    RotatedExtrude,
+    SaveDXF,
+    SaveSVG,
+    Scale,
+    Section,
+    Sketch,
+    Slider,
+    Sphere,
+    Text3D,
+    Transform,
+    Translate,
+    Transparent,
+    Union
+  } = standardLibraryModule;
+
+  // Instrumented calls push their source range while they run, and the shapes they return
+  // remember the first line that made them (for the Outliner)
+  const __callSite = (index, fn) => function () {
+    callSiteStack.push(codeInstrumentation.callSites[index]);
+    try {
+      let result = fn.apply(this, arguments);
+      if (result && result.ShapeType && !(shapeMetadata[result.ptr] || {}).line) {
+        shapeMetadata[result.ptr] = Object.assign(shapeMetadata[result.ptr] || {}, { line: codeInstrumentation.callSites[index].line });
+      }
+      return result;
+    } finally {
+      callSiteStack.pop();
+    }
+  };
+  eval(code);
+};
+
+/** This function evaluates `code` (the contents of the Editor Window) against
+ *  `GUIState`, filling `sceneShapes`.  If only `GUIState` changed since the last
+ *  evaluation, the ops that don't depend on the changed keys reuse their results.
+ *  Errors propagate to the caller, but unused cache entries are always pruned afterwards. */
+export function evaluateCode(code, GUIState) {
+  setOpNumber(0);
+  setOpStack([]);
+  setShapeMetadata({});
+  beginProfile();
+  setCallSiteStack([]);
+  setGUIState(GUIState);
+  setCodeInstrumentation(instrumentCode(code, Object.keys(standardLibraryModule)));
+  beginIncrementalEvaluation(code, GUIState, codeInstrumentation);
+  try {
+    runCode(codeInstrumentation.code);
+  } catch (e) {
+    resetIncrementalEvaluation();
+    throw e;
+  } finally {
+    // Clean Cache; remove unused Objects
+    for (let hash in argCache) {
+      if (!usedHashes.hasOwnProperty(hash)) { delete argCache[hash]; } }
+    setUsedHashes({});
+    flushPersistentCache();
+  }
+}
+
+/**This function accumulates all the shapes in `sceneShapes` into the `TopoDS_Compound` `currentShape`
+ * and converts them to a mesh (and a set of edges) with `ShapeToMesh()`, posting their "sceneTree". */
+export function combineSceneShapes(maxDeviation) {
+  setOpStack([]); // Forget the ops of a failed evaluation
+  // Initialize currentShape as an empty Compound Solid
+  setCurrentShape(new oc.TopoDS_Compound());
+  let sceneBuilder = new oc.BRep_Builder();
+  sceneBuilder.MakeCompound(currentShape);
+  let fullShapeEdgeHashes = {}; let fullShapeFaceHashes = {};
+  let combinedShapes = [];
+  postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": "Combining Shapes" } });
+  setOpNumber(opNumber + 1);
+
+  // If there are sceneShapes, iterate through them and add them to currentShape
+  if (sceneShapes.length > 0) {
+    profilePhase("Combining Shapes", () => {
+      for (let shapeInd = 0; shapeInd < sceneShapes.length; shapeInd++) {
+        if (!sceneShapes[shapeInd] || !sceneShapes[shapeInd].IsNull || sceneShapes[shapeInd].IsNull()) {
+          console.error("Null Shape detected in sceneShapes; skipping: " + JSON.stringify(sceneShapes[shapeInd]));
+          continue;
+        }
+        if (!sceneShapes[shapeInd].ShapeType) {
+          console.error("Non-Shape detected in sceneShapes; " +
+            "are you sure it is a TopoDS_Shape and not something else that needs to be converted to one?");
+          console.error(JSON.stringify(sceneShapes[shapeInd]));
+          continue;
+        }
+
+        // Scan the edges and faces and add to the edge list
+        Object.assign(fullShapeEdgeHashes, ForEachEdge(sceneShapes[shapeInd], (index, edge) => { }));
+        ForEachFace(sceneShapes[shapeInd], (index, face) => {
+          fullShapeFaceHashes[face.HashCode(100000000)] = index;
+        });
+
+        sceneBuilder.Add(currentShape, sceneShapes[shapeInd]);
+        combinedShapes.push(sceneShapes[shapeInd]);
+      }
+    });
+    setCurrentSceneShapes(combinedShapes);
+
+    // Use ShapeToMesh to output a set of triangulated faces and discretized edges to the 3D Viewport
+    postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": "Triangulating Faces" } });
+    setOpNumber(opNumber + 1);
+    let facesAndEdges = [[], []];
+    let sceneTree = profilePhase("Triangulating Faces", () => meshSceneShapes(combinedShapes,
+      maxDeviation, fullShapeEdgeHashes, fullShapeFaceHashes, facesAndEdges));
+    postMessage({ "type": "sceneTree", "payload": sceneTree });
+    resetSceneShapes();
+    postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": "" } }); // Finish the progress
+    return facesAndEdges;
+  } else {
+    postMessage({ "type": "sceneTree", "payload": [] });
+    console.error("There were no scene shapes returned!");
+  }
+  postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": "" } });
+}
+
+const shapeTypes = ["Compound", "CompSolid", "Solid", "Shell", "Face", "Wire", "Edge", "Vertex", "Shape"];
+
+/** This function meshes `shapes` one by one with `ShapeToMesh()` (the shapes grouped by `Part()` or
+ * `Assembly()` through their `children`), appending to `facesAndEdges`.  It returns the shapes as
+ * `{ name, kind, line, type, solids, color, faces, edges, children }` nodes for the Outliner, where
+ * `faces` and `edges` are the `[first, end)` ranges of their faces and edges in `facesAndEdges`.
+ * Each face gets the `appearance` from `shapeAppearance()` (or null, for the default look). */
+function meshSceneShapes(shapes, maxDeviation, fullShapeEdgeHashes, fullShapeFaceHashes, facesAndEdges, inherited = {}) {
+  return shapes.map((shape, index) => {
+    let metadata = shapeMetadata[shape.ptr] || {}, solids = 0;
+    let appearance = shapeAppearance(shape, inherited);
+    ForEachSolid(shape, () => { solids++; });
+    let node = {
+      name  : metadata.name || "Shape " + (index + 1),
+      kind  : metadata.kind || "shape",
+      line  : metadata.line || null,
+      type  : shapeTypes[shape.ShapeType()],
+      solids: solids,
+      color : appearance.color || null,
+      faces : [facesAndEdges[0].length],
+      edges : [facesAndEdges[1].length],
+      children: []
+    };
+    if (metadata.children && metadata.children.length > 0) {
+      node.children = meshSceneShapes(metadata.children, maxDeviation, fullShapeEdgeHashes, fullShapeFaceHashes, facesAndEdges, appearance);
+    } else {
+      let [faces, edges] = ShapeToMesh(shape, maxDeviation, fullShapeEdgeHashes, fullShapeFaceHashes);
+      let faceColors = metadata.color ? {} : shape.faceColors || {}; // Imported files can color single faces
+      faces.forEach((face, faceIndex) => {
+        face.appearance = faceColors[faceIndex] ? Object.assign({}, appearance, { color: toHexColor(faceColors[faceIndex]) }) : appearance;
+        if (Object.keys(face.appearance).length === 0) { face.appearance = null; }
+        facesAndEdges[0].push(face);
+      });
+      edges.forEach((edge) => { facesAndEdges[1].push(edge); });
+    }
+    node.faces.push(facesAndEdges[0].length);
+    node.edges.push(facesAndEdges[1].length);
+    return node;
+  });
+}
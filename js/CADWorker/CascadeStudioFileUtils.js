@@ -5,21 +5,33 @@ import {
   externalShapes,
   resetExternalShapes,
   GUIState,
-  currentShape
+  settings,
+  currentShape,
+  currentSceneShapes,
+  shapeMetadata
 } from "./CascadeStudioWorkerState";
 import {
   sceneShapes,
   resetSceneShapes
 } from "./CascadeStudioSceneShapesService";
-import { stringToHash } from "./CascadeStudioStandardUtils.js";
+import { stringToHash, shapeAppearance } from "./CascadeStudioStandardUtils.js";
+import { ForEachFace } from "./CascadeStudioStandardLibrary.js";
+import { parseDXF, parseSVG, curvePoints, drawingProfiles } from "./CascadeStudioDrawingImport.js";
+import { shapeToBREP, BREPToShape } from "./CascadeStudioShapeSerializer.js";
+import { nameSTEPProducts, leafProducts, assembleSTEP, readSTEPAssembly, axisAngle } from "./CascadeStudioSTEPAssembly.js";
 
 /** This function synchronously loads the "files" in the 
  * current project into the `externalFiles` dictionary upon startup.*/
 function loadPrexistingExternalFiles(externalFileDict) {
   console.log("Loading Pre-Existing external files...");
   for (let key in externalFileDict) {
-    if (key.includes(".stl")) {
-        importSTL       (key, externalFileDict[key].content);
+    if (key.toLowerCase().includes(".stl")) {
+        let file = externalFileDict[key];
+        importSTL       (key, file.encoding === "base64" ? base64ToBytes(file.content) : file.content, file.mergeFaces);
+    } else if (isDrawingFile(key)) {
+        importDXForSVG  (key, externalFileDict[key].content);
+    } else if (isBREPFile(key)) {
+        importBREP      (key, externalFileDict[key].content);
     } else {
         importSTEPorIGES(key, externalFileDict[key].content);
     }
@@ -27,28 +39,41 @@ function loadPrexistingExternalFiles(externalFileDict) {
 }
 messageHandlers["loadPrexistingExternalFiles"] = loadPrexistingExternalFiles;
 
-/** This function synchronously reads the text contents of a file. */
-const loadFileSync = async (file) => {
+/** This function synchronously reads the contents of a file, as text
+ * or (if `asBytes` is true) as a `Uint8Array`. */
+const loadFileSync = async (file, asBytes = false) => {
   return new Promise((resolve, reject) => {
-    resolve(new FileReaderSync().readAsText(file));
+    resolve(asBytes ? new Uint8Array(new FileReaderSync().readAsArrayBuffer(file)) :
+                      new FileReaderSync().readAsText(file));
   });
 }
 
 /** This function synchronously loads a list of files into the 
- * `externalShapes` dictionary and renders them to the viewport. */
-function loadFiles(files) {
+ * `externalShapes` dictionary and renders them to the viewport.
+ * `payload.options.mergeFaces` merges the coplanar triangles of `.stl` files. */
+function loadFiles(payload) {
+  let files = payload.files, options = payload.options || {};
   let extFiles = {};
   resetSceneShapes();
   for (let i = 0; i < files.length; i++) {
-    var lastImportedShape = null;
-    loadFileSync(files[i]).then(async (fileText) => {
-      let fileName = files[i].name;
-      if (fileName.toLowerCase().includes(".stl")) {
-        lastImportedShape = importSTL(fileName, fileText);
+    let lastImportedShape = null;
+    let fileName = files[i].name;
+    let isSTL = fileName.toLowerCase().includes(".stl");
+    loadFileSync(files[i], isSTL).then(async (fileContents) => {
+      if (isSTL) {
+        // STL files may be binary; they're stored in the project as base64
+        lastImportedShape = importSTL(fileName, fileContents, options.mergeFaces);
+        extFiles[fileName] = { content: bytesToBase64(fileContents), encoding: "base64", mergeFaces: !!options.mergeFaces };
+      } else if (isDrawingFile(fileName)) {
+        lastImportedShape = importDXForSVG(fileName, fileContents);
+        extFiles[fileName] = { content: fileContents };
+      } else if (isBREPFile(fileName)) {
+        lastImportedShape = importBREP(fileName, fileContents);
+        extFiles[fileName] = { content: fileContents };
       } else {
-        lastImportedShape = importSTEPorIGES(fileName, fileText);
+        lastImportedShape = importSTEPorIGES(fileName, fileContents);
+        extFiles[fileName] = { content: fileContents };
       }
-      extFiles[fileName] = { content: fileText };
     }).then(async () => {
       if (lastImportedShape) {
         sceneShapes.push(lastImportedShape);
@@ -69,19 +94,22 @@ function loadFiles(files) {
 messageHandlers["loadFiles"] = loadFiles;
 
 /** This function parses the ASCII contents of a `.STEP` or `.IGES` 
- * File as a Shape into the `externalShapes` dictionary. */
-function importSTEPorIGES(fileName, fileText) {
-  // Writes the uploaded file to Emscripten's Virtual Filesystem
-  oc.FS.createDataFile("/", fileName, fileText, true, true);
-
+ * File as a Shape into the `externalShapes` dictionary.  The parts of a `.STEP`
+ * file are also exposed by name, e.g. `externalShapes['file.step'].children['Bolt_M3']`,
+ * unless `keepAssembly` is false. */
+function importSTEPorIGES(fileName, fileText, keepAssembly = true) {
   // Choose the correct OpenCascade file parsers to read the CAD file
   var reader = null; let tempFilename = fileName.toLowerCase();
   if (tempFilename.endsWith(".step") || tempFilename.endsWith(".stp")) {
+    if (keepAssembly) { return importAssemblySTEP(fileName, fileText); }
     reader = new oc.STEPControl_Reader();
   } else if (tempFilename.endsWith(".iges") || tempFilename.endsWith(".igs")) {
     reader = new oc.IGESControl_Reader();
   } else { console.error("opencascade.js can't parse this extension! (yet)"); }
 
+  // Writes the uploaded file to Emscripten's Virtual Filesystem
+  oc.FS.createDataFile("/", fileName, fileText, true, true);
+
   let readResult = reader.ReadFile(fileName);            // Read the file
   if (readResult === 1) {
     console.log(fileName + " loaded successfully!     Converting to OCC now...");
@@ -99,67 +127,439 @@ function importSTEPorIGES(fileName, fileText) {
     return externalShapes[fileName];
   } else {
     console.error("Something in OCCT went wrong trying to read " + fileName);
+    oc.FS.unlink("/" + fileName);
+    return null;
+  }
+}
+
+/** This function reads the `.STEP` file `fileName` into the `externalShapes` dictionary, keeping
+ * the assembly tree, part names and colors that `readSTEPAssembly()` finds in its text.  Each
+ * part is transferred on its own, then moved to where the assembly places it. */
+function importAssemblySTEP(fileName, fileText) {
+  let assembly = readSTEPAssembly(fileText);
+  oc.FS.createDataFile("/", fileName, assembly.flatText, true, true);
+  let reader = new oc.STEPControl_Reader(), readResult = reader.ReadFile(fileName);
+  oc.FS.unlink("/" + fileName);
+  if (readResult !== 1) {
+    console.error("Something in OCCT went wrong trying to read " + fileName);
+    return null;
+  }
+  console.log(fileName + " loaded successfully!     Converting to OCC now...");
+
+  // Transfer each product definition on its own, in the order the reader lists them
+  let shapes = {};
+  if (reader.NbRootsForTransfer() === assembly.definitions.length) {
+    assembly.definitions.forEach((definition, index) => {
+      let transferred = reader.NbShapes();
+      reader.TransferOneRoot(index + 1);
+      if (reader.NbShapes() > transferred) { shapes[definition] = reader.Shape(reader.NbShapes()); }
+    });
+  }
+
+  // Place the parts, collecting the colors of their faces into the assemblies they're in
+  let placePart = (node) => {
+    if (node.children.length === 0) {
+      if (!shapes[node.definition]) { return null; }
+      let shape = shapes[node.definition].Moved(new oc.TopLoc_Location(transformToTrsf(node.transform))), faceCount = 0;
+      ForEachFace(shape, () => { faceCount++; });
+      return { name: node.name, color: node.color, shape: shape, children: [], faceColors: node.faceColors, faceCount: faceCount };
+    }
+    let part = { name: node.name, color: null, shape: new oc.TopoDS_Compound(), children: [], faceColors: {}, faceCount: 0 };
+    let builder = new oc.BRep_Builder();
+    builder.MakeCompound(part.shape);
+    node.children.map(placePart).filter((child) => child).forEach((child) => {
+      builder.Add(part.shape, child.shape);
+      for (let i = 0; i < child.faceCount; i++) {
+        let color = child.faceColors[i] || child.color;
+        if (color) { part.faceColors[part.faceCount + i] = color; }
+      }
+      part.faceCount += child.faceCount;
+      part.children.push(child);
+    });
+    return part;
+  };
+  let root = placePart({ name: fileName, children: assembly.roots });
+  if (root.faceCount === 0) {
+    console.log("The parts of " + fileName + " couldn't be told apart; importing it as a single shape.");
+    return importSTEPorIGES(fileName, fileText, false);
+  }
+
+  // A single root is the file itself, so its children are the file's children
+  if (root.children.length === 1) { root = root.children[0]; }
+  externalShapes[fileName] = new oc.TopoDS_Shape(root.shape);
+  externalShapes[fileName].hash = stringToHash(fileName);
+  externalShapes[fileName].color = root.color;
+  externalShapes[fileName].faceColors = root.faceColors;
+  externalShapes[fileName].children = partDictionary(root.children, fileName);
+  console.log("Shape Import complete! Use sceneShapes.push(externalShapes['" + fileName + "']); to add it to the scene!");
+  return externalShapes[fileName];
+}
+
+/** Converts a rigid `transform` (`{ rotation, translation }`, from `readSTEPAssembly()`) into a `gp_Trsf`. */
+function transformToTrsf(transform) {
+  let trsf = new oc.gp_Trsf(), rotation = axisAngle(transform.rotation);
+  if (rotation.angle > 1e-9) {
+    trsf.SetRotation(new oc.gp_Ax1(new oc.gp_Pnt(0, 0, 0), new oc.gp_Dir(new oc.gp_Vec(
+      rotation.axis[0], rotation.axis[1], rotation.axis[2]))), rotation.angle);
+  }
+  trsf.SetTranslationPart(new oc.gp_Vec(transform.translation[0], transform.translation[1], transform.translation[2]));
+  return trsf;
+}
+
+/** This function turns `parts` (`{ name, color, shape, children, faceColors }`) into a
+ * dictionary of shapes by name, numbering repeated names (`Bolt`, `Bolt_2`, ...).  Each shape
+ * carries its `name`, `color`, `faceColors` and its own `children` dictionary. */
+function partDictionary(parts, path) {
+  let dictionary = {};
+  parts.forEach((part) => {
+    let name = part.name, count = 1;
+    while (name in dictionary) { name = part.name + "_" + (++count); }
+    let shape = new oc.TopoDS_Shape(part.shape);
+    shape.hash       = stringToHash(path + "/" + name);
+    shape.name       = name;
+    shape.color      = part.color;
+    shape.faceColors = part.faceColors || {};
+    shape.children   = partDictionary(part.children, path + "/" + name);
+    dictionary[name] = shape;
+  });
+  return dictionary;
+}
+
+/** Returns whether `fileName` is in OpenCascade's native `.brep` format. */
+function isBREPFile(fileName) {
+  return /\.(brep|brp)$/i.test(fileName);
+}
+
+/** This function parses the text of a `.BREP` file as a Shape into the `externalShapes` dictionary.
+ * Unlike STEP and IGES, BREP files hold the shape exactly as OpenCascade stores it. */
+function importBREP(fileName, fileText) {
+  if (!oc.BRepTools) {
+    console.error("This build of opencascade.js can't read " + fileName + "; it lacks BRepTools.");
     return null;
   }
+  let shape = BREPToShape(fileText, fileName);
+  if (shape.IsNull()) {
+    console.error("Something in OCCT went wrong trying to read " + fileName + "!");
+    return null;
+  }
+  console.log(fileName + " loaded successfully!");
+
+  // Add to the externalShapes dictionary
+  externalShapes[fileName] = shape;
+  externalShapes[fileName].hash = stringToHash(fileName);
+  console.log("Shape Import complete! Use sceneShapes.push(externalShapes['" + fileName + "']); to see it!");
+  return externalShapes[fileName];
 }
 
-/** This function parses the contents of an ASCII .STL File as a Shape 
- * into the `externalShapes` dictionary. */
-function importSTL(fileName, fileText) {
+/** Returns whether `fileName` is a 2D `.dxf` or `.svg` drawing. */
+function isDrawingFile(fileName) {
+  return /\.(dxf|svg)$/i.test(fileName);
+}
+
+/** This function parses the text of a `.DXF` or `.SVG` drawing as a Shape into the
+ * `externalShapes` dictionary.  Its curves are chained into wires in the XY plane; closed
+ * wires become faces (with the wires inside them as holes), ready to `Extrude()` or `Revolve()`. */
+function importDXForSVG(fileName, fileText) {
+  let curves = fileName.toLowerCase().endsWith(".svg") ? parseSVG(fileText) : parseDXF(fileText);
+  if (curves.length === 0) { console.error("Found no curves to import in " + fileName + "!"); return null; }
+  let profiles = drawingProfiles(curves, 1e-4);
+
+  let profileShapes = [];
+  profiles.faces.forEach((face) => {
+    let faceBuilder = new oc.BRepBuilderAPI_MakeFace(drawingWire(face.outer.curves));
+    let currentFace = faceBuilder.Face();
+    face.holes.forEach((hole) => {
+      // Holes have to wind the opposite way around from the outside of the face
+      let holeWire = drawingWire(hole.curves);
+      if (hole.counterClockwise === face.outer.counterClockwise) { holeWire = holeWire.Reversed(); }
+      currentFace = new oc.BRepBuilderAPI_MakeFace(currentFace, holeWire).Face();
+    });
+    profileShapes.push(currentFace);
+  });
+  profiles.wires.forEach((wire) => { profileShapes.push(drawingWire(wire.curves)); });
+
+  let importedShape = profileShapes[0];
+  if (profileShapes.length > 1) {
+    importedShape = new oc.TopoDS_Compound();
+    let builder = new oc.BRep_Builder();
+    builder.MakeCompound(importedShape);
+    profileShapes.forEach((profileShape) => { builder.Add(importedShape, profileShape); });
+  }
+  console.log(fileName + " loaded " + profiles.faces.length + " faces and " + profiles.wires.length + " open wires.");
+
+  // Add to the externalShapes dictionary
+  externalShapes[fileName] = new oc.TopoDS_Shape(importedShape);
+  externalShapes[fileName].hash = stringToHash(fileName);
+  console.log("Shape Import complete! Use sceneShapes.push(externalShapes['" + fileName + "']); to see it!");
+  return externalShapes[fileName];
+}
+
+/** Builds a wire in the XY plane from the chained 2D `curves` (see `drawingProfiles()`). */
+function drawingWire(curves) {
+  let toPnt = (p) => new oc.gp_Pnt(p[0], p[1], 0);
+  let toPoles = (points) => {
+    let ptList = new oc.TColgp_Array1OfPnt(1, points.length);
+    points.forEach((p, i) => { ptList.SetValue(i + 1, toPnt(p)); });
+    return ptList;
+  };
+  let wireBuilder = new oc.BRepBuilderAPI_MakeWire();
+  curves.forEach((curve) => {
+    let edge = null;
+    if (curve.type === "line") {
+      edge = new oc.BRepBuilderAPI_MakeEdge(new oc.GC_MakeSegment(toPnt(curve.start), toPnt(curve.end)).Value()).Edge();
+    } else if (curve.type === "circle") {
+      let circle = new oc.GC_MakeCircle(new oc.gp_Ax2(toPnt(curve.center), new oc.gp_Dir(0, 0, 1)), curve.radius).Value();
+      edge = new oc.BRepBuilderAPI_MakeEdge(circle).Edge();
+    } else if (curve.type === "arc") {
+      let points = curvePoints(curve);
+      let arc = new oc.GC_MakeArcOfCircle(toPnt(points[0]), toPnt(points[points.length >> 1]), toPnt(points[points.length - 1])).Value();
+      edge = new oc.BRepBuilderAPI_MakeEdge(arc).Edge();
+    } else if (curve.type === "bezier") {
+      edge = new oc.BRepBuilderAPI_MakeEdge(new oc.Handle_Geom_BezierCurve(new oc.Geom_BezierCurve(toPoles(curve.points)))).Edge();
+    } else if (curve.controlPoints) {
+      // Knot vectors list repeated knots; OpenCascade wants each knot once with its multiplicity
+      let knots = [], multiplicities = [];
+      curve.knots.forEach((knot) => {
+        if (knots.length && Math.abs(knot - knots[knots.length - 1]) < 1e-12) { multiplicities[multiplicities.length - 1]++; }
+        else { knots.push(knot); multiplicities.push(1); }
+      });
+      let [weightList, knotList, multList] = [new oc.TColStd_Array1OfReal(1, curve.weights.length),
+        new oc.TColStd_Array1OfReal(1, knots.length), new oc.TColStd_Array1OfInteger(1, knots.length)];
+      curve.weights.forEach((weight, i) => { weightList.SetValue(i + 1, weight); });
+      knots.forEach((knot, i) => { knotList.SetValue(i + 1, knot); multList.SetValue(i + 1, multiplicities[i]); });
+      let spline = new oc.Geom_BSplineCurve(toPoles(curve.controlPoints), weightList, knotList, multList, curve.degree);
+      edge = new oc.BRepBuilderAPI_MakeEdge(new oc.Handle_Geom_BSplineCurve(spline)).Edge();
+    } else {
+      edge = new oc.BRepBuilderAPI_MakeEdge(new oc.GeomAPI_PointsToBSpline(toPoles(curve.fitPoints)).Curve()).Edge();
+    }
+    wireBuilder.Add(new oc.BRepBuilderAPI_MakeWire(edge).Wire());
+  });
+  return wireBuilder.Wire();
+}
+
+/** This function parses the contents of an ASCII or binary .STL File (as a
+ * string or `Uint8Array`) as a Shape into the `externalShapes` dictionary.
+ * The triangles are sewn together into solids; if `mergeFaces` is true,
+ * coplanar triangles are merged into larger faces as well. */
+function importSTL(fileName, fileContents, mergeFaces = false) {
   // Writes the uploaded file to Emscripten's Virtual Filesystem
-  oc.FS.createDataFile("/", fileName, fileText, true, true);
+  oc.FS.createDataFile("/", fileName, fileContents, true, true);
 
-  // Choose the correct OpenCascade file parsers to read the STL file
+  // StlAPI_Reader detects whether the file is ASCII or binary by itself
   var reader    = new oc.StlAPI_Reader();
   let readShape = new oc.TopoDS_Shape ();
+  let readResult = reader.Read(readShape, fileName);
 
-  if (reader.Read(readShape, fileName)) {
-    console.log(fileName + " loaded successfully!     Converting to OCC now...");
-    
-    // Convert Shell to Solid as is expected
-    let solidSTL = new oc.BRepBuilderAPI_MakeSolid();
-    solidSTL.Add(new oc.TopoDS_Shape(readShape));
+  // Remove the file when we're done (otherwise we run into errors on reupload)
+  oc.FS.unlink("/" + fileName);
 
-    // Add to the externalShapes dictionary
-    externalShapes[fileName] = new oc.TopoDS_Shape(solidSTL.Solid());
-    externalShapes[fileName].hash = stringToHash(fileName);
-    console.log("Shape Import complete! Use sceneShapes.push(externalShapes['" + fileName + "']); to see it!");
-    
-    // Remove the file when we're done (otherwise we run into errors on reupload)
-    oc.FS.unlink("/" + fileName);
-    
-    return externalShapes[fileName];
-  } else {
-    console.log("Something in OCCT went wrong trying to read " + fileName + ".  \n" +
-      "Cascade Studio only imports small ASCII stl files for now!");
+  if (!readResult) {
+    console.error("Something in OCCT went wrong trying to read " + fileName + "!");
     return null;
   }
+  console.log(fileName + " loaded successfully!     Sewing the triangles together now...");
+
+  // The triangles only share vertices; sew them into shells with shared edges
+  let sewing = new oc.BRepBuilderAPI_Sewing(1e-6);
+  sewing.Add(readShape);
+  sewing.Perform();
+  let sewedShape = sewing.SewedShape();
+
+  // Each closed shell becomes a solid; without any, report why the mesh isn't watertight
+  let importedShape = sewedShape;
+  if (sewing.NbFreeEdges() > 0 || sewing.NbMultipleEdges() > 0) {
+    console.error(fileName + " isn't watertight (" + sewing.NbFreeEdges() + " edges border only one triangle, " +
+      sewing.NbMultipleEdges() + " edges border more than two), so it was imported as a shell instead of a solid.");
+  } else {
+    let solids = new oc.TopoDS_Compound(), builder = new oc.BRep_Builder(), numSolids = 0;
+    builder.MakeCompound(solids);
+    let anExplorer = new oc.TopExp_Explorer(sewedShape, oc.TopAbs_SHELL);
+    for (anExplorer.Init(sewedShape, oc.TopAbs_SHELL); anExplorer.More(); anExplorer.Next()) {
+      let solidSTL = new oc.BRepBuilderAPI_MakeSolid();
+      solidSTL.Add(oc.TopoDS.prototype.Shell(anExplorer.Current()));
+      if (!solidSTL.IsDone()) { continue; }
+      // Triangles wound the wrong way around make an inside-out solid with a negative volume
+      let solid = solidSTL.Solid(), properties = new oc.GProp_GProps();
+      oc.BRepGProp.prototype.VolumeProperties(solid, properties);
+      builder.Add(solids, properties.Mass() < 0 ? solid.Reversed() : solid);
+      numSolids++;
+    }
+    if (numSolids === 1) {
+      let solidExplorer = new oc.TopExp_Explorer(solids, oc.TopAbs_SOLID);
+      solidExplorer.Init(solids, oc.TopAbs_SOLID);
+      importedShape = solidExplorer.Current();
+    } else if (numSolids > 1) {
+      importedShape = solids;
+    }
+  }
+
+  if (mergeFaces) {
+    let unifier = new oc.ShapeUpgrade_UnifySameDomain(importedShape, true, true, false);
+    unifier.Build();
+    importedShape = unifier.Shape();
+  }
+
+  // Add to the externalShapes dictionary
+  externalShapes[fileName] = new oc.TopoDS_Shape(importedShape);
+  externalShapes[fileName].hash = stringToHash(fileName);
+  console.log("Shape Import complete! Use sceneShapes.push(externalShapes['" + fileName + "']); to see it!");
+  return externalShapes[fileName];
 }
 
-/** This function returns `currentShape` `.STEP` file content.  
- * `currentShape` is set upon the successful completion of `combineAndRenderShapes()`.  */
+/** Encodes `bytes` (a `Uint8Array`) as a base64 string. */
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/** Decodes a base64 string into a `Uint8Array`. */
+function base64ToBytes(base64) {
+  let binary = atob(base64), bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) { bytes[i] = binary.charCodeAt(i); }
+  return bytes;
+}
+
+/** This function returns the scene shapes of the last render as `.STEP` file content, each
+ * top-level shape a product named after `Name()` (or "Shape N"), carrying its color and
+ * nested `children`.  Several of them are placed in a root assembly named after `filename`. */
 function saveShapeSTEP (filename = "CascadeStudioPart.step") {
-  let writer = new oc.STEPControl_Writer();
-  // Convert to a .STEP File
-  let transferResult = writer.Transfer(currentShape, 0);
-  if (transferResult === 1) {
-    // Write the STEP File to the virtual Emscripten Filesystem Temporarily
-    let writeResult = writer.Write(filename);
-    if (writeResult === 1) {
-      // Read the STEP File from the filesystem and clean up
-      let stepFileText = oc.FS.readFile("/" + filename, { encoding:"utf8" });
-      oc.FS.unlink("/" + filename);
-
-      // Return the contents of the STEP File
-      return stepFileText;
-    }else{
-      console.error("WRITE STEP FILE FAILED.");
+  let products = stepProducts(currentSceneShapes.length > 0 ? currentSceneShapes : [currentShape]);
+  let root = products.length === 1 ? products[0] : { name: filename.replace(/\.[^.]*$/, ""), color: null, children: products };
+  let leaves = leafProducts(root);
+  if (!writeFlatSTEP(leaves, filename)) { return; }
+
+  // Read the STEP File from the filesystem and clean up
+  let stepFileText = oc.FS.readFile("/" + filename, { encoding:"utf8" });
+  oc.FS.unlink("/" + filename);
+
+  // Name the products, then assemble and color them
+  stepFileText = nameSTEPProducts(stepFileText, leaves.map((product) => product.name));
+  if (root.children.length > 0 || leaves.some((product) => product.color)) {
+    let assembled = assembleSTEP(stepFileText, root);
+    if (assembled) { stepFileText = assembled; } else {
+      console.error("The STEP file couldn't be assembled; its products are written flat and uncolored.");
     }
-  }else{
-    console.error("TRANSFER TO STEP WRITER FAILED.");
   }
+
+  // Return the contents of the STEP File
+  return stepFileText;
 }
 messageHandlers["saveShapeSTEP"] = saveShapeSTEP;
 
+/** This function describes `shapes` as a tree of `{ name, color, shape, children }` products,
+ * using the `shapeMetadata` assigned during the evaluation; a `Part()` is a single product. */
+function stepProducts(shapes) {
+  return shapes.map((shape, index) => {
+    let metadata = shapeMetadata[shape.ptr] || {};
+    return {
+      name    : metadata.name  || "Shape " + (index + 1),
+      color   : shapeAppearance(shape).color || null,
+      shape   : shape,
+      children: metadata.kind === "part" ? [] : stepProducts(metadata.children || [])
+    };
+  });
+}
+
+/** This function writes `products` to `filename` as separate root products
+ * through `STEPControl_Writer`; the names are assigned afterwards by `nameSTEPProducts()`,
+ * and the assemblies and colors by `assembleSTEP()`. */
+function writeFlatSTEP(products, filename) {
+  let writer = new oc.STEPControl_Writer();
+  // Convert each product to a .STEP product of its own
+  let transferred = products.every((product) => writer.Transfer(product.shape, 0) === 1);
+  if (!transferred) { console.error("TRANSFER TO STEP WRITER FAILED."); return false; }
+  // Write the STEP File to the virtual Emscripten Filesystem Temporarily
+  if (writer.Write(filename) !== 1) { console.error("WRITE STEP FILE FAILED."); return false; }
+  return true;
+}
+
+/** This function returns `currentShape` as `.BREP` file content. */
+function saveShapeBREP(filename = "CascadeStudioPart.brep") {
+  if (!oc.BRepTools) {
+    console.error("This build of opencascade.js can't write .brep files; it lacks BRepTools.");
+    return null;
+  }
+  let brepText = shapeToBREP(currentShape, filename);
+  if (brepText === null) { console.error("WRITE BREP FILE FAILED."); }
+  return brepText;
+}
+messageHandlers["saveShapeBREP"] = saveShapeBREP;
+
+/** This function reports which optional parts of OpenCascade this build of opencascade.js
+ * includes (`{ brep, exactSection }`), so the Main Page and the CLI only offer what works. */
+function capabilities() {
+  return { brep: !!oc.BRepTools, exactSection: !!oc.BRepAlgoAPI_Section };
+}
+messageHandlers["capabilities"] = capabilities;
+
 /** Removes the externally imported shapes/files from the project. */ 
 messageHandlers["clearExternalFiles"] = resetExternalShapes;
+
+// `Import()` reads files from URLs (synchronously, which Workers may do) or, for relative paths,
+// from the project folder opened on the Main Page.  The Main Page sends each of those files the
+// first time it's asked for, and again (then re-evaluates) whenever it changes on disk.
+// The Headless runner reads its own folder instead (see `setProjectFileReader()`).
+let projectFiles  = {}; // path -> the Uint8Array contents sent by the Main Page
+let importedFiles = {}; // path -> { hash, shape } of the last import of that file
+
+let readProjectFile = (filePath) => {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(filePath)) {
+    let request = new XMLHttpRequest();
+    request.open("GET", filePath, false);
+    request.responseType = "arraybuffer";
+    request.send();
+    if (request.status >= 400) { throw new Error("Import() couldn't download " + filePath + " (HTTP " + request.status + ")"); }
+    return new Uint8Array(request.response);
+  }
+  if (!(filePath in projectFiles)) {
+    postMessage({ type: "requestProjectFile", payload: filePath });
+    // Not a mistake in the script, so it's reported as a notice rather than an error
+    let loading = new Error("Loading " + filePath + " from the project folder; the script will run again once it arrives.");
+    loading.severity = "notice";
+    throw loading;
+  }
+  return projectFiles[filePath];
+};
+
+/** Replaces how `Import()` reads `filePath`; `reader(filePath)` returns the file's bytes. */
+export function setProjectFileReader(reader) { readProjectFile = reader; }
+
+/** This function returns the shape in the file at `filePath` (a URL, or a path relative to the
+ * project folder), parsing it again only when its contents changed since the last import. */
+export function importProjectFile(filePath) {
+  let bytes = readProjectFile(filePath);
+  let hash = bytesToHash(bytes);
+  if (importedFiles[filePath] && importedFiles[filePath].hash === hash) { return importedFiles[filePath].shape; }
+
+  // The importers file their shapes under the file's name in `externalShapes`; leave that as it was
+  let fileName = filePath.split(/[\\/?#]/).filter((part) => part).pop(), previous = externalShapes[fileName];
+  let shape = null;
+  if (/\.stl$/i.test(fileName)) {
+    shape = importSTL(fileName, bytes, settings["Merge STL Faces"]);
+  } else if (isDrawingFile(fileName)) {
+    shape = importDXForSVG(fileName, new TextDecoder().decode(bytes));
+  } else if (isBREPFile(fileName)) {
+    shape = importBREP(fileName, new TextDecoder().decode(bytes));
+  } else if (/\.(step|stp|iges|igs)$/i.test(fileName)) {
+    shape = importSTEPorIGES(fileName, new TextDecoder().decode(bytes));
+  }
+  if (previous) { externalShapes[fileName] = previous; } else { delete externalShapes[fileName]; }
+  if (!shape) { throw new Error("Import() couldn't read " + filePath + "; it must be a STEP, IGES, STL, DXF, SVG or BREP file."); }
+
+  shape.hash = hash;
+  importedFiles[filePath] = { hash: hash, shape: shape };
+  return shape;
+}
+
+/** This function converts the bytes of a file to a 32bit integer. */
+function bytesToHash(bytes) {
+  let hash = bytes.length;
+  for (let i = 0; i < bytes.length; i++) { hash = (((hash << 5) - hash) + bytes[i]) | 0; }
+  return hash;
+}
+
+/** Receives (new versions of) the project folder's files from the Main Page. */
+messageHandlers["setProjectFiles"] = (files) => { Object.assign(projectFiles, files); };
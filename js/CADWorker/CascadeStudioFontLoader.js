@@ -3,20 +3,29 @@ import openType from "opentype.js";
 export const fonts = {};
 
 // Preload the Various Fonts that are available via Text3D
-var preloadedFonts = [
+export const preloadedFonts = [
   "fonts/Roboto.ttf",
   "fonts/Papyrus.ttf",
   "fonts/Consolas.ttf"
 ];
 
-Promise.all(preloadedFonts.map(async fontURL => fetch("/" + fontURL))).then(
-  async responses => {
-    const arrayBuffers = await Promise.all(
-      responses.map(response => response.arrayBuffer())
-    );
-    arrayBuffers.forEach((buffer, index) => {
-      let fontName = preloadedFonts[index].split("fonts/")[1].split(".ttf")[0];
-      fonts[fontName] = openType.parse(buffer);
-    });
-  }
-);
+/** This function parses the font file contents in `buffer` and registers it
+ * in `fonts` under the name from its `fontURL` (e.g. "fonts/Roboto.ttf" -> "Roboto"). */
+export function loadFont(fontURL, buffer) {
+  let fontName = fontURL.split("fonts/")[1].split(".ttf")[0];
+  fonts[fontName] = openType.parse(buffer);
+}
+
+// Web Workers fetch the fonts from the server; the headless runner loads them from disk itself
+if (typeof importScripts === "function") {
+  Promise.all(preloadedFonts.map(async fontURL => fetch("/" + fontURL))).then(
+    async responses => {
+      const arrayBuffers = await Promise.all(
+        responses.map(response => response.arrayBuffer())
+      );
+      arrayBuffers.forEach((buffer, index) => {
+        loadFont(preloadedFonts[index], buffer);
+      });
+    }
+  );
+}
@@ -0,0 +1,88 @@
+// Incremental Evaluation
+// Dragging a `realTime` Slider re-runs the whole script, but most of its ops don't depend
+// on that Slider.  The script is split into top-level statements, which are grouped by the
+// variables they share (so values flowing from one statement to another stay in one group),
+// and each group depends on the GUIState keys its Sliders and Checkboxes read.  When the code
+// hasn't changed since the last evaluation, the ops called from groups that don't depend on
+// the changed GUIState keys return their previous results without being hashed or recomputed;
+// only the dependent ops go through the cache.  Groups that touch `sceneShapes`,
+// `externalShapes`, or randomness always run.
+import { groupStatements } from "./CascadeStudioCodeInstrumentation.js";
+
+let lastCode = null, lastGUIState = {};
+let statementGroups = []; // For each statement, the index of its group
+let siteStatements  = []; // For each call site, the index of its statement
+let siteIndices = new Map(); // call site -> index
+let groupReads = [], groupVolatile = [];
+let cleanGroups = new Set();
+let previousResults = {}, currentResults = {};
+let keyStack = [], occurrences = {};
+
+/** Prepares for evaluating `code` (already instrumented into `instrumentation`) against
+ * `GUIState`, determining which ops can reuse their results from the last evaluation. */
+export function beginIncrementalEvaluation(code, GUIState, instrumentation) {
+  let unchanged = code === lastCode && GUIState["Cache?"];
+  let changedKeys = new Set(Object.keys(Object.assign({}, lastGUIState, GUIState)).filter(
+    (key) => JSON.stringify(lastGUIState[key]) !== JSON.stringify(GUIState[key])));
+  if (!unchanged) { analyzeCode(code, instrumentation); }
+
+  cleanGroups = new Set();
+  if (unchanged) {
+    groupReads.forEach((reads, group) => {
+      if (!groupVolatile[group] && ![...reads].some((key) => changedKeys.has(key))) { cleanGroups.add(group); }
+    });
+  }
+  siteIndices = new Map(instrumentation.callSites.map((site, index) => [site, index]));
+  groupReads = groupReads.map(() => new Set()); // Gathered again by `trackGUIStateRead()`
+  previousResults = unchanged ? currentResults : {};
+  currentResults = {}; keyStack = []; occurrences = {};
+  lastCode = code; lastGUIState = JSON.parse(JSON.stringify(GUIState));
+}
+
+/** Forgets the last evaluation (e.g. because it failed), so the next one runs in full. */
+export function resetIncrementalEvaluation() {
+  lastCode = null; previousResults = {}; currentResults = {};
+}
+
+/** Records that the Slider or Checkbox at `callSite` read `GUIState[key]`. */
+export function trackGUIStateRead(key, callSite) {
+  let group = groupOf(callSite);
+  if (group >= 0) { groupReads[group].add(key); }
+}
+
+/** Starts tracking an `op` called from `callSite`; returns the key identifying this call, which
+ * is the same between evaluations as long as the code and the ops' control flow are. */
+export function beginTrackedOp(op, callSite) {
+  let index = siteIndices.has(callSite) ? siteIndices.get(callSite) : -1;
+  let counter = (keyStack[keyStack.length - 1] || "") + "/" + index + ":" + op;
+  occurrences[counter] = (occurrences[counter] || 0) + 1;
+  let key = counter + "#" + occurrences[counter];
+  keyStack.push(key);
+  return key;
+}
+
+/** Returns the result of the op `key` from the last evaluation if it can't have changed, or null. */
+export function reusableResult(key, callSite) {
+  return cleanGroups.has(groupOf(callSite)) ? previousResults[key] || null : null;
+}
+
+/** Records the `result` of the op `key` for the next evaluation. */
+export function endTrackedOp(key, result) {
+  if (result) { currentResults[key] = result; }
+  if (keyStack.lastIndexOf(key) >= 0) { keyStack.length = keyStack.lastIndexOf(key); }
+}
+
+/** Returns the index of the statement group containing `callSite`, or -1. */
+function groupOf(callSite) {
+  let index = siteIndices.get(callSite);
+  return index === undefined ? -1 : statementGroups[siteStatements[index]];
+}
+
+/** Groups the statements of `code` by the variables they share. */
+function analyzeCode(code, instrumentation) {
+  let analysis = groupStatements(code, instrumentation.callSites);
+  statementGroups = analysis.statementGroups;
+  siteStatements  = analysis.siteStatements;
+  groupReads      = analysis.groupMentions.map(() => new Set());
+  groupVolatile   = analysis.groupMentions.map((mentions) => mentions.size > 0);
+}
@@ -2,78 +2,22 @@ import "babel-polyfill";
 import { initOpenCascade } from "../../static_node_modules/opencascade.js";
 
 import {
-  oc,
   setOc,
-  messageHandlers,
-  setGUIState,
-  currentShape,
-  setCurrentShape,
-  opNumber,
-  setOpNumber,
-  currentLineNumber,
-  argCache,
-  currentOp,
-  usedHashes,
-  setUsedHashes
+  setSettings,
+  settings,
+  messageHandlers
 } from "./CascadeStudioWorkerState";
-import * as remainingGlobals from "./CascadeStudioWorkerState";
-import {
-  sceneShapes,
-  resetSceneShapes
-} from "./CascadeStudioSceneShapesService";
-import * as sceneShapesService from "./CascadeStudioSceneShapesService";
-import { ShapeToMesh } from "./CascadeStudioShapeToMesh.js";
-import * as standardLibraryModule from "./CascadeStudioStandardLibrary.js";
-const { ForEachEdge, ForEachFace } = standardLibraryModule;
+import { evaluateCode, combineSceneShapes } from "./CascadeStudioEvaluator.js";
+import { describeError } from "./CascadeStudioErrors.js";
+import { getProfile } from "./CascadeStudioProfiler.js";
+import "./CascadeStudioFileUtils.js"; // Registers the file import/export messageHandlers
+import "./CascadeStudioMeshExport.js"; // Registers the mesh export messageHandlers
+import "./CascadeStudioDrawingExport.js"; // Registers the drawing export messageHandlers
+import { loadPersistentCache } from "./CascadeStudioPersistentCache.js";
+import { partitionCode, evaluateInPool } from "./CascadeStudioWorkerPool.js";
 
 // Capture Logs and Errors and forward them to the main thread
 
-const runCode = code => {
-  // making the following available to eval
-  const { externalShapes } = remainingGlobals;
-  const { RemoveFromSceneShapes, sceneShapes } = sceneShapesService;
-  const {
-    BSpline,
-    Box,
-    Button,
-    ChamferEdges,
-    Checkbox,
-    Circle,
-    Cone,
-    Cylinder,
-    Difference,
-    Extrude,
-    FilletEdges,
-    ForEachEdge,
-    ForEachFace,
-    ForEachShell,
-    ForEachSolid,
-    ForEachVertex,
-    ForEachWire,
-    GetNumSolidsInCompound,
-    GetSolidFromCompound,
-    GetWire,
-    Intersection,
-    Loft,
-    Offset,
-    Pipe,
-    Polygon,
-    RemoveInternalEdges,
-    Revolve,
-    Rotate,
-    RotatedExtrude,
-    Scale,
-    Sketch,
-    Slider,
-    Sphere,
-    Text3D,
-    Transform,
-    Translate,
-    Union
-  } = standardLibraryModule;
-  eval(code);
-};
-
 let realConsoleLog   = console.log;
 let realConsoleError = console.error;
 console.log = function (message) {
@@ -81,15 +25,11 @@ console.log = function (message) {
   setTimeout(() => { postMessage({ type: "log", payload: message }); }, 0);
   realConsoleLog.apply(console, arguments);
 };
-console.error = function (err, url, line, colno, errorObj) {
-  postMessage({ type: "resetWorking" });
-  setTimeout(() => {
-    err.message = "INTERNAL OPENCASCADE ERROR DURING GENERATE: " + err.message;
-    throw err; 
-  }, 0);
-  
+console.error = function (err) {
+  // Errors logged by the Standard Library are warnings; evaluation carries on
+  postMessage({ type: "error", payload: describeError(err, "warning") });
   realConsoleError.apply(console, arguments);
-}; // This is actually accessed via worker.onerror in the main thread
+};
 
 initOpenCascade().then(openCascade => {
   // Register the "OpenCascade" WebAssembly Module under the shorthand "oc"
@@ -101,76 +41,48 @@ initOpenCascade().then(openCascade => {
     if (response) { postMessage({ "type": e.data.type, payload: response }); };
   }
 
-  // Initial Evaluation after everything has been loaded...
-  postMessage({ type: "startupCallback" });
+  // Initial Evaluation after everything (including the persistent geometry cache) has been loaded...
+  loadPersistentCache().then(() => { postMessage({ type: "startupCallback", payload: messageHandlers["capabilities"]() }); });
 });
+let poolEvaluation = null; // Resolves once the Pool Workers' shapes are in `sceneShapes`
+
 /** This function evaluates `payload.code` (the contents of the Editor Window)
- *  and sets the GUI State. */
+ *  and sets the GUI State.  With more than one "Workers" (in the editor's `payload.settings`), independent parts
+ *  of the code are evaluated by the worker pool at the same time.
+ *  The Main Page considers the evaluation running until `combineAndRenderShapes` responds. */
 function Evaluate(payload) {
-  setOpNumber(0);
-  setGUIState(payload.GUIState);
+  setSettings(payload.settings || {});
+  let poolSize = settings["Workers"] || 1;
+  let partition = partitionCode(payload.code, poolSize);
+  poolEvaluation = partition ? evaluateInPool(partition.jobs, payload.GUIState, poolSize) : null;
   try {
-    runCode(payload.code);
+    evaluateCode(partition ? partition.local : payload.code, payload.GUIState);
   } catch (e) {
-    setTimeout(() => {
-      e.message = "Line " + currentLineNumber + ": "  + currentOp + "() encountered  " + e.message;
-      throw e;
-    }, 0);
-  } finally {
-    postMessage({ type: "resetWorking" });
-    // Clean Cache; remove unused Objects
-    for (let hash in argCache) {
-      if (!usedHashes.hasOwnProperty(hash)) { delete argCache[hash]; } }
-    setUsedHashes({});
+    postMessage({ type: "error", payload: describeError(e, "error") });
   }
 }
 messageHandlers["Evaluate"] = Evaluate;
 
 /**This function accumulates all the shapes in `sceneShapes` into the `TopoDS_Compound` `currentShape`
- * and converts it to a mesh (and a set of edges) with `ShapeToMesh()`, and sends it off to be rendered. */
+ * and converts it to a mesh (and a set of edges) with `ShapeToMesh()`, and sends it off to be rendered.
+ * The timings of this evaluation's ops are sent to the Profiler panel as well.
+ * It always responds (with `[null, null]` if there's nothing to render), which ends the evaluation. */
 function combineAndRenderShapes(payload) {
-  // Initialize currentShape as an empty Compound Solid
-  setCurrentShape(new oc.TopoDS_Compound());
-  let sceneBuilder = new oc.BRep_Builder();
-  sceneBuilder.MakeCompound(currentShape);
-  let fullShapeEdgeHashes = {}; let fullShapeFaceHashes = {};
-  postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": "Combining Shapes" } });
-  setOpNumber(opNumber + 1);
-
-  // If there are sceneShapes, iterate through them and add them to currentShape
-  if (sceneShapes.length > 0) {
-    for (let shapeInd = 0; shapeInd < sceneShapes.length; shapeInd++) {
-      if (!sceneShapes[shapeInd] || !sceneShapes[shapeInd].IsNull || sceneShapes[shapeInd].IsNull()) {
-        console.error("Null Shape detected in sceneShapes; skipping: " + JSON.stringify(sceneShapes[shapeInd]));
-        continue;
-      }
-      if (!sceneShapes[shapeInd].ShapeType) {
-        console.error("Non-Shape detected in sceneShapes; " +
-          "are you sure it is a TopoDS_Shape and not something else that needs to be converted to one?");
-        console.error(JSON.stringify(sceneShapes[shapeInd]));
-        continue;
-      }
-
-      // Scan the edges and faces and add to the edge list
-      Object.assign(fullShapeEdgeHashes, ForEachEdge(sceneShapes[shapeInd], (index, edge) => { }));
-      ForEachFace(sceneShapes[shapeInd], (index, face) => {
-        fullShapeFaceHashes[face.HashCode(100000000)] = index;
-      });
-
-      sceneBuilder.Add(currentShape, sceneShapes[shapeInd]);
-    }
-
-    // Use ShapeToMesh to output a set of triangulated faces and discretized edges to the 3D Viewport
-    postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": "Triangulating Faces" } });
-    setOpNumber(opNumber + 1);
-    let facesAndEdges = ShapeToMesh(currentShape,
-      payload.maxDeviation||0.1, fullShapeEdgeHashes, fullShapeFaceHashes);
-    resetSceneShapes();
-    postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": "" } }); // Finish the progress
-    return facesAndEdges;
-  } else {
-    console.error("There were no scene shapes returned!");
+  if (poolEvaluation) {
+    // Wait for the worker pool's shapes before combining
+    poolEvaluation.then(() => {
+      poolEvaluation = null;
+      postMessage({ type: "combineAndRenderShapes", payload: combineAndRenderShapes(payload) });
+    });
+    return;
+  }
+  try {
+    return combineSceneShapes(payload.maxDeviation || 0.1) || [null, null];
+  } catch (e) {
+    postMessage({ type: "error", payload: describeError(e, "error") });
+    return [null, null];
+  } finally {
+    postMessage({ type: "profile", payload: getProfile() });
   }
-  postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": "" } });
 }
 messageHandlers["combineAndRenderShapes"] = combineAndRenderShapes;
@@ -0,0 +1,297 @@
+// Mesh Export
+// Triangulates `currentShape` at its own tolerances (independent of the viewport's
+// "MeshRes") and writes it out as mesh files, in OpenCascade's Z-up coordinates.
+import {
+  oc,
+  messageHandlers,
+  currentShape,
+  currentSceneShapes,
+  shapeMetadata
+} from "./CascadeStudioWorkerState";
+import { ForEachFace, ForEachSolid } from "./CascadeStudioStandardLibrary.js";
+import { toHexColor, shapeAppearance } from "./CascadeStudioStandardUtils.js";
+
+/** This function triangulates `shape` with the given `linearDeflection` (in model units)
+ * and `angularDeflection` (in degrees), returning `{ positions, indices }` as flat arrays.
+ * Given `faceColors` (from `faceColorsByHash()`), it also returns the `colors` of the triangles. */
+export function triangulateShape(shape, linearDeflection = 0.1, angularDeflection = 30, faceColors) {
+  let positions = [], indices = [], colors = [];
+  // Drop the viewport's triangulation first; `BRepMesh_IncrementalMesh` keeps any finer one it finds
+  let builder = new oc.BRep_Builder();
+  ForEachFace(shape, (faceIndex, face) => { builder.UpdateFace(face, new oc.Handle_Poly_Triangulation()); });
+  new oc.BRepMesh_IncrementalMesh(shape, linearDeflection, false, angularDeflection * Math.PI / 180);
+  ForEachFace(shape, (faceIndex, face) => {
+    let aLocation = new oc.TopLoc_Location();
+    let triangulation = oc.BRep_Tool.prototype.Triangulation(face, aLocation);
+    if (triangulation.IsNull()) { console.error("Couldn't triangulate face " + faceIndex + "; skipping it."); return; }
+
+    let offset = positions.length / 3;
+    let nodes = triangulation.get().Nodes();
+    for (let i = 1; i <= nodes.Length(); i++) {
+      let p = nodes.Value(i).Transformed(aLocation.Transformation());
+      positions.push(p.X(), p.Y(), p.Z());
+    }
+    let reversed = face.Orientation() !== oc.TopAbs_FORWARD;
+    let triangles = triangulation.get().Triangles();
+    for (let t = 1; t <= triangulation.get().NbTriangles(); t++) {
+      let triangle = triangles.Value(t);
+      let [n1, n2, n3] = [triangle.Value(1), triangle.Value(2), triangle.Value(3)];
+      if (reversed) { [n1, n2] = [n2, n1]; }
+      indices.push(offset + n1 - 1, offset + n2 - 1, offset + n3 - 1);
+      if (faceColors) { colors.push(faceColors[face.HashCode(100000000)] || null); }
+    }
+  });
+  return faceColors ? { positions: positions, indices: indices, colors: colors } : { positions: positions, indices: indices };
+}
+
+/** This function returns the colors of `shape`'s faces by their `HashCode(100000000)`, following
+ * the shapes grouped by `Part()` and `Assembly()` and the face colors of imported files. */
+export function faceColorsByHash(shape, inherited = {}, colors = {}) {
+  let metadata = shapeMetadata[shape.ptr] || {}, appearance = shapeAppearance(shape, inherited);
+  if (metadata.children && metadata.children.length > 0) {
+    metadata.children.forEach((child) => { faceColorsByHash(child, appearance, colors); });
+    return colors;
+  }
+  let faceColors = metadata.color ? {} : shape.faceColors || {};
+  ForEachFace(shape, (index, face) => {
+    let color = faceColors[index] ? toHexColor(faceColors[index]) : appearance.color;
+    if (color) { colors[face.HashCode(100000000)] = color; }
+  });
+  return colors;
+}
+
+
+/** This function returns `[shape]`, or each of the solids in `shape` if `perSolid`
+ * is true (and there are any), for exporting to separate files. */
+export function exportedShapes(shape, perSolid) {
+  let solids = [];
+  if (perSolid) { ForEachSolid(shape, (index, solid) => { solids.push(solid); }); }
+  return solids.length > 0 ? solids : [shape];
+}
+
+/** This function returns the "filename" of each of `count` files, numbering them if there are several. */
+export function exportedFilenames(filename, extension, count) {
+  let base = filename.replace(new RegExp("\\." + extension + "$", "i"), "");
+  return Array.from({ length: count }, (value, index) =>
+    (count > 1 ? base + "_" + (index + 1) : base) + "." + extension);
+}
+
+/** This function merges the vertices of `mesh` that share a position (e.g. along the
+ * edges between faces), so the triangles of a closed shape form a manifold mesh. */
+export function mergeVertices(mesh) {
+  let positions = [], indices = [], colors = [], vertexIndices = new Map();
+  let remapped = [];
+  for (let i = 0; i < mesh.positions.length; i += 3) {
+    let position = [mesh.positions[i], mesh.positions[i + 1], mesh.positions[i + 2]];
+    let key = position.map((coordinate) => Math.round(coordinate * 1e6)).join(",");
+    if (!vertexIndices.has(key)) { vertexIndices.set(key, positions.length / 3); positions.push(...position); }
+    remapped.push(vertexIndices.get(key));
+  }
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    let [a, b, c] = [remapped[mesh.indices[t]], remapped[mesh.indices[t + 1]], remapped[mesh.indices[t + 2]]];
+    if (a !== b && b !== c && c !== a) { // Drop triangles that collapsed
+      indices.push(a, b, c);
+      if (mesh.colors) { colors.push(mesh.colors[t / 3]); }
+    }
+  }
+  return mesh.colors ? { positions: positions, indices: indices, colors: colors } : { positions: positions, indices: indices };
+}
+
+/** Returns the unit normal of the triangle at `indices[t * 3]`. */
+function triangleNormal(mesh, t) {
+  let [a, b, c] = [0, 1, 2].map((corner) => mesh.indices[t * 3 + corner] * 3);
+  let p = mesh.positions;
+  let u = [p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]];
+  let v = [p[c] - p[a], p[c + 1] - p[a + 1], p[c + 2] - p[a + 2]];
+  let n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  let length = Math.hypot(n[0], n[1], n[2]) || 1;
+  return [n[0] / length, n[1] / length, n[2] / length];
+}
+
+/** This function writes `mesh` (from `triangulateShape()`) as a binary STL file. */
+export function writeBinarySTL(mesh) {
+  let numTriangles = mesh.indices.length / 3;
+  let buffer = new ArrayBuffer(84 + numTriangles * 50);
+  let view = new DataView(buffer);
+  let header = "Cascade Studio binary STL";
+  for (let i = 0; i < header.length; i++) { view.setUint8(i, header.charCodeAt(i)); }
+  view.setUint32(80, numTriangles, true);
+  for (let t = 0, offset = 84; t < numTriangles; t++, offset += 50) {
+    let values = triangleNormal(mesh, t);
+    for (let corner = 0; corner < 3; corner++) {
+      let index = mesh.indices[t * 3 + corner] * 3;
+      values.push(mesh.positions[index], mesh.positions[index + 1], mesh.positions[index + 2]);
+    }
+    values.forEach((value, i) => { view.setFloat32(offset + i * 4, value, true); });
+    view.setUint16(offset + 48, 0, true); // Attribute byte count
+  }
+  return buffer;
+}
+
+/** This function writes `mesh` (from `triangulateShape()`) as an ASCII STL file. */
+export function writeASCIISTL(mesh, name = "CascadeStudioPart") {
+  let lines = ["solid " + name];
+  for (let t = 0; t < mesh.indices.length / 3; t++) {
+    lines.push("  facet normal " + triangleNormal(mesh, t).join(" "), "    outer loop");
+    for (let corner = 0; corner < 3; corner++) {
+      let index = mesh.indices[t * 3 + corner] * 3;
+      lines.push("      vertex " + mesh.positions[index] + " " + mesh.positions[index + 1] + " " + mesh.positions[index + 2]);
+    }
+    lines.push("    endloop", "  endfacet");
+  }
+  lines.push("endsolid " + name);
+  return lines.join("\n") + "\n";
+}
+
+/** Escapes `text` for use in an XML attribute. */
+function escapeXML(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/** This function writes `objects` (`{ name, color, mesh }`, where `color` may be null and the mesh
+ * may have per-triangle `colors`) as a 3MF package in millimeters, returned as an ArrayBuffer. */
+export function write3MF(objects) {
+  let hex = (color) => toHexColor(color).toUpperCase();
+  // Partly colored objects need a color of their own for their other triangles
+  objects = objects.map((object) => Object.assign({}, object, {
+    color: object.color || (object.mesh.colors && object.mesh.colors.some((color) => color) ? "#cccccc" : null) }));
+  let colors = [...new Set([].concat(...objects.map((object) =>
+    [object.color].concat(object.mesh.colors || []).filter((color) => color).map(hex))))];
+  let model = ['<?xml version="1.0" encoding="UTF-8"?>',
+    '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+    ' <metadata name="Application">Cascade Studio</metadata>',
+    ' <resources>'];
+  if (colors.length > 0) {
+    model.push('  <basematerials id="1">');
+    colors.forEach((color) => { model.push('   <base name="' + color + '" displaycolor="' + color + 'FF"/>'); });
+    model.push('  </basematerials>');
+  }
+  objects.forEach((object, index) => {
+    let material = object.color ? ' pid="1" pindex="' + colors.indexOf(hex(object.color)) + '"' : "";
+    model.push('  <object id="' + (index + 2) + '" type="model" name="' + escapeXML(object.name) + '"' + material + '>',
+      '   <mesh>', '    <vertices>');
+    let p = object.mesh.positions, t = object.mesh.indices;
+    for (let i = 0; i < p.length; i += 3) { model.push('     <vertex x="' + p[i] + '" y="' + p[i + 1] + '" z="' + p[i + 2] + '"/>'); }
+    model.push('    </vertices>', '    <triangles>');
+    for (let i = 0; i < t.length; i += 3) {
+      let color = object.mesh.colors && object.mesh.colors[i / 3];
+      model.push('     <triangle v1="' + t[i] + '" v2="' + t[i + 1] + '" v3="' + t[i + 2] + '"' +
+        (color && hex(color) !== hex(object.color) ? ' pid="1" p1="' + colors.indexOf(hex(color)) + '"' : "") + '/>');
+    }
+    model.push('    </triangles>', '   </mesh>', '  </object>');
+  });
+  model.push(' </resources>', ' <build>');
+  objects.forEach((object, index) => { model.push('  <item objectid="' + (index + 2) + '"/>'); });
+  model.push(' </build>', '</model>');
+
+  return writeZip([
+    { name: "[Content_Types].xml", text: '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/></Types>' },
+    { name: "_rels/.rels", text: '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/></Relationships>' },
+    { name: "3D/3dmodel.model", text: model.join("\n") }
+  ]);
+}
+
+let crcTable = null;
+/** Computes the CRC-32 of `bytes`, as ZIP files require. */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) { c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) { crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8); }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** This function packs `files` (`{ name, text }`) into an uncompressed ZIP archive (an ArrayBuffer). */
+export function writeZip(files) {
+  let encoder = new TextEncoder(), entries = [], offset = 0;
+  files.forEach((file) => {
+    let name = encoder.encode(file.name), data = encoder.encode(file.text);
+    entries.push({ name: name, data: data, crc: crc32(data), offset: offset });
+    offset += 30 + name.length + data.length;
+  });
+  let centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+  let buffer = new ArrayBuffer(offset + centralSize + 22), view = new DataView(buffer), bytes = new Uint8Array(buffer);
+  let position = 0;
+  let writeHeader = (signature, entry, central) => {
+    view.setUint32(position, signature, true); position += 4;
+    if (central) { view.setUint16(position, 20, true); position += 2; } // Version made by
+    view.setUint16(position, 20, true);               // Version needed to extract
+    view.setUint16(position + 2, 0x0800, true);       // UTF-8 names
+    view.setUint16(position + 4, 0, true);            // Stored (no compression)
+    view.setUint32(position + 6, 0, true);            // Modification time and date
+    view.setUint32(position + 10, entry.crc, true);
+    view.setUint32(position + 14, entry.data.length, true);
+    view.setUint32(position + 18, entry.data.length, true);
+    view.setUint16(position + 22, entry.name.length, true);
+    view.setUint16(position + 24, 0, true);           // Extra field length
+    position += 26;
+    if (central) {
+      view.setUint16(position, 0, true);              // Comment length
+      view.setUint16(position + 2, 0, true);          // Disk number
+      view.setUint16(position + 4, 0, true);          // Internal attributes
+      view.setUint32(position + 6, 0, true);          // External attributes
+      view.setUint32(position + 10, entry.offset, true);
+      position += 14;
+    }
+    bytes.set(entry.name, position); position += entry.name.length;
+  };
+  entries.forEach((entry) => {
+    writeHeader(0x04034B50, entry, false);
+    bytes.set(entry.data, position); position += entry.data.length;
+  });
+  entries.forEach((entry) => { writeHeader(0x02014B50, entry, true); });
+  view.setUint32(position, 0x06054B50, true);
+  view.setUint16(position + 8, entries.length, true);
+  view.setUint16(position + 10, entries.length, true);
+  view.setUint32(position + 12, centralSize, true);
+  view.setUint32(position + 16, offset, true);
+  return buffer;
+}
+
+/** This function returns `currentShape` as `.stl` files: `{ files: [{ filename, content }] }`.
+ * `options` are `{ filename, linearDeflection, angularDeflection, binary, perSolid }`; the content
+ * of binary files is an ArrayBuffer.  `currentShape` is set by `combineAndRenderShapes()`. */
+function saveShapeSTL(options = {}) {
+  if (!currentShape) { console.error("There is no shape to export yet!"); return { files: [] }; }
+  let shapes = exportedShapes(currentShape, options.perSolid);
+  let filenames = exportedFilenames(options.filename || "CascadeStudioPart.stl", "stl", shapes.length);
+  return {
+    files: shapes.map((shape, index) => {
+      let mesh = triangulateShape(shape, options.linearDeflection, options.angularDeflection);
+      return {
+        filename: filenames[index],
+        content : options.binary === false ?
+          writeASCIISTL(mesh, filenames[index].replace(/\.stl$/, "")) : writeBinarySTL(mesh)
+      };
+    })
+  };
+}
+messageHandlers["saveShapeSTL"] = saveShapeSTL;
+
+/** This function returns the scene shapes of the last render as a `.3mf` file, each shape a
+ * separate object with the name and colors assigned to it: `{ files: [{ filename, content }] }`.
+ * `options` are `{ filename, linearDeflection, angularDeflection }`. */
+function saveShape3MF(options = {}) {
+  if (currentSceneShapes.length === 0) { console.error("There is no shape to export yet!"); return { files: [] }; }
+  let objects = currentSceneShapes.map((shape, index) => {
+    let metadata = shapeMetadata[shape.ptr] || {};
+    return {
+      name : metadata.name || "Shape " + (index + 1),
+      color: shapeAppearance(shape).color || null,
+      mesh : mergeVertices(triangulateShape(shape, options.linearDeflection, options.angularDeflection, faceColorsByHash(shape)))
+    };
+  });
+  return { files: [{ filename: options.filename || "CascadeStudioPart.3mf", content: write3MF(objects) }] };
+}
+messageHandlers["saveShape3MF"] = saveShape3MF;
@@ -0,0 +1,92 @@
+import { writeBinarySTL, writeASCIISTL, exportedFilenames, mergeVertices, write3MF, triangulateShape } from "./CascadeStudioMeshExport.js";
+import { setOc } from "./CascadeStudioWorkerState";
+import { TextEncoder, TextDecoder } from "util";
+
+// Workers have these, but jsdom doesn't
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// A single triangle in the XY plane, wound counter-clockwise when seen from +Z
+const triangle = { positions: [0, 0, 0, 1, 0, 0, 0, 1, 0], indices: [0, 1, 2] };
+
+test("writes binary STL triangles with their normals", () => {
+  let view = new DataView(writeBinarySTL(triangle));
+  expect(view.byteLength).toBe(84 + 50);
+  expect(view.getUint32(80, true)).toBe(1);
+  let floats = Array.from({ length: 12 }, (value, i) => view.getFloat32(84 + i * 4, true));
+  expect(floats).toEqual([0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0]);
+});
+
+test("writes ASCII STL", () => {
+  let lines = writeASCIISTL(triangle, "part").split("\n");
+  expect(lines[0]).toBe("solid part");
+  expect(lines[1].trim()).toBe("facet normal 0 0 1");
+  expect(lines.filter((line) => line.trim().startsWith("vertex")).length).toBe(3);
+  expect(lines[lines.length - 2]).toBe("endsolid part");
+});
+
+test("numbers the files of per-solid exports", () => {
+  expect(exportedFilenames("part.stl", "stl", 1)).toEqual(["part.stl"]);
+  expect(exportedFilenames("part.STL", "stl", 2)).toEqual(["part_1.stl", "part_2.stl"]);
+});
+
+test("merges the vertices that faces share", () => {
+  let square = { positions: [0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0], indices: [0, 1, 2, 3, 4, 5] };
+  let merged = mergeVertices(square);
+  expect(merged.positions.length).toBe(4 * 3);
+  expect(merged.indices).toEqual([0, 1, 2, 1, 3, 2]);
+});
+
+test("keeps the colors of the triangles it keeps", () => {
+  let merged = mergeVertices({ positions: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0], indices: [0, 1, 2, 0, 3, 1], colors: ["#ff0000", "#00ff00"] });
+  expect(merged.indices).toEqual([0, 1, 2]);
+  expect(merged.colors).toEqual(["#ff0000"]);
+});
+
+test("writes 3MF packages with one named object per shape", () => {
+  let bytes = new Uint8Array(write3MF([
+    { name: "Base", color: "#ff0000", mesh: triangle },
+    { name: "Lid & Cap", color: null, mesh: triangle }
+  ]));
+  expect(new DataView(bytes.buffer).getUint32(0, true)).toBe(0x04034B50);
+  let text = new TextDecoder().decode(bytes);
+  expect(text).toContain("[Content_Types].xml");
+  expect(text).toContain('unit="millimeter"');
+  expect(text).toContain('<base name="#FF0000" displaycolor="#FF0000FF"/>');
+  expect(text).toContain('name="Base" pid="1" pindex="0"');
+  expect(text).toContain('name="Lid &amp; Cap">');
+  expect((text.match(/<item objectid=/g) || []).length).toBe(2);
+});
+
+test("writes the colors of single triangles in 3MF packages", () => {
+  let colored = Object.assign({}, triangle, { colors: ["#00ff00"] });
+  let text = new TextDecoder().decode(new Uint8Array(write3MF([{ name: "Base", color: null, mesh: colored }])));
+  expect(text).toContain('<base name="#CCCCCC" displaycolor="#CCCCCCFF"/>');
+  expect(text).toContain('name="Base" pid="1" pindex="0"');
+  expect(text).toContain('pid="1" p1="1"/>');
+});
+
+test("remeshes at the export's tolerances instead of keeping the viewport's triangulation", () => {
+  let calls = [], faces = ["face 1", "face 2"];
+  setOc({
+    TopAbs_FACE: "TopAbs_FACE",
+    TopExp_Explorer: function () {
+      let index = 0;
+      this.Init = () => { index = 0; };
+      this.More = () => index < faces.length;
+      this.Next = () => { index++; };
+      this.Current = () => faces[index];
+    },
+    TopoDS: { prototype: { Face: (face) => ({ name: face, HashCode: () => face.length }) } },
+    BRep_Builder: function () { this.UpdateFace = (face, triangulation) => { calls.push(["clear", face.name, triangulation.IsNull()]); }; },
+    Handle_Poly_Triangulation: function () { this.IsNull = () => true; },
+    BRepMesh_IncrementalMesh: function (shape, deflection) { calls.push(["mesh", deflection]); },
+    TopLoc_Location: function () {},
+    BRep_Tool: { prototype: { Triangulation: () => ({ IsNull: () => true }) } }
+  });
+  let consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+  triangulateShape({}, 0.5, 30);
+  consoleError.mockRestore();
+  setOc(null);
+  expect(calls).toEqual([["clear", "face 1", true], ["clear", "face 2", true], ["mesh", 0.5]]);
+});
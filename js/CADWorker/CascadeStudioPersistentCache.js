@@ -0,0 +1,163 @@
+// Persistent Geometry Cache
+// Cached shapes are serialized (see `serializeShape()`) and stored in IndexedDB, so a page
+// reload doesn't have to recompute them.  IndexedDB is asynchronous but `CacheOp()` isn't,
+// so the stored shapes are loaded into memory once when the CAD Worker starts up.
+// Only ops that took a while are stored, and they're written once the worker has been idle
+// for a moment, so cache misses don't pay for the serialization.  Each entry keeps the op's
+// full (unhashed) arguments, so a hash collision can't return the wrong shape.
+// Only the CAD Worker opens the database; without it (as in the Pool Workers, which would each
+// load and evict their own copy, and in the headless runner) only the in-memory cache is used.
+import {
+  messageHandlers,
+  setArgCache
+} from "./CascadeStudioWorkerState";
+import { resetIncrementalEvaluation } from "./CascadeStudioIncrementalEvaluation.js";
+import { serializeShape, deserializeShape } from "./CascadeStudioShapeSerializer.js";
+
+const databaseName = "CascadeStudioGeometryCache";
+const shapeStore   = "shapes"; // { hash, serialized }
+const usageStore   = "usage";  // { hash, key, size, lastUsed }
+
+/** The number of serialized characters to keep before evicting the least recently used shapes. */
+export const maxPersistentCacheSize = 128 * 1024 * 1024;
+/** Ops that take less time than this (in milliseconds) are quicker to recompute than to store. */
+export const minPersistentOpDuration = 50;
+/** How long (in milliseconds) the worker must be idle before the new shapes are stored. */
+const persistDelay = 1000;
+
+let database = null;
+let persistentCache = {}; // hash -> { hash, key, serialized, size, lastUsed }
+let persistentCacheSize = 0;
+let touchedHashes = {};
+let pendingShapes = {};   // hash -> { key, shape } waiting to be stored
+let persistTimeout = null;
+
+/** Opens the IndexedDB database and loads the stored shapes into memory.
+ * The returned Promise always resolves; the cache just stays empty on failure. */
+export function loadPersistentCache() {
+  if (typeof indexedDB === "undefined") { return Promise.resolve(); }
+  return new Promise((resolve) => {
+    let request = indexedDB.open(databaseName, 2);
+    request.onupgradeneeded = () => {
+      // Version 1 stored BREP strings without their keys; start over
+      [shapeStore, usageStore].forEach((store) => {
+        if (request.result.objectStoreNames.contains(store)) { request.result.deleteObjectStore(store); }
+        request.result.createObjectStore(store, { keyPath: "hash" });
+      });
+    };
+    request.onerror = () => {
+      console.log("Couldn't open the geometry cache; shapes will only be cached until the page is closed.");
+      resolve();
+    };
+    request.onsuccess = () => {
+      database = request.result;
+      let transaction = database.transaction([shapeStore, usageStore], "readonly");
+      let shapes = transaction.objectStore(shapeStore).getAll();
+      let usage  = transaction.objectStore(usageStore).getAll();
+      transaction.oncomplete = () => {
+        let serialized = {};
+        shapes.result.forEach((shape) => { serialized[shape.hash] = shape.serialized; });
+        usage.result.forEach((entry) => {
+          if (!(entry.hash in serialized)) { return; }
+          persistentCache[entry.hash] = Object.assign({ serialized: serialized[entry.hash] }, entry);
+          persistentCacheSize += entry.size;
+        });
+        resolve();
+      };
+      transaction.onerror = () => { resolve(); };
+    };
+  });
+}
+
+/** Returns the shape stored under `hash` for the op with the arguments `key`, or null if there isn't one. */
+export function CheckPersistentCache(hash, key) {
+  let entry = persistentCache[hash];
+  if (!entry || !database || entry.key !== key) { return null; }
+
+  let shape = deserializeShape(entry.serialized, "cache" + hash);
+  if (!shape) { return null; }
+  touchPersistentCache(hash);
+  return shape;
+}
+
+/** Queues `shape` to be stored under `hash` (for the op with the arguments `key`) once the worker is idle,
+ * if its op took at least `minPersistentOpDuration` milliseconds (`duration`) to compute. */
+export function AddToPersistentCache(hash, key, shape, duration) {
+  if (!database || duration < minPersistentOpDuration) { return; }
+  if (persistentCache[hash] && persistentCache[hash].key === key) { return; }
+  pendingShapes[hash] = { key: key, shape: shape };
+}
+
+/** Serializes and stores one of the queued shapes, evicting the least recently used shapes beyond the
+ * size cap, then schedules the next one; a new evaluation postpones the rest (see `flushPersistentCache()`). */
+function persistPendingShape() {
+  persistTimeout = null;
+  let hash = Object.keys(pendingShapes)[0];
+  if (hash === undefined || !database) { return; }
+  let pending = pendingShapes[hash];
+  delete pendingShapes[hash];
+
+  let serialized = serializeShape(pending.shape, "cache" + hash);
+  if (serialized && serialized.text.length <= maxPersistentCacheSize) {
+    if (persistentCache[hash]) { persistentCacheSize -= persistentCache[hash].size; }
+    let entry = { hash: hash, key: pending.key, serialized: serialized, size: serialized.text.length + pending.key.length, lastUsed: Date.now() };
+    persistentCache[hash] = entry;
+    persistentCacheSize  += entry.size;
+    let transaction = database.transaction([shapeStore, usageStore], "readwrite");
+    transaction.objectStore(shapeStore).put({ hash: hash, serialized: serialized });
+    transaction.objectStore(usageStore).put({ hash: hash, key: entry.key, size: entry.size, lastUsed: entry.lastUsed });
+    evictLeastRecentlyUsed();
+  }
+  persistTimeout = setTimeout(persistPendingShape, 0);
+}
+
+/** Marks the shape stored under `hash` as recently used. */
+export function touchPersistentCache(hash) {
+  if (!(hash in persistentCache)) { return; }
+  persistentCache[hash].lastUsed = Date.now();
+  touchedHashes[hash] = true;
+}
+
+/** Writes the usage times gathered during an evaluation back to IndexedDB,
+ * and (re)schedules storing the new shapes for when the worker has been idle for `persistDelay`. */
+export function flushPersistentCache() {
+  if (!database) { return; }
+  if (persistTimeout !== null) { clearTimeout(persistTimeout); }
+  persistTimeout = setTimeout(persistPendingShape, persistDelay);
+  if (Object.keys(touchedHashes).length === 0) { return; }
+  let usage = database.transaction(usageStore, "readwrite").objectStore(usageStore);
+  for (let hash in touchedHashes) {
+    let entry = persistentCache[hash];
+    if (entry) { usage.put({ hash: entry.hash, key: entry.key, size: entry.size, lastUsed: entry.lastUsed }); }
+  }
+  touchedHashes = {};
+}
+
+/** Removes the least recently used shapes until the cache fits within `maxPersistentCacheSize`. */
+function evictLeastRecentlyUsed() {
+  if (persistentCacheSize <= maxPersistentCacheSize) { return; }
+  let entries = Object.values(persistentCache).sort((a, b) => a.lastUsed - b.lastUsed);
+  let transaction = database.transaction([shapeStore, usageStore], "readwrite");
+  while (persistentCacheSize > maxPersistentCacheSize && entries.length > 0) {
+    let entry = entries.shift();
+    delete persistentCache[entry.hash];
+    delete touchedHashes[entry.hash];
+    persistentCacheSize -= entry.size;
+    transaction.objectStore(shapeStore).delete(entry.hash);
+    transaction.objectStore(usageStore).delete(entry.hash);
+  }
+}
+
+/** This function empties both the in-memory and the persistent geometry cache. */
+function clearGeometryCache() {
+  setArgCache({});
+  resetIncrementalEvaluation();
+  persistentCache = {}; persistentCacheSize = 0; touchedHashes = {}; pendingShapes = {};
+  if (database) {
+    let transaction = database.transaction([shapeStore, usageStore], "readwrite");
+    transaction.objectStore(shapeStore).clear();
+    transaction.objectStore(usageStore).clear();
+  }
+  console.log("Cleared the geometry cache.");
+}
+messageHandlers["clearGeometryCache"] = clearGeometryCache;
@@ -0,0 +1,55 @@
+import "babel-polyfill";
+import { initOpenCascade } from "../../static_node_modules/opencascade.js";
+
+import {
+  setOc,
+  messageHandlers
+} from "./CascadeStudioWorkerState";
+import { sceneShapes, resetSceneShapes } from "./CascadeStudioSceneShapesService";
+import { evaluateCode } from "./CascadeStudioEvaluator.js";
+import { describeError } from "./CascadeStudioErrors.js";
+import { serializeSceneShape } from "./CascadeStudioShapeSerializer.js";
+
+// A Pool Worker is spawned by the CAD Worker (see CascadeStudioWorkerPool.js) to evaluate
+// some of the script's independent statements in parallel.  Its shapes are sent back as
+// text (see `serializeSceneShape()`); everything else it posts (logs, errors, Sliders) is forwarded to the Main Page.
+
+let realConsoleLog   = console.log;
+let realConsoleError = console.error;
+console.log = function (message) {
+  setTimeout(() => { postMessage({ type: "log", payload: message }); }, 0);
+  realConsoleLog.apply(console, arguments);
+};
+console.error = function (err) {
+  postMessage({ type: "error", payload: describeError(err, "warning") });
+  realConsoleError.apply(console, arguments);
+};
+
+initOpenCascade().then(openCascade => {
+  setOc(openCascade);
+
+  onmessage = function (e) {
+    let response = messageHandlers[e.data.type](e.data.payload);
+    if (response) { postMessage({ "type": e.data.type, payload: response }); };
+  }
+
+  // The persistent geometry cache is left to the CAD Worker, so it's loaded and written only once
+  postMessage({ type: "startupCallback" });
+});
+
+/** This function evaluates `payload.code` (in which the statements evaluated
+ * elsewhere are blanked out) and returns its scene shapes, as serialized by `serializeSceneShape()`. */
+function EvaluateToText(payload) {
+  let shapes = [];
+  resetSceneShapes();
+  try {
+    evaluateCode(payload.code, payload.GUIState);
+    shapes = sceneShapes.map((shape, index) => serializeSceneShape(shape, "PooledShape" + index));
+  } catch (e) {
+    postMessage({ type: "error", payload: describeError(e, "error") });
+  } finally {
+    resetSceneShapes();
+  }
+  return { job: payload.job, shapes: shapes };
+}
+messageHandlers["EvaluateToText"] = EvaluateToText;
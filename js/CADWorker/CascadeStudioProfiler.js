@@ -0,0 +1,78 @@
+// Per-Op Profiler
+// Records the wall-clock time, cache hit/miss, and shape stats of every `CacheOp()`
+// (and of the combining/meshing phases) so the Main Page's "Profiler" panel can show
+// which op is slow.  The profile is posted as `{ type: "profile" }` after meshing.
+import { oc } from "./CascadeStudioWorkerState";
+
+const now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+let profile = { start: now(), entries: [] };
+// Shape stats by shape hash, so cache hits don't have to explore their shapes again;
+// only the stats used by the last evaluation are kept
+let previousStats = {}, currentStats = {};
+
+/** Starts a new profile; called at the beginning of each evaluation. */
+export function beginProfile() {
+  profile = { start: now(), entries: [] };
+  previousStats = currentStats; currentStats = {};
+}
+
+/** Returns the entries recorded since `beginProfile()`:
+ * `{ op, line, column, depth, start, duration, cacheHit, inputs, output }`, with times in ms. */
+export function getProfile() { return profile; }
+
+/** Records the start of `op`; pass the returned entry to `endProfileOp()` when it finishes. */
+export function beginProfileOp(op, callSite, depth, args) {
+  let entry = {
+    op: op, line: callSite.line, column: callSite.column, depth: depth,
+    start: now() - profile.start, duration: 0, cacheHit: null,
+    inputs: shapeStats(args), output: null
+  };
+  profile.entries.push(entry);
+  return entry;
+}
+
+/** Records the end of the op `entry`, whether it was a `cacheHit`, and the stats of its `result`. */
+export function endProfileOp(entry, cacheHit, result) {
+  entry.duration = now() - profile.start - entry.start;
+  entry.cacheHit = cacheHit;
+  entry.output   = shapeStats([result]);
+}
+
+/** Times `callback()` as a top-level phase (e.g. "Triangulating Faces") and returns its result. */
+export function profilePhase(name, callback) {
+  let entry = beginProfileOp(name, { line: 0, column: 0 }, 0, []);
+  try {
+    return callback();
+  } finally {
+    entry.duration = now() - profile.start - entry.start;
+  }
+}
+
+/** Counts the shapes (recursing into arrays) in `values` and their solids and faces. */
+function shapeStats(values) {
+  let stats = { shapes: 0, solids: 0, faces: 0 };
+  let visit = (value) => {
+    if (!value || typeof value !== "object") { return; }
+    if (Array.isArray(value)) { value.forEach(visit); return; }
+    if (typeof value.ShapeType !== "function" || value.IsNull()) { return; }
+    let shapeStats = currentStats[value.hash] || previousStats[value.hash] || {
+      solids: countSubShapes(value, oc.TopAbs_SOLID),
+      faces : countSubShapes(value, oc.TopAbs_FACE)
+    };
+    if (value.hash) { currentStats[value.hash] = shapeStats; }
+    stats.shapes++;
+    stats.solids += shapeStats.solids;
+    stats.faces  += shapeStats.faces;
+  };
+  Array.prototype.forEach.call(values || [], visit);
+  return stats;
+}
+
+/** Counts the sub-shapes of `shape` of the given `TopAbs_ShapeEnum` type. */
+function countSubShapes(shape, type) {
+  let count = 0;
+  let anExplorer = new oc.TopExp_Explorer(shape, type);
+  for (anExplorer.Init(shape, type); anExplorer.More(); anExplorer.Next()) { count++; }
+  return count;
+}
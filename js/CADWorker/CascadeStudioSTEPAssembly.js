@@ -0,0 +1,394 @@
+// STEP Assemblies
+// The shipped opencascade.js lacks XCAF (`STEPCAFControl_Writer`/`_Reader`), whose documents
+// carry the names, colors and assembly trees of STEP files.  `STEPControl_Writer` writes each
+// transferred shape as a root product of its own, so the assembly tree and colors are added to
+// (and read back from) the text of the file instead, as the AP214 entities XCAF would have used.
+
+/** Encodes `text` as a STEP string literal, escaping quotes, backslashes and non-ASCII characters. */
+export function stepString(text) {
+  return "'" + String(text).replace(/\\/g, "\\\\").replace(/'/g, "''").replace(/[^\x20-\x7e]+/g,
+    (run) => "\\X2\\" + Array.from(run, (c) => c.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")).join("") + "\\X0\\") + "'";
+}
+
+/** Decodes the contents of a STEP string literal (without its quotes). */
+function decodeStepString(text) {
+  return text.replace(/''/g, "'").replace(/\\X2\\((?:[0-9A-F]{4})+)\\X0\\/gi,
+    (run, hex) => hex.match(/.{4}/g).map((code) => String.fromCharCode(parseInt(code, 16))).join("")).replace(/\\\\/g, "\\");
+}
+
+/** This function renames the `PRODUCT` entities of `stepText` (which `STEPControl_Writer`
+ * names "Open CASCADE STEP translator ...") to `names`, in the order they were transferred. */
+export function nameSTEPProducts(stepText, names) {
+  let index = 0;
+  return stepText.replace(/(=\s*PRODUCT\s*\(\s*)'(?:[^']|'')*'\s*,\s*'(?:[^']|'')*'/g, (match, prefix) => {
+    if (index >= names.length) { return match; }
+    let name = stepString(names[index++]);
+    return prefix + name + "," + name;
+  });
+}
+
+/** This function returns the names of the `PRODUCT` entities of `stepText`, in file order. */
+export function stepProductNames(stepText) {
+  let names = [], productRegex = /=\s*PRODUCT\s*\(\s*'((?:[^']|'')*)'/g, match;
+  while ((match = productRegex.exec(stepText)) !== null) { names.push(decodeStepString(match[1])); }
+  return names;
+}
+
+/** Splits the arguments of a STEP entity at its top-level commas. */
+function splitArguments(args) {
+  let parts = [], depth = 0, quoted = false, start = 0;
+  for (let i = 0; i < args.length; i++) {
+    let c = args[i];
+    if (c === "'") { quoted = !quoted; } // '' toggles twice
+    else if (quoted) { continue; }
+    else if (c === "(") { depth++; }
+    else if (c === ")") { depth--; }
+    else if (c === "," && depth === 0) { parts.push(args.slice(start, i).trim()); start = i + 1; }
+  }
+  parts.push(args.slice(start).trim());
+  return parts;
+}
+
+/** Returns the entity ids (as numbers) referenced in `text`, outside of its strings. */
+function refsIn(text = "") {
+  return (text.replace(/'(?:[^']|'')*'/g, "''").match(/#\d+/g) || []).map((ref) => parseInt(ref.slice(1)));
+}
+
+const entityRegex = /#(\d+)\s*=\s*((?:[^;']|'(?:[^']|'')*')*);/g;
+
+/** This function parses the DATA section of `stepText` into `{ id: { type, args, refs, index } }`,
+ * where `args` are the entity's top-level arguments and `index` is its place in the file.
+ * Complex entities (`( A() B() )`) have a null `type`. */
+export function parseSTEPEntities(stepText) {
+  let entities = {}, match, index = 0;
+  entityRegex.lastIndex = 0;
+  while ((match = entityRegex.exec(stepText)) !== null) {
+    let body = match[2].trim(), simple = /^([A-Z0-9_]+)\s*\(([\s\S]*)\)$/.exec(body);
+    entities[match[1]] = {
+      type: simple ? simple[1] : null,
+      args: simple ? splitArguments(simple[2]) : [body],
+      refs: refsIn(body),
+      index: index++
+    };
+  }
+  return entities;
+}
+
+/** Returns the ids of the entities that refer to each entity: `{ id: [referrer ids] }`. */
+function referrersOf(entities) {
+  let referrers = {};
+  Object.keys(entities).forEach((id) => {
+    entities[id].refs.forEach((ref) => { (referrers[ref] = referrers[ref] || []).push(Number(id)); });
+  });
+  return referrers;
+}
+
+/** This function finds the shape of the PRODUCT_DEFINITION `definition`:
+ * `{ representation, axis, context, items }`, where `axis` is the placement its representation
+ * is built on and `items` are the geometry (solids, shells, ...) of its representations.
+ * Null if it has no shape. */
+function definitionShape(entities, referrers, definition) {
+  let ofType = (id, type) => (referrers[id] || []).filter((referrer) => entities[referrer].type === type);
+  let definitionShape = ofType(definition, "PRODUCT_DEFINITION_SHAPE")[0];
+  let shapeDefinition = definitionShape && ofType(definitionShape, "SHAPE_DEFINITION_REPRESENTATION")
+    .find((id) => entities[id].refs[0] === definitionShape);
+  if (!shapeDefinition) { return null; }
+
+  let representation = entities[shapeDefinition].refs[1], items = [], axis = null;
+  if (!entities[representation]) { return null; }
+  let representations = [representation].concat(ofType(representation, "SHAPE_REPRESENTATION_RELATIONSHIP")
+    .map((id) => entities[id].refs.find((ref) => ref !== representation)));
+  representations.forEach((rep) => {
+    if (!entities[rep]) { return; }
+    refsIn(entities[rep].args[1]).forEach((item) => {
+      let type = entities[item] && entities[item].type;
+      if (type === "AXIS2_PLACEMENT_3D") { if (rep === representation && !axis) { axis = item; } } else { items.push(item); }
+    });
+  });
+  return { representation: representation, axis: axis, items: items, context: refsIn(entities[representation].args[2])[0] };
+}
+
+/** This function finds the pieces of the product `productId` that its assembly and colors hang
+ * off: its `definition`, the `definitionShape()`, and the contexts its definition was made in.
+ * Null if it's missing any. */
+function productShape(entities, referrers, productId) {
+  let ofType = (id, type) => (referrers[id] || []).filter((referrer) => (entities[referrer].type || "").startsWith(type));
+  let formation = ofType(productId, "PRODUCT_DEFINITION_FORMATION")[0];
+  let definition = formation && (referrers[formation] || []).find((id) => entities[id].type === "PRODUCT_DEFINITION");
+  let shape = definition && definitionShape(entities, referrers, definition);
+  if (!shape || !shape.axis) { return null; }
+  return Object.assign(shape, {
+    definition: definition,
+    productContext: refsIn(entities[productId].args[3])[0],
+    definitionContext: entities[definition].refs[entities[definition].refs.length - 1]
+  });
+}
+
+/** Converts a `"#rrggbb"` string or `[r, g, b]` array (in 0-1) into an `[r, g, b]` array. */
+export function colorToRGB(color) {
+  if (Array.isArray(color)) { return color.slice(0, 3); }
+  let hex = String(color).replace("#", "");
+  return [0, 2, 4].map((offset) => parseInt(hex.substr(offset, 2), 16) / 255);
+}
+
+/** Formats `value` as a STEP real. */
+function real(value) {
+  let text = String(Math.round(value * 1e6) / 1e6);
+  return text.includes(".") || text.includes("e") ? text : text + ".";
+}
+
+/** Returns the products of the tree under `root` that have no `children`, depth first. */
+export function leafProducts(root) {
+  return root.children.length > 0 ? [].concat(...root.children.map(leafProducts)) : [root];
+}
+
+/** This function adds the assembly tree and colors of `root` (`{ name, color, children }`) to
+ * `stepText`, which `STEPControl_Writer` wrote with one root product per leaf of `root` (in
+ * `leafProducts()` order).  Each assembly becomes a product of its own, placed over its
+ * children with NEXT_ASSEMBLY_USAGE_OCCURRENCEs, and each leaf's geometry is styled with its
+ * color (or that of the assembly it's in).  Returns null if the file isn't laid out as expected. */
+export function assembleSTEP(stepText, root) {
+  let entities = parseSTEPEntities(stepText);
+  let ids = Object.keys(entities).map(Number);
+  let productIds = ids.filter((id) => entities[id].type === "PRODUCT").sort((a, b) => entities[a].index - entities[b].index);
+  let leaves = leafProducts(root);
+  if (productIds.length !== leaves.length) { return null; }
+  let referrers = referrersOf(entities);
+  let shapes = productIds.map((id) => productShape(entities, referrers, id));
+  if (shapes.some((shape) => !shape)) { return null; }
+
+  let lines = [], nextId = Math.max(...ids) + 1;
+  let add = (text) => { lines.push("#" + nextId + " = " + text + ";"); return "#" + nextId++; };
+  let ref = (id) => (typeof id === "number" ? "#" + id : id);
+  let context = ref(shapes[0].context);
+
+  // Style the leaves' geometry with their colors
+  let styles = {}, styledItems = [], leafIndex = 0;
+  let styleOf = (color) => {
+    let hex = String(color);
+    if (!styles[hex]) {
+      let rgb = colorToRGB(color);
+      let colour = add("COLOUR_RGB(''," + rgb.map(real).join(",") + ")");
+      let fill = add("FILL_AREA_STYLE('',(" + add("FILL_AREA_STYLE_COLOUR(''," + colour + ")") + "))");
+      let side = add("SURFACE_SIDE_STYLE('',(" + add("SURFACE_STYLE_FILL_AREA(" + fill + ")") + "))");
+      styles[hex] = add("PRESENTATION_STYLE_ASSIGNMENT((" + add("SURFACE_STYLE_USAGE(.BOTH.," + side + ")") + "))");
+    }
+    return styles[hex];
+  };
+
+  // Place each product in its parent assembly
+  let occurrences = 0;
+  let addProduct = (product, inheritedColor) => {
+    let color = product.color || inheritedColor;
+    if (product.children.length === 0) {
+      let shape = shapes[leafIndex++];
+      if (color) {
+        let style = styleOf(color);
+        shape.items.forEach((item) => { styledItems.push(add("STYLED_ITEM('color',(" + style + "),#" + item + ")")); });
+      }
+      return { definition: ref(shape.definition), representation: ref(shape.representation), axis: ref(shape.axis) };
+    }
+
+    let name = stepString(product.name);
+    let productId = add("PRODUCT(" + name + "," + name + ",'',(" + ref(shapes[0].productContext) + "))");
+    add("PRODUCT_RELATED_PRODUCT_CATEGORY('part',$,(" + productId + "))");
+    let formation = add("PRODUCT_DEFINITION_FORMATION('',''," + productId + ")");
+    let definition = add("PRODUCT_DEFINITION('design',''," + formation + "," + ref(shapes[0].definitionContext) + ")");
+    let axis = add("AXIS2_PLACEMENT_3D(''," + add("CARTESIAN_POINT('',(0.,0.,0.))") + "," +
+      add("DIRECTION('',(0.,0.,1.))") + "," + add("DIRECTION('',(1.,0.,0.))") + ")");
+    let representation = add("SHAPE_REPRESENTATION('',(" + axis + ")," + context + ")");
+    add("SHAPE_DEFINITION_REPRESENTATION(" + add("PRODUCT_DEFINITION_SHAPE('',''," + definition + ")") + "," + representation + ")");
+
+    product.children.forEach((child) => {
+      let placed = addProduct(child, color);
+      let occurrence = add("NEXT_ASSEMBLY_USAGE_OCCURRENCE('" + (++occurrences) + "'," + stepString(child.name) + ",''," +
+        definition + "," + placed.definition + ",$)");
+      let transformation = add("ITEM_DEFINED_TRANSFORMATION('',''," + placed.axis + "," + axis + ")");
+      let relationship = add("( REPRESENTATION_RELATIONSHIP('',''," + placed.representation + "," + representation + ") " +
+        "REPRESENTATION_RELATIONSHIP_WITH_TRANSFORMATION(" + transformation + ") SHAPE_REPRESENTATION_RELATIONSHIP() )");
+      add("CONTEXT_DEPENDENT_SHAPE_REPRESENTATION(" + relationship + "," +
+        add("PRODUCT_DEFINITION_SHAPE('Placement','Placement of an item'," + occurrence + ")") + ")");
+    });
+    return { definition: definition, representation: representation, axis: axis };
+  };
+  addProduct(root, null);
+  if (styledItems.length > 0) {
+    add("MECHANICAL_DESIGN_GEOMETRIC_PRESENTATION_REPRESENTATION('',(" + styledItems.join(",") + ")," + context + ")");
+  }
+
+  // Append the new entities to the DATA section
+  let data = stepText.search(/^DATA;/m), end = data < 0 ? -1 : stepText.indexOf("ENDSEC;", data);
+  if (end < 0) { return null; }
+  return stepText.slice(0, end) + lines.join("\n") + "\n" + stepText.slice(end);
+}
+
+const predefinedColors = { red: [1, 0, 0], green: [0, 1, 0], blue: [0, 0, 1], yellow: [1, 1, 0],
+  magenta: [1, 0, 1], cyan: [0, 1, 1], black: [0, 0, 0], white: [1, 1, 1] };
+const lengthUnits = { INCH: 25.4, FOOT: 304.8, MILLIMETRE: 1, CENTIMETRE: 10, METRE: 1000 };
+const unitPrefixes = { $: 1000, ".KILO.": 1e6, ".CENTI.": 10, ".MILLI.": 1, ".MICRO.": 1e-3, ".NANO.": 1e-6 };
+
+let dot   = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+let cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+let normalize = (a) => { let length = Math.hypot(a[0], a[1], a[2]) || 1; return a.map((c) => c / length); };
+
+/** The identity of the rigid transforms `{ rotation, translation }` (`rotation`'s rows, in millimeters). */
+const identity = { rotation: [[1, 0, 0], [0, 1, 0], [0, 0, 1]], translation: [0, 0, 0] };
+
+/** Returns the transform `a` after `b` (`b` first). */
+function compose(a, b) {
+  return {
+    rotation: a.rotation.map((row) => [0, 1, 2].map((j) => row[0] * b.rotation[0][j] + row[1] * b.rotation[1][j] + row[2] * b.rotation[2][j])),
+    translation: a.rotation.map((row, i) => dot(row, b.translation) + a.translation[i])
+  };
+}
+
+/** Returns the inverse of the rigid transform `a`. */
+function invert(a) {
+  let rotation = [0, 1, 2].map((i) => [0, 1, 2].map((j) => a.rotation[j][i]));
+  return { rotation: rotation, translation: rotation.map((row) => -dot(row, a.translation)) };
+}
+
+/** This function returns the axis and angle (in radians) of the rotation matrix `rotation` (given by rows). */
+export function axisAngle(rotation) {
+  let r = rotation, angle = Math.acos(Math.min(Math.max((r[0][0] + r[1][1] + r[2][2] - 1) / 2, -1), 1));
+  let axis = [r[2][1] - r[1][2], r[0][2] - r[2][0], r[1][0] - r[0][1]];
+  if (angle > 1e-9 && Math.hypot(axis[0], axis[1], axis[2]) < 1e-9) {
+    // Half turns: R + I is twice the axis times itself; take its largest column
+    let i = [0, 1, 2].reduce((best, j) => (r[j][j] > r[best][best] ? j : best), 0);
+    axis = [0, 1, 2].map((j) => r[j][i] + (i === j ? 1 : 0));
+  }
+  return { axis: normalize(axis), angle: angle };
+}
+
+/** Returns the millimeters per length unit of `entities`' (first) representation context. */
+function lengthUnit(entities) {
+  for (let id in entities) {
+    let body = entities[id].args[0];
+    if (entities[id].type !== null || !/LENGTH_UNIT/.test(body)) { continue; }
+    let si = /SI_UNIT\s*\(\s*(\$|\.\w+\.)\s*,\s*\.METRE\.\s*\)/.exec(body);
+    if (si) { return unitPrefixes[si[1]] || 1; }
+    let converted = /CONVERSION_BASED_UNIT\s*\(\s*'([^']*)'/.exec(body);
+    if (converted) { return lengthUnits[converted[1].toUpperCase()] || 1; }
+  }
+  return 1;
+}
+
+/** Returns the placement of the AXIS2_PLACEMENT_3D `id` as a rigid transform. */
+function placementTransform(entities, id, unit) {
+  let args = entities[id] ? entities[id].args : [];
+  let coordinates = (ref, fallback) => {
+    let entity = entities[refsIn(ref)[0]];
+    return entity && entity.args[1] ? entity.args[1].replace(/[()]/g, "").split(",").map(parseFloat) : fallback;
+  };
+  let z = normalize(coordinates(args[2], [0, 0, 1])), x = coordinates(args[3], [1, 0, 0]);
+  x = normalize(x.map((c, i) => c - z[i] * dot(x, z)));
+  if (Math.hypot(x[0], x[1], x[2]) < 0.5) { x = normalize(Math.abs(z[0]) < 0.9 ? cross([0, 1, 0], z) : cross([0, 0, 1], z)); }
+  let y = cross(z, x);
+  return { rotation: [0, 1, 2].map((i) => [x[i], y[i], z[i]]), translation: coordinates(args[1], [0, 0, 0]).map((c) => c * unit) };
+}
+
+/** Returns the `[r, g, b]` color (in 0-1) that the styles under `id` give, or null. */
+function styleColor(entities, id, seen = {}) {
+  let entity = entities[id];
+  if (!entity || seen[id]) { return null; }
+  seen[id] = true;
+  if (entity.type === "COLOUR_RGB") { return entity.args.slice(1, 4).map(parseFloat); }
+  if (entity.type === "DRAUGHTING_PRE_DEFINED_COLOUR") { return predefinedColors[entity.args[0].replace(/'/g, "")] || null; }
+  for (let ref of entity.refs) {
+    let color = styleColor(entities, ref, seen);
+    if (color) { return color; }
+  }
+  return null;
+}
+
+/** Returns the faces (ADVANCED_FACEs, ...) of the geometric item `id`, in the order OpenCascade reads them. */
+function facesOf(entities, id, seen = {}) {
+  let entity = entities[id];
+  if (!entity || !entity.type || seen[id]) { return []; }
+  seen[id] = true;
+  if (/FACE$|FACE_SURFACE$/.test(entity.type)) { return [id]; }
+  if (!/SHELL|BREP|SURFACE_MODEL/.test(entity.type)) { return []; }
+  return [].concat(...entity.refs.map((ref) => facesOf(entities, ref, seen)));
+}
+
+/** Returns the name of the PRODUCT that the PRODUCT_DEFINITION `definition` defines. */
+function definitionName(entities, definition) {
+  let formation = entities[refsIn(entities[definition].args[2])[0]];
+  let product = formation && entities[formation.refs[formation.refs.length - 1]];
+  if (!product || product.type !== "PRODUCT") { return ""; }
+  let [id, name] = product.args.slice(0, 2).map((arg) => decodeStepString(arg.replace(/^'|'$/g, "")));
+  return name || id;
+}
+
+/** This function reads the assembly tree of `stepText` as `{ roots, definitions, flatText }`.
+ * Each of the `roots` is `{ name, definition, transform, color, faceColors, children }`, where
+ * `definition` is its PRODUCT_DEFINITION, `transform` places it in the file (as a rigid
+ * `{ rotation, translation }` in millimeters), and `color` and `faceColors` (by face index) are
+ * `[r, g, b]` colors; only parts without `children` have shapes and colors.  `flatText` is
+ * `stepText` with the assembly's placements removed, so `STEPControl_Reader` transfers each
+ * PRODUCT_DEFINITION (listed in file order as `definitions`) as a root of its own. */
+export function readSTEPAssembly(stepText) {
+  let entities = parseSTEPEntities(stepText), referrers = referrersOf(entities), unit = lengthUnit(entities);
+  let ids = Object.keys(entities).map(Number).sort((a, b) => entities[a].index - entities[b].index);
+  let ofType = (type) => ids.filter((id) => entities[id].type === type);
+  let referrersOfType = (id, type) => (referrers[id] || []).filter((referrer) => entities[referrer].type === type);
+
+  // The colors of the styled geometry
+  let colors = {};
+  ofType("STYLED_ITEM").concat(ofType("OVER_RIDING_STYLED_ITEM")).forEach((id) => {
+    let item = refsIn(entities[id].args[2])[0];
+    let color = refsIn(entities[id].args[1]).map((style) => styleColor(entities, style)).find((found) => found);
+    if (color && !colors[item]) { colors[item] = color; }
+  });
+
+  // Where each occurrence of a product is placed in its assembly
+  let occurrences = ofType("NEXT_ASSEMBLY_USAGE_OCCURRENCE").map((id) => {
+    let occurrence = { id: id, parent: refsIn(entities[id].args[3])[0], child: refsIn(entities[id].args[4])[0], transform: identity, relationship: null };
+    let placement = referrersOfType(id, "PRODUCT_DEFINITION_SHAPE")[0];
+    let dependent = placement && referrersOfType(placement, "CONTEXT_DEPENDENT_SHAPE_REPRESENTATION")[0];
+    let relationship = dependent && entities[entities[dependent].refs[0]];
+    let transformation = relationship && /REPRESENTATION_RELATIONSHIP_WITH_TRANSFORMATION\s*\(\s*#(\d+)/.exec(relationship.args.join(","));
+    if (transformation && entities[transformation[1]] && entities[transformation[1]].type === "ITEM_DEFINED_TRANSFORMATION") {
+      occurrence.relationship = entities[dependent].refs[0];
+      let [childItem, parentItem] = entities[transformation[1]].refs;
+      let childShape = definitionShape(entities, referrers, occurrence.child);
+      if (childShape && refsIn(entities[childShape.representation].args[1]).includes(parentItem) &&
+         !refsIn(entities[childShape.representation].args[1]).includes(childItem)) { [childItem, parentItem] = [parentItem, childItem]; }
+      occurrence.transform = compose(placementTransform(entities, parentItem, unit), invert(placementTransform(entities, childItem, unit)));
+    }
+    return occurrence;
+  });
+
+  let definitions = ofType("PRODUCT_DEFINITION");
+  let readPart = (definition, transform, depth) => {
+    let part = { name: definitionName(entities, definition), definition: definition, transform: transform, color: null, faceColors: {}, children: [] };
+    let children = occurrences.filter((occurrence) => occurrence.parent === definition);
+    if (children.length > 0 && depth < 32) {
+      part.children = children.map((occurrence) => readPart(occurrence.child, compose(transform, occurrence.transform), depth + 1));
+      return part;
+    }
+    let shape = definitionShape(entities, referrers, definition), faceIndex = 0;
+    (shape ? shape.items : []).forEach((item) => {
+      if (colors[item] && !part.color) { part.color = colors[item]; }
+      facesOf(entities, item).forEach((face) => {
+        if (colors[face]) { part.faceColors[faceIndex] = colors[face]; }
+        faceIndex++;
+      });
+    });
+    return part;
+  };
+  let roots = definitions.filter((definition) => !occurrences.some((occurrence) => occurrence.child === definition))
+    .map((definition) => readPart(definition, identity, 0));
+
+  // Drop the occurrences and their placements (and everything that refers to them)
+  let removed = {}, queue = [].concat(...occurrences.map((occurrence) => [occurrence.id, occurrence.relationship].filter((id) => id)));
+  while (queue.length > 0) {
+    let id = queue.pop();
+    if (removed[id]) { continue; }
+    removed[id] = true;
+    queue.push(...(referrers[id] || []));
+  }
+  let flatText = occurrences.length === 0 ? stepText :
+    stepText.replace(entityRegex, (entity, id) => (removed[id] ? "" : entity));
+  return { roots: roots, definitions: definitions, flatText: flatText };
+}
@@ -0,0 +1,139 @@
+import { nameSTEPProducts, stepString, stepProductNames, assembleSTEP, parseSTEPEntities, readSTEPAssembly, axisAngle } from "./CascadeStudioSTEPAssembly.js";
+
+const stepText = [
+  "#7 = PRODUCT('Open CASCADE STEP translator 7.4 1','Open CASCADE STEP translator 7.4 1','',(#8));",
+  "#8 = PRODUCT_CONTEXT('',#2,'mechanical');",
+  "#20 = PRODUCT('Open CASCADE STEP translator 7.4 2','Open CASCADE STEP translator 7.4 2','',(#8));"
+].join("\n");
+
+test("names the transferred products in order", () => {
+  let lines = nameSTEPProducts(stepText, ["Base", "Lid"]).split("\n");
+  expect(lines[0]).toBe("#7 = PRODUCT('Base','Base','',(#8));");
+  expect(lines[1]).toBe("#8 = PRODUCT_CONTEXT('',#2,'mechanical');");
+  expect(lines[2]).toBe("#20 = PRODUCT('Lid','Lid','',(#8));");
+});
+
+test("leaves the products beyond the given names alone", () => {
+  expect(nameSTEPProducts(stepText, ["Base"])).toContain("PRODUCT('Open CASCADE STEP translator 7.4 2'");
+});
+
+test("escapes STEP string literals", () => {
+  expect(stepString("Bob's Part")).toBe("'Bob''s Part'");
+  expect(stepString("C:\\Parts")).toBe("'C:\\\\Parts'");
+  expect(stepString("Räd")).toBe("'R\\X2\\00E4\\X0\\d'");
+});
+
+test("reads the names of the products back", () => {
+  let names = ["Base", "Bob's Part", "Räd", "C:\\Parts"];
+  expect(stepProductNames(stepText)).toEqual(["Open CASCADE STEP translator 7.4 1", "Open CASCADE STEP translator 7.4 2"]);
+  expect(stepProductNames(nameSTEPProducts(stepText + "\n" + stepText, names))).toEqual(names);
+});
+
+/** Returns the entities `STEPControl_Writer` writes for a solid transferred as product `n`. */
+function solidProduct(n) {
+  let id = (offset) => "#" + (n * 100 + offset);
+  return [
+    id(0) + " = SHAPE_DEFINITION_REPRESENTATION(" + id(1) + "," + id(7) + ");",
+    id(1) + " = PRODUCT_DEFINITION_SHAPE('',''," + id(2) + ");",
+    id(2) + " = PRODUCT_DEFINITION('design',''," + id(3) + ",#6);",
+    id(3) + " = PRODUCT_DEFINITION_FORMATION('',''," + id(4) + ");",
+    id(4) + " = PRODUCT('Open CASCADE STEP translator 7.4 " + n + "','Open CASCADE STEP translator 7.4 " + n + "','',(#5));",
+    id(5) + " = PRODUCT_RELATED_PRODUCT_CATEGORY('part',$,(" + id(4) + "));",
+    id(7) + " = SHAPE_REPRESENTATION('',(" + id(8) + "),#9);",
+    id(8) + " = AXIS2_PLACEMENT_3D('',#10,#11,#12);",
+    id(13) + " = SHAPE_REPRESENTATION_RELATIONSHIP('',''," + id(7) + "," + id(14) + ");",
+    id(14) + " = ADVANCED_BREP_SHAPE_REPRESENTATION('',(" + id(8) + "," + id(15) + "),#9);",
+    id(15) + " = MANIFOLD_SOLID_BREP('',#16);"
+  ].join("\n");
+}
+const stepFile = ["ISO-10303-21;", "HEADER;", "FILE_NAME('robot.step','2020-01-01T00:00:00',('Author'),(''),'','','');", "ENDSEC;",
+  "DATA;", "#5 = PRODUCT_CONTEXT('',#2,'mechanical');", "#6 = PRODUCT_DEFINITION_CONTEXT('part definition',#2,'design');",
+  "#9 = ( GEOMETRIC_REPRESENTATION_CONTEXT(3) REPRESENTATION_CONTEXT('Context #1','3D Context') );",
+  solidProduct(1), solidProduct(2), "ENDSEC;", "END-ISO-10303-21;"].join("\n");
+
+test("parses STEP entities, including complex ones and strings with semicolons", () => {
+  let entities = parseSTEPEntities(stepFile + "\n#900 = PRODUCT('a;b','(#1)','',(#5));");
+  expect(entities[104]).toEqual({ type: "PRODUCT", args: ["'Open CASCADE STEP translator 7.4 1'",
+    "'Open CASCADE STEP translator 7.4 1'", "''", "(#5)"], refs: [5], index: 7 });
+  expect(entities[9].type).toBe(null);
+  expect(entities[900].args[0]).toBe("'a;b'");
+  expect(entities[900].refs).toEqual([5]);
+});
+
+const robot = { name: "Robot", color: null, children: [
+  { name: "Base", color: "#ff0000", children: [] },
+  { name: "Arm", color: "#0000ff", children: [{ name: "Link", color: null, children: [] }] }
+] };
+
+test("adds the assembly tree and colors to the flat products", () => {
+  let assembled = assembleSTEP(nameSTEPProducts(stepFile, ["Base", "Link"]), robot);
+  let entities = parseSTEPEntities(assembled), ids = Object.keys(entities);
+  let ofType = (type) => ids.filter((id) => entities[id].type === type).map((id) => entities[id]);
+  expect(assembled.endsWith("ENDSEC;\nEND-ISO-10303-21;")).toBe(true);
+  expect(ids.every((id) => entities[id].refs.every((ref) => ref <= 16 || ref in entities))).toBe(true);
+
+  // Robot holds Base and Arm, which holds Link
+  expect(stepProductNames(assembled)).toEqual(["Base", "Link", "Robot", "Arm"]);
+  let definitionOf = (name) => ids.find((id) => entities[id].type === "PRODUCT_DEFINITION" &&
+    entities[entities[id].refs[0]].refs[0] === Number(ids.find((product) => entities[product].args[0] === "'" + name + "'")));
+  let occurrences = ofType("NEXT_ASSEMBLY_USAGE_OCCURRENCE").map((occurrence) => occurrence.refs.map(String));
+  expect(occurrences).toEqual([
+    [definitionOf("Robot"), definitionOf("Base")],
+    [definitionOf("Arm"), definitionOf("Link")],
+    [definitionOf("Robot"), definitionOf("Arm")]
+  ]);
+  expect(ofType("CONTEXT_DEPENDENT_SHAPE_REPRESENTATION").length).toBe(3);
+
+  // Base is red, and Link takes Arm's blue
+  expect(ofType("COLOUR_RGB").map((colour) => colour.args.slice(1))).toEqual([["1.", "0.", "0."], ["0.", "0.", "1."]]);
+  expect(ofType("STYLED_ITEM").map((styled) => styled.refs[1])).toEqual([115, 215]);
+  expect(ofType("MECHANICAL_DESIGN_GEOMETRIC_PRESENTATION_REPRESENTATION")[0].refs.length).toBe(3);
+});
+
+test("gives up on files that don't have a product per leaf", () => {
+  expect(assembleSTEP(stepFile, { name: "Robot", color: null, children: [{ name: "Base", color: null, children: [] }] })).toBe(null);
+});
+
+test("reads the assembly tree and colors back", () => {
+  let assembly = readSTEPAssembly(assembleSTEP(nameSTEPProducts(stepFile, ["Base", "Link"]), robot));
+  let names = (parts) => parts.map((part) => [part.name, part.color, names(part.children)]);
+  expect(names(assembly.roots)).toEqual([["Robot", null, [["Base", [1, 0, 0], []], ["Arm", null, [["Link", [0, 0, 1], []]]]]]]);
+  expect(assembly.roots[0].children[1].children[0].transform.translation).toEqual([0, 0, 0]);
+
+  // Every product definition is a root of the flattened file
+  expect(assembly.definitions.length).toBe(4);
+  expect(assembly.flatText).not.toContain("NEXT_ASSEMBLY_USAGE_OCCURRENCE");
+  expect(assembly.flatText).not.toContain("CONTEXT_DEPENDENT_SHAPE_REPRESENTATION");
+  expect(assembly.flatText).toContain("MANIFOLD_SOLID_BREP('',#16);");
+});
+
+test("places the parts in millimeters and colors single faces", () => {
+  let assembly = readSTEPAssembly(stepFile.replace("DATA;", [
+    "DATA;",
+    "#1 = ( LENGTH_UNIT() NAMED_UNIT(*) SI_UNIT($,.METRE.) );",
+    "#16 = CLOSED_SHELL('',(#17,#18));", "#17 = ADVANCED_FACE('',(),#0,.T.);", "#18 = ADVANCED_FACE('',(),#0,.T.);",
+    "#20 = COLOUR_RGB('',0.,1.,0.);", "#21 = STYLED_ITEM('color',(#22),#18);", "#22 = PRESENTATION_STYLE_ASSIGNMENT((#20));",
+    "#30 = NEXT_ASSEMBLY_USAGE_OCCURRENCE('1','','',#102,#202,$);",
+    "#31 = PRODUCT_DEFINITION_SHAPE('','',#30);",
+    "#32 = CONTEXT_DEPENDENT_SHAPE_REPRESENTATION(#33,#31);",
+    "#33 = ( REPRESENTATION_RELATIONSHIP('','',#207,#107) REPRESENTATION_RELATIONSHIP_WITH_TRANSFORMATION(#34) SHAPE_REPRESENTATION_RELATIONSHIP() );",
+    "#34 = ITEM_DEFINED_TRANSFORMATION('','',#208,#35);",
+    "#35 = AXIS2_PLACEMENT_3D('',#36,#37,#38);", "#36 = CARTESIAN_POINT('',(1.,2.,3.));",
+    "#37 = DIRECTION('',(0.,0.,1.));", "#38 = DIRECTION('',(0.,1.,0.));"
+  ].join("\n")));
+
+  let [parent] = assembly.roots, [child] = parent.children;
+  expect(parent.name).toBe("Open CASCADE STEP translator 7.4 1");
+  expect(child.transform.translation).toEqual([1000, 2000, 3000]);
+  expect(child.transform.rotation.map((row) => row.map(Math.round))).toEqual([[0, -1, 0], [1, 0, 0], [0, 0, 1]]);
+  expect(child.faceColors).toEqual({ 1: [0, 1, 0] });
+  expect(assembly.flatText).not.toContain("#33 =");
+});
+
+test("finds the axis and angle of rotations", () => {
+  let quarter = axisAngle([[0, -1, 0], [1, 0, 0], [0, 0, 1]]);
+  expect(quarter.axis).toEqual([0, 0, 1]); expect(quarter.angle).toBeCloseTo(Math.PI / 2);
+  let half = axisAngle([[-1, 0, 0], [0, 1, 0], [0, 0, -1]]);
+  expect(half.axis).toEqual([0, 1, 0]); expect(half.angle).toBeCloseTo(Math.PI);
+  expect(axisAngle([[1, 0, 0], [0, 1, 0], [0, 0, 1]]).angle).toBe(0);
+});
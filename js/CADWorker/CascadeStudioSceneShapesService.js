@@ -1,5 +1,6 @@
 export let sceneShapes = [];
 export const resetSceneShapes = () => (sceneShapes = []);
+export const setSceneShapes = val => (sceneShapes = val);
 
 /** This function returns a version of the `inputArray` without the `objectToRemove`. */
 export function RemoveFromSceneShapes(objectToRemove) {
@@ -0,0 +1,91 @@
+// Shape Serialization
+// The persistent geometry cache and the Pool Workers store and send shapes as text.  With an
+// opencascade.js build that includes `BRepTools` that text is BREP (lossless and fast); the
+// shipped build lacks it, so shapes are written as STEP through `STEPControl_Writer` instead.
+import { oc, shapeMetadata } from "./CascadeStudioWorkerState";
+
+/** The `TopAbs_ShapeEnum`s and `TopoDS` casts of the shape types, in `ShapeType()` order. */
+const shapeCasts = ["Compound", "CompSolid", "Solid", "Shell", "Face", "Wire", "Edge", "Vertex"];
+
+/** This function serializes `shape` as `{ format, type, text }` (where `format` is "brep" or "step"
+ * and `type` is its `ShapeType()`), or returns null if it can't be written. */
+export function serializeShape(shape, filename = "CascadeStudioShape") {
+  if (oc.BRepTools) {
+    let brepText = shapeToBREP(shape, filename + ".brep");
+    return brepText === null ? null : { format: "brep", type: shape.ShapeType(), text: brepText };
+  }
+  let writer = new oc.STEPControl_Writer();
+  if (writer.Transfer(shape, 0) !== 1 || writer.Write(filename + ".step") !== 1) { return null; }
+  let stepText = oc.FS.readFile("/" + filename + ".step", { encoding: "utf8" });
+  oc.FS.unlink("/" + filename + ".step");
+  return { format: "step", type: shape.ShapeType(), text: stepText };
+}
+
+/** This function reads a shape serialized by `serializeShape()` back, or returns null if it can't.
+ * STEP wraps faces, wires and edges in shells and compounds; those are unwrapped again. */
+export function deserializeShape(serialized, filename = "CascadeStudioShape") {
+  if (serialized.format === "brep") {
+    if (!oc.BRepTools) { return null; }
+    let shape = BREPToShape(serialized.text, filename + ".brep");
+    return shape.IsNull() ? null : shape;
+  }
+
+  oc.FS.createDataFile("/", filename + ".step", serialized.text, true, true);
+  let reader = new oc.STEPControl_Reader(), shape = null;
+  if (reader.ReadFile(filename + ".step") === 1 && reader.TransferRoots() > 0) { shape = reader.OneShape(); }
+  oc.FS.unlink("/" + filename + ".step");
+  if (!shape || shape.IsNull()) { return null; }
+  if (shape.ShapeType() === serialized.type) { return shape; }
+
+  // Unwrap the single sub-shape of the original type
+  let castName = shapeCasts[serialized.type], found = null, count = 0;
+  if (!castName) { return null; }
+  let anExplorer = new oc.TopExp_Explorer(shape, oc["TopAbs_" + castName.toUpperCase()]);
+  for (; anExplorer.More(); anExplorer.Next()) { found = anExplorer.Current(); count++; }
+  return count === 1 ? oc.TopoDS.prototype[castName](found) : null;
+}
+
+/** This function serializes a scene shape with everything the Outliner and the exporters know about it, as
+ * `{ hash, serialized, metadata, color, faceColors, children }`: `metadata` is its `shapeMetadata` (name,
+ * color, material, kind, line) and `children` are the shapes of a Part or Assembly, serialized the same way. */
+export function serializeSceneShape(shape, filename = "CascadeStudioShape") {
+  let metadata = Object.assign({}, shapeMetadata[shape.ptr]);
+  let children = (metadata.children || []).map((child, index) => serializeSceneShape(child, filename + "_" + index));
+  delete metadata.children;
+  return { hash: shape.hash, serialized: serializeShape(shape, filename), metadata: metadata,
+    color: shape.color, faceColors: shape.faceColors, children: children };
+}
+
+/** This function reads a scene shape serialized by `serializeSceneShape()` back, restoring its
+ * `shapeMetadata` (and that of its children), or returns null if it (or one of its children) can't be read. */
+export function deserializeSceneShape(record, filename = "CascadeStudioShape") {
+  let shape = record.serialized ? deserializeShape(record.serialized, filename) : null;
+  if (!shape) { return null; }
+  let children = record.children.map((child, index) => deserializeSceneShape(child, filename + "_" + index));
+  if (children.some((child) => !child)) { return null; }
+  shape.hash = record.hash;
+  if (record.color)      { shape.color      = record.color; }
+  if (record.faceColors) { shape.faceColors = record.faceColors; }
+  if (Object.keys(record.metadata).length > 0 || children.length > 0) {
+    shapeMetadata[shape.ptr] = Object.assign({}, record.metadata, children.length > 0 ? { children: children } : {});
+  }
+  return shape;
+}
+
+/** This function serializes `shape` as the text of a `.brep` file (or returns null on failure).
+ * Requires an opencascade.js build that includes `BRepTools`. */
+export function shapeToBREP(shape, filename = "CascadeStudioShape.brep") {
+  if (!oc.BRepTools.prototype.Write(shape, filename)) { return null; }
+  let brepText = oc.FS.readFile("/" + filename, { encoding: "utf8" });
+  oc.FS.unlink("/" + filename);
+  return brepText;
+}
+
+/** This function parses the text of a `.brep` file back into a `TopoDS_Shape`. */
+export function BREPToShape(brepText, filename = "CascadeStudioShape.brep") {
+  oc.FS.createDataFile("/", filename, brepText, true, true);
+  let shape = new oc.TopoDS_Shape();
+  oc.BRepTools.prototype.Read(shape, filename, new oc.BRep_Builder());
+  oc.FS.unlink("/" + filename);
+  return shape;
+}
@@ -0,0 +1,57 @@
+import { setOc } from "./CascadeStudioWorkerState";
+import { serializeShape, deserializeShape } from "./CascadeStudioShapeSerializer.js";
+
+// These tests check how shapes travel through STEP (the shipped opencascade.js lacks BRepTools),
+// against a fake OpenCascade whose STEP reader wraps what it reads in a shell of `faces`.
+
+let files = {};
+let fakeShape = (type, name) => ({ ShapeType: () => type, IsNull: () => false, name: name });
+
+function fakeOc(faces) {
+  return {
+    TopAbs_FACE: "TopAbs_FACE",
+    FS: {
+      readFile: (path) => files[path],
+      createDataFile: (directory, name, text) => { files["/" + name] = text; },
+      unlink: (path) => { delete files[path]; }
+    },
+    STEPControl_Writer: function () {
+      this.Transfer = (shape) => { this.shape = shape; return 1; };
+      this.Write = (filename) => { files["/" + filename] = "ISO-10303-21; " + this.shape.name; return 1; };
+    },
+    STEPControl_Reader: function () {
+      this.ReadFile = (filename) => (files["/" + filename] ? 1 : 0);
+      this.TransferRoots = () => 1;
+      this.OneShape = () => fakeShape(3, "shell");
+    },
+    TopExp_Explorer: function () {
+      let index = 0;
+      this.More = () => index < faces.length;
+      this.Next = () => { index++; };
+      this.Current = () => faces[index];
+    },
+    TopoDS: { prototype: { Face: (shape) => Object.assign({ cast: "Face" }, shape) } }
+  };
+}
+
+afterEach(() => { setOc(null); files = {}; });
+
+test("serializes shapes as STEP without BRepTools, and cleans up the file", () => {
+  setOc(fakeOc([]));
+  expect(serializeShape(fakeShape(4, "face"), "cache1")).toEqual({ format: "step", type: 4, text: "ISO-10303-21; face" });
+  expect(files).toEqual({});
+});
+
+test("unwraps the face that STEP put in a shell", () => {
+  setOc(fakeOc([fakeShape(4, "face")]));
+  let shape = deserializeShape({ format: "step", type: 4, text: "ISO-10303-21; face" }, "cache1");
+  expect(shape.cast).toBe("Face");
+  expect(shape.name).toBe("face");
+  expect(files).toEqual({});
+});
+
+test("gives up on shapes that can't be unwrapped or read as BREP", () => {
+  setOc(fakeOc([fakeShape(4, "face"), fakeShape(4, "face")]));
+  expect(deserializeShape({ format: "step", type: 4, text: "ISO-10303-21;" })).toBe(null);
+  expect(deserializeShape({ format: "brep", type: 4, text: "DBRep_DrawableShape" })).toBe(null);
+});
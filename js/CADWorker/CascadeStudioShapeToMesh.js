@@ -138,10 +138,7 @@ export function ShapeToMesh (shape, maxDeviation, fullShapeEdgeHashes, fullShape
       });
 
     } catch(err) {
-      setTimeout(() => {
-        err.message = "INTERNAL OPENCASCADE ERROR DURING GENERATE: " + err.message;
-        throw err; 
-      }, 0);
+      console.error(err); // Forwarded to the main thread (or the headless caller)
     }
 
     return [facelist, edgeList];
@@ -17,19 +17,24 @@ import {
   ComputeHash,
   stringToHash,
   convertToPnt,
-  getCallingLocation,
-  isArrayLike
+  getCallSite,
+  isArrayLike,
+  toHexColor
 } from "./CascadeStudioStandardUtils.js";
-import { oc, GUIState, setArgCache } from "./CascadeStudioWorkerState";
+import { oc, GUIState, setArgCache, shapeMetadata } from "./CascadeStudioWorkerState";
 import {
   sceneShapes,
+  setSceneShapes,
   RemoveFromSceneShapes
 } from "./CascadeStudioSceneShapesService";
 import { fonts } from "./CascadeStudioFontLoader";
+import { trackGUIStateRead } from "./CascadeStudioIncrementalEvaluation.js";
+import { sectionShape, shapeToDrawing, writeDXF, writeSVG } from "./CascadeStudioDrawingExport.js";
+import { importProjectFile } from "./CascadeStudioFileUtils.js";
 
 export function Box(x, y, z, centered) {
   if (!centered) { centered = false;}
-  let curBox = CacheOp(Box, () => {
+  let curBox = CacheOp(Box, arguments, () => {
     // Construct a Box Primitive
     let box = new oc.BRepPrimAPI_MakeBox(x, y, z).Shape();
     if (centered) {
@@ -44,7 +49,7 @@ export function Box(x, y, z, centered) {
 }
 
 export function Sphere(radius) {
-  let curSphere = CacheOp(Sphere, () => {
+  let curSphere = CacheOp(Sphere, arguments, () => {
     // Construct a Sphere Primitive
     let spherePlane = new oc.gp_Ax2(new oc.gp_Pnt(0, 0, 0), oc.gp.prototype.DZ());
     return new oc.BRepPrimAPI_MakeSphere(spherePlane, radius).Shape();
@@ -55,7 +60,7 @@ export function Sphere(radius) {
 }
 
 export function Cylinder(radius, height, centered) {
-  let curCylinder = CacheOp(Cylinder, () => {
+  let curCylinder = CacheOp(Cylinder, arguments, () => {
     let cylinderPlane = new oc.gp_Ax2(new oc.gp_Pnt(0, 0, centered ? -height / 2 : 0), new oc.gp_Dir(0, 0, 1));
     return new oc.BRepPrimAPI_MakeCylinder(cylinderPlane, radius, height).Shape();
   });
@@ -64,7 +69,7 @@ export function Cylinder(radius, height, centered) {
 }
 
 export function Cone(radius1, radius2, height) {
-  let curCone = CacheOp(Cone, () => {
+  let curCone = CacheOp(Cone, arguments, () => {
     return new oc.BRepPrimAPI_MakeCone(radius1, radius2, height).Shape();
   });
   sceneShapes.push(curCone);
@@ -72,7 +77,7 @@ export function Cone(radius1, radius2, height) {
 }
 
 export function Polygon(points, wire) {
-  let curPolygon = CacheOp(Polygon, () => {
+  let curPolygon = CacheOp(Polygon, arguments, () => {
     let gpPoints = [];
     for (let ind = 0; ind < points.length; ind++) {
       gpPoints.push(convertToPnt(points[ind]));
@@ -102,7 +107,7 @@ export function Polygon(points, wire) {
 }
 
 export function Circle(radius, wire) {
-  let curCircle = CacheOp(Circle, () => {
+  let curCircle = CacheOp(Circle, arguments, () => {
     let circle = new oc.GC_MakeCircle(new oc.gp_Ax2(new oc.gp_Pnt(0, 0, 0),
       new oc.gp_Dir(0, 0, 1)), radius).Value();
     let edge = new oc.BRepBuilderAPI_MakeEdge(circle).Edge();
@@ -115,7 +120,7 @@ export function Circle(radius, wire) {
 }
 
 export function BSpline(inPoints, closed) {
-  let curSpline = CacheOp(BSpline, () => {
+  let curSpline = CacheOp(BSpline, arguments, () => {
     let ptList = new oc.TColgp_Array1OfPnt(1, inPoints.length + (closed ? 1 : 0));
     for (let pIndex = 1; pIndex <= inPoints.length; pIndex++) {
       ptList.SetValue(pIndex, convertToPnt(inPoints[pIndex - 1]));
@@ -133,7 +138,7 @@ export function BSpline(inPoints, closed) {
 export function Text3D(text, size = 36, height = 0.15, fontName = "Consolas") {
 
   let textArgs = JSON.stringify({ text, size, height, fontName });
-  let curText = CacheOp(Text3D, () => {
+  let curText = CacheOp(Text3D, arguments, () => {
     if (fonts[fontName] === undefined) { setArgCache({}); console.log("Font not loaded or found yet!  Try again..."); return; }
     let textFaces = [];
     let commands = fonts[fontName].getPath(text, 0, 0, size).commands;
@@ -225,7 +230,7 @@ export function GetSolidFromCompound(shape, index, keepOriginal) {
   if (!shape || shape.ShapeType() > 1 || shape.IsNull()) { console.error("Not a compound shape!"); return shape; }
   if (!index) { index = 0;}
 
-  let sol = CacheOp(GetSolidFromCompound, () => {
+  let sol = CacheOp(GetSolidFromCompound, arguments, () => {
     let innerSolid = {}; let solidsFound = 0;
     ForEachSolid(shape, (i, s) => {
       if (i === index) { innerSolid = new oc.TopoDS_Solid(s); } solidsFound++;
@@ -268,7 +273,7 @@ export function GetWire(shape, index, keepOriginal) {
   if (!shape || shape.ShapeType() > 4 || shape.IsNull()) { console.error("Not a wire shape!"); return shape; }
   if (!index) { index = 0;}
 
-  let wire = CacheOp(GetWire, () => {
+  let wire = CacheOp(GetWire, arguments, () => {
     let innerWire = {}; let wiresFound = 0;
     ForEachWire(shape, (i, s) => {
       if (i === index) { innerWire = new oc.TopoDS_Wire(s); } wiresFound++;
@@ -307,7 +312,7 @@ export function ForEachVertex(shape, callback) {
 }
 
 export function FilletEdges(shape, radius, edgeList, keepOriginal) { 
-  let curFillet = CacheOp(FilletEdges, () => {
+  let curFillet = CacheOp(FilletEdges, arguments, () => {
     let mkFillet = new oc.BRepFilletAPI_MakeFillet(shape);
     let foundEdges = 0;
     ForEachEdge(shape, (index, edge) => {
@@ -325,7 +330,7 @@ export function FilletEdges(shape, radius, edgeList, keepOriginal) {
 }
 
 export function ChamferEdges(shape, distance, edgeList, keepOriginal) { 
-  let curChamfer = CacheOp(ChamferEdges, () => {
+  let curChamfer = CacheOp(ChamferEdges, arguments, () => {
     let mkChamfer = new oc.BRepFilletAPI_MakeChamfer(shape);
     let foundEdges = 0;
     ForEachEdge(shape, (index, edge) => {
@@ -343,22 +348,25 @@ export function ChamferEdges(shape, distance, edgeList, keepOriginal) {
 }
 
 export function Transform(translation, rotation, scale, shapes) {
-  return CacheOp(Transform, () => {
+  // Create the transform gizmo and add it to the scene (even when the result is cached)
+  let callSite = getCallSite(), lineAndColumn = [callSite.line, callSite.column];
+  if (typeof shapes !== "undefined") {
+    postMessage({ "type": "createTransformHandle", payload: { translation: translation, rotation: rotation, scale: scale, lineAndColumn: lineAndColumn } });
+  } else {
+    postMessage({ "type": "createTransformHandle", payload: { translation: [0, 0, 0], rotation: [[0, 1, 0], 1], scale: 1, lineAndColumn: lineAndColumn } });
+  }
+  return CacheOp(Transform, arguments, () => {
     if (typeof shapes !== "undefined") {
-      // Create the transform gizmo and add it to the scene
-      postMessage({ "type": "createTransformHandle", payload: { translation: translation, rotation: rotation, scale: scale, lineAndColumn: getCallingLocation() } });
       // Transform the Object(s)
       return Translate(translation, Rotate(rotation[0], rotation[1], Scale(scale, shapes)));
     } else {
-      // Create the transform gizmo and add it to the scene
-      postMessage({ "type": "createTransformHandle", payload: { translation: [0, 0, 0], rotation: [[0, 1, 0], 1], scale: 1, lineAndColumn: getCallingLocation() } });
       return translation; // The first element will be the shapes
     }
   });
 }
 
 export function Translate(offset, shapes, keepOriginal) {
-  let translated = CacheOp(Translate, () => {
+  let translated = CacheOp(Translate, arguments, () => {
     let transformation = new oc.gp_Trsf();
     transformation.SetTranslation(new oc.gp_Vec(offset[0], offset[1], offset[2]));
     let translation = new oc.TopLoc_Location(transformation);
@@ -373,6 +381,7 @@ export function Translate(offset, shapes, keepOriginal) {
     }
   });
 
+  keepAppearance(shapes, translated);
   if (!keepOriginal) { RemoveFromSceneShapes(shapes); }
   sceneShapes.push(translated);
 
@@ -384,7 +393,7 @@ export function Rotate(axis, degrees, shapes, keepOriginal) {
   if (degrees === 0) {
     rotated = new oc.TopoDS_Shape(shapes);
   } else {
-    rotated = CacheOp(Rotate, () => {
+    rotated = CacheOp(Rotate, arguments, () => {
       let newRot;
       let transformation = new oc.gp_Trsf();
       transformation.SetRotation(
@@ -394,20 +403,22 @@ export function Rotate(axis, degrees, shapes, keepOriginal) {
       if (!isArrayLike(shapes)) {
         newRot = new oc.TopoDS_Shape(shapes.Moved(rotation));
       } else if (shapes.length >= 1) {      // Do the normal rotation
+        newRot = [];
         for (let shapeIndex = 0; shapeIndex < shapes.length; shapeIndex++) {
-          shapes[shapeIndex].Move(rotation);
+          newRot.push(new oc.TopoDS_Shape(shapes[shapeIndex].Moved(rotation)));
         }
       }
       return newRot;
     });
   }
+  keepAppearance(shapes, rotated);
   if (!keepOriginal) { RemoveFromSceneShapes(shapes); }
   sceneShapes.push(rotated);
   return rotated;
 }
 
 export function Scale(scale, shapes, keepOriginal) {
-  let scaled = CacheOp(Scale, () => {
+  let scaled = CacheOp(Scale, arguments, () => {
     let transformation = new oc.gp_Trsf();
     transformation.SetScaleFactor(scale);
     let scaling = new oc.TopLoc_Location(transformation);
@@ -422,16 +433,32 @@ export function Scale(scale, shapes, keepOriginal) {
     }
   });
 
+  keepAppearance(shapes, scaled);
   if (!keepOriginal) { RemoveFromSceneShapes(shapes); }
   sceneShapes.push(scaled);
 
   return scaled;
 }
 
+/** Gives the `moved` copies the `Name()`, `Color()` and `Material()` of the `shapes` they were
+ * moved from; the metadata belongs to each shape itself, so other ops start without it. */
+function keepAppearance(shapes, moved) {
+  if (!shapes || !moved) { return; }
+  if (isArrayLike(shapes)) {
+    if (isArrayLike(moved)) { Array.from(moved, (shape, index) => keepAppearance(shapes[index], shape)); }
+    return;
+  }
+  let metadata = shapeMetadata[shapes.ptr];
+  if (!metadata || isArrayLike(moved)) { return; }
+  let kept = {};
+  ["name", "color", "material"].forEach((key) => { if (key in metadata) { kept[key] = metadata[key]; } });
+  if (Object.keys(kept).length > 0) { shapeMetadata[moved.ptr] = Object.assign(shapeMetadata[moved.ptr] || {}, kept); }
+}
+
 // TODO: These ops can be more cache optimized since they're multiple sequential ops
 export function Union(objectsToJoin, keepObjects, fuzzValue, keepEdges) {
   if (!fuzzValue) { fuzzValue = 0.1; }
-  let curUnion = CacheOp(Union, () => {
+  let curUnion = CacheOp(Union, arguments, () => {
     let combined = new oc.TopoDS_Shape(objectsToJoin[0]);
     if (objectsToJoin.length > 1) {
       for (let i = 0; i < objectsToJoin.length; i++) {
@@ -460,7 +487,7 @@ export function Union(objectsToJoin, keepObjects, fuzzValue, keepEdges) {
 }
 
 export function Difference(mainBody, objectsToSubtract, keepObjects, fuzzValue = 0.1, keepEdges) {
-  let curDifference = CacheOp(Difference, () => {
+  let curDifference = CacheOp(Difference, arguments, () => {
     if (!mainBody || mainBody.IsNull()) { console.error("Main Shape in Difference is null!"); }
     
     let difference = new oc.TopoDS_Shape(mainBody);
@@ -479,7 +506,7 @@ export function Difference(mainBody, objectsToSubtract, keepObjects, fuzzValue =
       difference = fusor.Shape();
     }
 
-    difference.hash = ComputeHash(Difference);
+    difference.hash = ComputeHash(Difference, arguments);
     if (GetNumSolidsInCompound(difference) === 1) {
       difference = GetSolidFromCompound(difference, 0);
     }
@@ -497,7 +524,7 @@ export function Difference(mainBody, objectsToSubtract, keepObjects, fuzzValue =
 
 export function Intersection(objectsToIntersect, keepObjects, fuzzValue, keepEdges) {
   if (!fuzzValue) { fuzzValue = 0.1; }
-  let curIntersection = CacheOp(Intersection, () => {
+  let curIntersection = CacheOp(Intersection, arguments, () => {
     let intersected = new oc.TopoDS_Shape(objectsToIntersect[0]);
     if (objectsToIntersect.length > 1) {
       for (let i = 0; i < objectsToIntersect.length; i++) {
@@ -525,8 +552,20 @@ export function Intersection(objectsToIntersect, keepObjects, fuzzValue, keepEdg
   return curIntersection;
 }
 
+export function Section(shape, origin, normal, keepShape) {
+  if (!origin) { origin = [0, 0, 0]; }
+  if (!normal) { normal = [0, 0, 1]; }
+  let curSection = CacheOp(Section, arguments, () => {
+    return sectionShape(shape, origin, normal);
+  });
+
+  if (!keepShape) { RemoveFromSceneShapes(shape); }
+  sceneShapes.push(curSection);
+  return curSection;
+}
+
 export function Extrude(face, direction, keepFace) {
-  let curExtrusion = CacheOp(Extrude, () => {
+  let curExtrusion = CacheOp(Extrude, arguments, () => {
     return new oc.BRepPrimAPI_MakePrism(face,
       new oc.gp_Vec(direction[0], direction[1], direction[2])).Shape();
   });
@@ -537,7 +576,7 @@ export function Extrude(face, direction, keepFace) {
 }
 
 export function RemoveInternalEdges(shape, keepShape) {
-  let cleanShape = CacheOp(RemoveInternalEdges, () => {
+  let cleanShape = CacheOp(RemoveInternalEdges, arguments, () => {
     let fusor = new oc.ShapeUpgrade_UnifySameDomain(shape);
     fusor.Build();
     return fusor.Shape();
@@ -552,7 +591,7 @@ export function Offset(shape, offsetDistance, tolerance, keepShape) {
   if (!shape || shape.IsNull()) { console.error("Offset received Null Shape!"); }
   if (!tolerance) { tolerance = 0.1; }
   if (offsetDistance === 0.0) { return shape; }
-  let curOffset = CacheOp(Offset, () => {
+  let curOffset = CacheOp(Offset, arguments, () => {
     let offset = null;
     if (shape.ShapeType() === 5) {
       offset = new oc.BRepOffsetAPI_MakeOffset();
@@ -582,7 +621,7 @@ export function Offset(shape, offsetDistance, tolerance, keepShape) {
 export function Revolve(shape, degrees, direction, keepShape, copy) {
   if (!degrees  ) { degrees   = 360.0; }
   if (!direction) { direction = [0, 0, 1]; }
-  let curRevolution = CacheOp(Revolve, () => {
+  let curRevolution = CacheOp(Revolve, arguments, () => {
     if (degrees >= 360.0) {
       return new oc.BRepPrimAPI_MakeRevol(shape,
         new oc.gp_Ax1(new oc.gp_Pnt(0, 0, 0),
@@ -603,7 +642,7 @@ export function Revolve(shape, degrees, direction, keepShape, copy) {
 
 export function RotatedExtrude(wire, height, rotation, keepWire) {
   if (!wire || wire.IsNull()) { console.error("RotatedExtrude received Null Wire!"); }
-  let curExtrusion = CacheOp(RotatedExtrude, () => {
+  let curExtrusion = CacheOp(RotatedExtrude, arguments, () => {
     let upperPolygon = Rotate([0, 0, 1], rotation, Translate([0, 0, height], wire, true));
     RemoveFromSceneShapes(upperPolygon);
 
@@ -642,7 +681,7 @@ export function RotatedExtrude(wire, height, rotation, keepWire) {
 }
 
 export function Loft(wires, keepWires) {
-  let curLoft = CacheOp(Loft, () => {
+  let curLoft = CacheOp(Loft, arguments, () => {
     let pipe = new oc.BRepOffsetAPI_ThruSections(true);
 
     // Construct a Loft that passes through the wires
@@ -660,7 +699,7 @@ export function Loft(wires, keepWires) {
 }
 
 export function Pipe(shape, wirePath, keepInputs) {
-  let curPipe = CacheOp(Pipe, () => {
+  let curPipe = CacheOp(Pipe, arguments, () => {
     let pipe = new oc.BRepOffsetAPI_MakePipe(wirePath, shape);
     pipe.Build();
     return new oc.TopoDS_Shape(pipe.Shape());
@@ -684,19 +723,19 @@ export function Sketch(startingPoint) {
   this.lastPoint    = this.firstPoint;
   this.wireBuilder  = new oc.BRepBuilderAPI_MakeWire();
   this.fillets      = [];
-  this.argsString   = ComputeHash(Sketch, true);
+  this.argsString   = ComputeHash(Sketch, arguments, true);
 
   // Functions are: BSplineTo, Fillet, Wire, and Face
   this.Start = function (startingPoint) {
     this.firstPoint  = new oc.gp_Pnt(startingPoint[0], startingPoint[1], 0);
     this.lastPoint   = this.firstPoint;
     this.wireBuilder = new oc.BRepBuilderAPI_MakeWire();
-    this.argsString += ComputeHash(this.Start, true);
+    this.argsString += ComputeHash("Start", arguments, true);
     return this;
   }
 
   this.End = function (closed, reversed) {
-    this.argsString += ComputeHash(this.End, true);
+    this.argsString += ComputeHash("End", arguments, true);
 
     if (closed &&
        (this.firstPoint.X() !== this.lastPoint.X() ||
@@ -726,7 +765,7 @@ export function Sketch(startingPoint) {
   }
 
   this.Wire = function (reversed) {
-    this.argsString += ComputeHash(this.Wire, true);
+    this.argsString += ComputeHash("Wire", arguments, true);
     //let wire = this.wires[this.wires.length - 1];
     this.applyFillets();
     this.faces[this.faces.length - 1].hash = stringToHash(this.argsString);
@@ -736,7 +775,7 @@ export function Sketch(startingPoint) {
     return wire;
   }
   this.Face = function (reversed) {
-    this.argsString += ComputeHash(this.Face, true);
+    this.argsString += ComputeHash("Face", arguments, true);
     this.applyFillets();
     let face = this.faces[this.faces.length - 1];
     if (reversed) { face = face.Reversed(); }
@@ -775,7 +814,7 @@ export function Sketch(startingPoint) {
   }
 
   this.AddWire = function (wire) {
-    this.argsString += ComputeHash(this.AddWire, true);
+    this.argsString += ComputeHash("AddWire", arguments, true);
     // This adds another wire (or edge??) to the currently constructing shape...
     this.wireBuilder.Add(wire);
     if (endPoint) { this.lastPoint = endPoint; } // Yike what to do here...?
@@ -783,7 +822,7 @@ export function Sketch(startingPoint) {
   }
 
   this.LineTo = function (nextPoint) {
-    this.argsString += ComputeHash(this.LineTo, true);
+    this.argsString += ComputeHash("LineTo", arguments, true);
     let endPoint = null;
     if (nextPoint.X) {
       if (this.lastPoint.X() === nextPoint.X() &&
@@ -803,7 +842,7 @@ export function Sketch(startingPoint) {
   }
 
   this.ArcTo = function (pointOnArc, arcEnd) {
-    this.argsString += ComputeHash(this.ArcTo, true);
+    this.argsString += ComputeHash("ArcTo", arguments, true);
     let onArc          = new oc.gp_Pnt(pointOnArc[0], pointOnArc[1], 0);
     let nextPoint      = new oc.gp_Pnt(    arcEnd[0],     arcEnd[1], 0);
     let arcCurve       = new oc.GC_MakeArcOfCircle(this.lastPoint, onArc, nextPoint).Value();
@@ -817,7 +856,7 @@ export function Sketch(startingPoint) {
   // Constructs an order-N Bezier Curve where the first N-1 points are control points
   // and the last point is the endpoint of the curve
   this.BezierTo = function (bezierControlPoints) {
-    this.argsString += ComputeHash(this.BezierTo, true);
+    this.argsString += ComputeHash("BezierTo", arguments, true);
     let ptList = new oc.TColgp_Array1OfPnt(1, bezierControlPoints.length+1);
     ptList.SetValue(1, this.lastPoint);
     for (let bInd = 0; bInd < bezierControlPoints.length; bInd++){
@@ -835,7 +874,7 @@ export function Sketch(startingPoint) {
 
   /* Constructs a BSpline from the previous point through this set of points */
   this.BSplineTo = function (bsplinePoints) {
-    this.argsString += ComputeHash(this.BSplineTo, true);
+    this.argsString += ComputeHash("BSplineTo", arguments, true);
     let ptList = new oc.TColgp_Array1OfPnt(1, bsplinePoints.length+1);
     ptList.SetValue(1, this.lastPoint);
     for (let bInd = 0; bInd < bsplinePoints.length; bInd++){
@@ -851,13 +890,13 @@ export function Sketch(startingPoint) {
   }
 
   this.Fillet = function (radius) {
-    this.argsString += ComputeHash(this.Fillet, true);
+    this.argsString += ComputeHash("Fillet", arguments, true);
     this.fillets.push({ x: this.lastPoint.X(), y: this.lastPoint.Y(), radius: radius });
     return this;
   }
 
   this.Circle = function (center, radius, reversed) {
-    this.argsString += ComputeHash(this.Circle, true);
+    this.argsString += ComputeHash("Circle", arguments, true);
     let circle = new oc.GC_MakeCircle(new oc.gp_Ax2(convertToPnt(center),
     new oc.gp_Dir(0, 0, 1)), radius).Value();
     let edge = new oc.BRepBuilderAPI_MakeEdge(circle).Edge();
@@ -882,6 +921,100 @@ export function Sketch(startingPoint) {
   }
 }
 
+export function Import(filePath) {
+  let imported = importProjectFile(filePath);
+  sceneShapes.push(imported);
+  return imported;
+}
+
+export function Name(shape, name) {
+  if (isArrayLike(shape)) { Array.from(shape, (item) => Name(item, name)); return shape; }
+  shapeMetadata[shape.ptr] = Object.assign(shapeMetadata[shape.ptr] || {}, { name: String(name) });
+  return shape;
+}
+
+export function Color(shape, color) {
+  return Material(shape, { color: color });
+}
+
+export function Material(shape, material) {
+  if (isArrayLike(shape)) { Array.from(shape, (item) => Material(item, material)); return shape; }
+  let appearance = {};
+  if ("color" in material) {
+    appearance.color = toHexColor(material.color);
+    if (!appearance.color) { console.error("Material() couldn't read the color " + JSON.stringify(material.color) + "; use \"#rrggbb\" or [r, g, b]."); return shape; }
+  }
+  let surface = {};
+  ["metalness", "roughness", "opacity"].forEach((property) => {
+    if (property in material) { surface[property] = Math.min(Math.max(Number(material[property]), 0), 1); }
+  });
+  let metadata = shapeMetadata[shape.ptr] || {};
+  if (Object.keys(surface).length > 0) { appearance.material = Object.assign({}, metadata.material, surface); }
+  shapeMetadata[shape.ptr] = Object.assign({}, metadata, appearance);
+  return shape;
+}
+
+export function Transparent(shape, opacity = 0.3) {
+  return Material(shape, { opacity: opacity });
+}
+
+export function Part(name, build, placement) {
+  return GroupShapes("part", name, build, placement);
+}
+
+export function Assembly(name, build, placement) {
+  return GroupShapes("assembly", name, build, placement);
+}
+
+/** This function collects the shapes that `build()` adds to `sceneShapes` into a Part (exported
+ * as a single product) or an Assembly (whose `children` are exported as products of their own),
+ * moved by `placement` (`{ translation: [x, y, z], rotation: [[x, y, z], degrees] }`). */
+function GroupShapes(kind, name, build, placement = {}) {
+  // Collect into the same array, since that's the `sceneShapes` the script itself pushes to
+  let callSite = getCallSite(), outerShapes = sceneShapes, savedShapes = outerShapes.splice(0), shapes = [];
+  try {
+    build();
+  } finally {
+    shapes = [].concat(...sceneShapes).filter((shape) => shape && shape.ShapeType && !shape.IsNull());
+    outerShapes.splice(0, outerShapes.length, ...savedShapes);
+    setSceneShapes(outerShapes);
+  }
+  if (shapes.length === 0) { console.error((kind === "part" ? "Part" : "Assembly") + "(\"" + name + "\") didn't add any shapes!"); return null; }
+
+  // Place the shapes, keeping the names and colors they were given inside `build()`
+  let transformation = new oc.gp_Trsf();
+  if (placement.rotation) {
+    transformation.SetRotation(new oc.gp_Ax1(new oc.gp_Pnt(0, 0, 0), new oc.gp_Dir(new oc.gp_Vec(
+      placement.rotation[0][0], placement.rotation[0][1], placement.rotation[0][2]))), placement.rotation[1] * 0.0174533);
+  }
+  if (placement.translation) {
+    transformation.SetTranslationPart(new oc.gp_Vec(placement.translation[0], placement.translation[1], placement.translation[2] || 0));
+  }
+  let location = new oc.TopLoc_Location(transformation);
+  let children = shapes.map((shape) => {
+    let placed = new oc.TopoDS_Shape(shape.Moved(location));
+    placed.hash = stringToHash(JSON.stringify([shape.hash, placement]));
+    if (shapeMetadata[shape.ptr]) { shapeMetadata[placed.ptr] = shapeMetadata[shape.ptr]; }
+    if (shape.color)      { placed.color      = shape.color; }      // Imported shapes carry the colors of their file
+    if (shape.faceColors) { placed.faceColors = shape.faceColors; }
+    return placed;
+  });
+
+  let grouped = new oc.TopoDS_Compound();
+  if (kind === "part" && children.length === 1) {
+    grouped = new oc.TopoDS_Shape(children[0]);
+  } else {
+    let builder = new oc.BRep_Builder();
+    builder.MakeCompound(grouped);
+    children.forEach((child) => { builder.Add(grouped, child); });
+  }
+  grouped.hash = stringToHash(JSON.stringify([kind, name, children.map((child) => child.hash)]));
+  shapeMetadata[grouped.ptr] = Object.assign(shapeMetadata[grouped.ptr] || {},
+    { name: String(name), kind: kind, line: callSite.line, children: children });
+  sceneShapes.push(grouped);
+  return grouped;
+}
+
 function SaveFile(filename, fileURL) {
   postMessage({
     "type": "saveFile",
@@ -889,6 +1022,16 @@ function SaveFile(filename, fileURL) {
   });
 }
 
+export function SaveDXF(shape, filename = "CascadeStudioDrawing.dxf", normal) {
+  let dxf = writeDXF(shapeToDrawing(shape, { normal: normal }));
+  SaveFile(filename, URL.createObjectURL(new Blob([dxf], { type: "image/vnd.dxf" })));
+}
+
+export function SaveSVG(shape, filename = "CascadeStudioDrawing.svg", normal) {
+  let svg = writeSVG(shapeToDrawing(shape, { normal: normal }));
+  SaveFile(filename, URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" })));
+}
+
 export function Slider(name = "Val", defaultValue = 0.5, min = 0.0, max = 1.0, realTime=false, step, precision) {
   if (!(name in GUIState)) { GUIState[name] = defaultValue; }
   if (!step) { step = 0.01; }
@@ -898,6 +1041,7 @@ export function Slider(name = "Val", defaultValue = 0.5, min = 0.0, max = 1.0, r
   
   GUIState[name + "Range"] = [min, max];
   postMessage({ "type": "addSlider", payload: { name: name, default: defaultValue, min: min, max: max, realTime: realTime, step: step, dp: precision } });
+  trackGUIStateRead(name, getCallSite());
   return GUIState[name];
 }
 
@@ -908,5 +1052,6 @@ export function Button(name = "Action") {
 export function Checkbox(name = "Toggle", defaultValue = false) {
   if (!(name in GUIState)) { GUIState[name] = defaultValue; }
   postMessage({ "type": "addCheckbox", payload: { name: name, default: defaultValue } });
+  trackGUIStateRead(name, getCallSite());
   return GUIState[name];
 }
@@ -0,0 +1,484 @@
+import { setOc, argCache, setArgCache, shapeMetadata, setShapeMetadata, setSettings } from "./CascadeStudioWorkerState";
+import { resetSceneShapes, sceneShapes, setSceneShapes } from "./CascadeStudioSceneShapesService";
+import { evaluateCode, combineSceneShapes } from "./CascadeStudioEvaluator.js";
+import { ComputeHash } from "./CascadeStudioStandardUtils.js";
+import { fonts } from "./CascadeStudioFontLoader";
+import { resetIncrementalEvaluation } from "./CascadeStudioIncrementalEvaluation.js";
+import { setProjectFileReader, importProjectFile } from "./CascadeStudioFileUtils.js";
+import { describeError } from "./CascadeStudioErrors.js";
+import { partitionCode, evaluateInPool } from "./CascadeStudioWorkerPool.js";
+import { serializeSceneShape } from "./CascadeStudioShapeSerializer.js";
+import { TextDecoder } from "util";
+
+// The Pool Workers are faked too; they evaluate their jobs in this thread (see `mockPoolEvaluation()`)
+jest.mock("worker-loader!./CascadeStudioPoolWorker.js", () => function MockPoolWorker() {
+  let reply = (message) => { setTimeout(() => { this.onmessage({ data: message }); }, 0); };
+  this.postMessage = (message) => { reply({ type: "EvaluateToText", payload: mockPoolEvaluation(message.payload) }); };
+  this.terminate = () => { };
+  reply({ type: "startupCallback" });
+}, { virtual: true });
+
+// These tests run the Standard Library against a fake OpenCascade that records
+// which classes were constructed, so a cache hit is an evaluation that didn't
+// construct the class doing the op's actual work.
+
+let constructed = {};
+let nextPtr = 1;
+
+/** Any method of a fake OpenCascade object returns another fake object,
+ * except for the handful of methods the Standard Library branches on. */
+function fakeObject(className) {
+  let target = { ptr: nextPtr++ };
+  return new Proxy(target, {
+    get(obj, property) {
+      if (property in obj || typeof property === "symbol" || property === "toJSON") { return obj[property]; }
+      switch (property) {
+        case "More":        return () => false;
+        case "IsNull":      return () => false;
+        case "ShapeType":   return () => 0;
+        case "HashCode":    return () => obj.ptr;
+        case "Orientation": return () => 0;
+        case "X": case "Y": case "Z": return () => 0;
+        default:            return () => fakeObject(className + "." + property);
+      }
+    }
+  });
+}
+
+const fakeOc = new Proxy({}, {
+  get(classes, className) {
+    if (!(className in classes)) {
+      classes[className] = function () {
+        constructed[className] = (constructed[className] || 0) + 1;
+        return fakeObject(className);
+      };
+      classes[className].prototype = fakeObject(className + ".prototype");
+    }
+    return classes[className];
+  }
+});
+
+/** Evaluates `code` like the CAD Worker does and returns how often `className` was constructed. */
+function constructions(code, className, cache = true) {
+  constructed = {};
+  resetSceneShapes();
+  evaluateCode(code, { "Cache?": cache });
+  return constructed[className] || 0;
+}
+
+beforeAll(() => {
+  global.postMessage = jest.fn();
+  // The fake shapes have no edges/solids, so the ops complain; keep that out of the test output
+  jest.spyOn(console, "error").mockImplementation(() => { });
+  jest.spyOn(console, "log").mockImplementation(() => { });
+  setOc(fakeOc);
+  fonts["Consolas"] = { getPath: () => ({ commands: [
+    { type: "M", x: 0, y: 0 }, { type: "L", x: 1, y: 0 }, { type: "L", x: 1, y: 1 }, { type: "Z" }] }) };
+});
+
+beforeEach(() => { setArgCache({}); resetIncrementalEvaluation(); });
+
+// [Standard Library function, code, the same code with different arguments, class doing the work]
+const cachedOps = [
+  ["Box",                  "Box(10, 20, 30);",                    "Box(10, 20, 31);",                    "BRepPrimAPI_MakeBox"],
+  ["Sphere",               "Sphere(10);",                         "Sphere(11);",                         "BRepPrimAPI_MakeSphere"],
+  ["Cylinder",             "Cylinder(5, 10);",                    "Cylinder(5, 10, true);",              "BRepPrimAPI_MakeCylinder"],
+  ["Cone",                 "Cone(5, 2, 10);",                     "Cone(5, 3, 10);",                     "BRepPrimAPI_MakeCone"],
+  ["Polygon",              "Polygon([[0, 0], [1, 0], [1, 1]]);",  "Polygon([[0, 0], [2, 0], [1, 1]]);",  "GC_MakeSegment"],
+  ["Circle",               "Circle(5);",                          "Circle(6);",                          "GC_MakeCircle"],
+  ["BSpline",              "BSpline([[0, 0], [1, 1], [2, 0]]);",  "BSpline([[0, 0], [1, 2], [2, 0]]);",  "GeomAPI_PointsToBSpline"],
+  ["Text3D",               "Text3D('Hi');",                       "Text3D('Ho');",                       "BRepPrimAPI_MakePrism"],
+  ["GetSolidFromCompound", "GetSolidFromCompound(Box(1, 1, 1), 0);", "GetSolidFromCompound(Box(1, 1, 2), 0);", "TopExp_Explorer"],
+  ["GetWire",              "GetWire(Circle(1), 0);",              "GetWire(Circle(1), 1);",              "TopExp_Explorer"],
+  ["FilletEdges",          "FilletEdges(Box(1, 1, 1), 0.1, [0]);", "FilletEdges(Box(1, 1, 1), 0.2, [0]);", "BRepFilletAPI_MakeFillet"],
+  ["ChamferEdges",         "ChamferEdges(Box(1, 1, 1), 0.1, [0]);", "ChamferEdges(Box(1, 1, 1), 0.1, [1]);", "BRepFilletAPI_MakeChamfer"],
+  ["Transform",            "Transform([1, 0, 0], [[0, 0, 1], 90], 2, Box(1, 1, 1));", "Transform([1, 0, 0], [[0, 0, 1], 45], 2, Box(1, 1, 1));", "gp_Trsf"],
+  ["Translate",            "Translate([1, 0, 0], Box(1, 1, 1));", "Translate([2, 0, 0], Box(1, 1, 1));", "gp_Trsf"],
+  ["Rotate",               "Rotate([0, 0, 1], 45, Box(1, 1, 1));", "Rotate([0, 0, 1], 46, Box(1, 1, 1));", "gp_Trsf"],
+  ["Scale",                "Scale(2, Box(1, 1, 1));",             "Scale(3, Box(1, 1, 1));",             "gp_Trsf"],
+  ["Union",                "Union([Box(1, 1, 1), Sphere(1)]);",   "Union([Box(1, 1, 1), Sphere(2)]);",   "BRepAlgoAPI_Fuse"],
+  ["Difference",           "Difference(Box(1, 1, 1), [Sphere(1)]);", "Difference(Box(1, 1, 1), [Sphere(2)]);", "BRepAlgoAPI_Cut"],
+  ["Intersection",         "Intersection([Box(1, 1, 1), Sphere(1)]);", "Intersection([Box(1, 1, 1), Sphere(2)]);", "BRepAlgoAPI_Common"],
+  ["Section",              "Section(Box(1, 1, 1), [0, 0, 0.5]);", "Section(Box(1, 1, 1), [0, 0, 0.6]);", "BRepAlgoAPI_Common"],
+  ["Extrude",              "Extrude(Circle(1), [0, 0, 1]);",      "Extrude(Circle(1), [0, 0, 2]);",      "BRepPrimAPI_MakePrism"],
+  ["RemoveInternalEdges",  "RemoveInternalEdges(Box(1, 1, 1));",  "RemoveInternalEdges(Box(1, 1, 2));",  "ShapeUpgrade_UnifySameDomain"],
+  ["Offset",               "Offset(Box(1, 1, 1), 1);",            "Offset(Box(1, 1, 1), 2);",            "BRepOffsetAPI_MakeOffsetShape"],
+  ["Revolve",              "Revolve(Circle(1), 90);",             "Revolve(Circle(1), 180);",            "BRepPrimAPI_MakeRevol"],
+  ["RotatedExtrude",       "RotatedExtrude(Circle(1, true), 5, 90);", "RotatedExtrude(Circle(1, true), 5, 60);", "BRepOffsetAPI_MakePipeShell"],
+  ["Loft",                 "Loft([Circle(1, true), Translate([0, 0, 1], Circle(2, true))]);", "Loft([Circle(1, true), Translate([0, 0, 1], Circle(3, true))]);", "BRepOffsetAPI_ThruSections"],
+  ["Pipe",                 "Pipe(Circle(1), BSpline([[0, 0, 0], [0, 0, 5]]));", "Pipe(Circle(1), BSpline([[0, 0, 0], [0, 0, 6]]));", "BRepOffsetAPI_MakePipe"]
+];
+
+describe.each(cachedOps)("%s()", (name, code, changedCode, workClass) => {
+  test("misses on the first evaluation", () => {
+    expect(constructions(code, workClass)).toBeGreaterThan(0);
+  });
+
+  test("hits when evaluated again with the same arguments", () => {
+    constructions(code, workClass);
+    expect(constructions(code, workClass)).toBe(0);
+  });
+
+  test("misses when an argument changes", () => {
+    constructions(code, workClass);
+    expect(constructions(changedCode, workClass)).toBeGreaterThan(0);
+  });
+
+  test("always misses when \"Cache?\" is disabled", () => {
+    constructions(code, workClass, false);
+    expect(constructions(code, workClass, false)).toBeGreaterThan(0);
+  });
+});
+
+describe("Chained operations", () => {
+  test("miss when an upstream shape's arguments change", () => {
+    constructions("Translate([0, 0, 5], Box(1, 2, 3));", "gp_Trsf");
+    expect(constructions("Translate([0, 0, 5], Box(1, 2, 4));", "gp_Trsf")).toBeGreaterThan(0);
+  });
+
+  test("hit downstream when the whole chain is unchanged", () => {
+    let code = "Difference(Translate([0, 0, 5], Box(1, 2, 3)), [Sphere(1)]);";
+    constructions(code, "BRepAlgoAPI_Cut");
+    expect(constructions(code, "BRepAlgoAPI_Cut")).toBe(0);
+  });
+
+  test("distinguish the same op applied to different shapes", () => {
+    constructions("Translate([1, 0, 0], Box(1, 1, 1));", "gp_Trsf");
+    expect(constructions("Translate([1, 0, 0], Sphere(1));", "gp_Trsf")).toBeGreaterThan(0);
+  });
+
+  test("evict cache entries that the last evaluation didn't use", () => {
+    constructions("Box(1, 2, 3);", "BRepPrimAPI_MakeBox");
+    constructions("Sphere(1);", "BRepPrimAPI_MakeSphere");
+    expect(Object.keys(argCache).length).toBe(1);
+    expect(constructions("Box(1, 2, 3);", "BRepPrimAPI_MakeBox")).toBeGreaterThan(0);
+  });
+});
+
+describe("Sketch", () => {
+  let sketchHash = (code) => {
+    resetSceneShapes();
+    let face = null;
+    global.captureFace = (shape) => { face = shape; };
+    evaluateCode("captureFace(" + code + ");", { "Cache?": true });
+    return face.hash;
+  };
+
+  test("hashes the same for the same points", () => {
+    let code = "new Sketch([0, 0]).LineTo([10, 0]).LineTo([10, 10]).End(true).Face()";
+    expect(sketchHash(code)).toBe(sketchHash(code));
+  });
+
+  test("hashes differently when a point changes", () => {
+    expect(sketchHash("new Sketch([0, 0]).LineTo([10, 0]).LineTo([10, 10]).End(true).Face()"))
+      .not.toBe(sketchHash("new Sketch([0, 0]).LineTo([10, 0]).LineTo([10, 11]).End(true).Face()"));
+  });
+});
+
+describe("Name", () => {
+  test("records the name of the shape for the exporters", () => {
+    resetSceneShapes();
+    evaluateCode("let box = Name(Box(1, 2, 3), \"Base\");\nSphere(1);", { "Cache?": true });
+    expect(Object.values(shapeMetadata)).toEqual([{ name: "Base", line: 1 }, { line: 2 }]);
+  });
+
+  test("forgets the names of the last evaluation", () => {
+    resetSceneShapes();
+    evaluateCode("Name(Box(1, 2, 3), \"Base\");", { "Cache?": true });
+    evaluateCode("Box(1, 2, 3);", { "Cache?": true });
+    expect(Object.values(shapeMetadata)).toEqual([{ line: 1 }]);
+  });
+});
+
+describe("Color and Material", () => {
+  let metadata = (code) => { resetSceneShapes(); evaluateCode(code, { "Cache?": true }); return Object.values(shapeMetadata)[0]; };
+
+  test("record the color of the shape as \"#rrggbb\"", () => {
+    expect(metadata("Color(Box(1, 2, 3), \"#F80\");").color).toBe("#ff8800");
+    expect(metadata("Color(Box(1, 2, 3), [1, 0.5, 0]);").color).toBe("#ff8000");
+    expect(metadata("Color(Box(1, 2, 3), 0x00ff00);").color).toBe("#00ff00");
+  });
+
+  test("color only the shape they're given, not others made the same way", () => {
+    let shapes = (resetSceneShapes(), evaluateCode("let red = Color(Box(1, 2, 3), \"#ff0000\");\nlet plain = Box(1, 2, 3);", { "Cache?": true }), sceneShapes);
+    expect(shapes[0].hash).toBe(shapes[1].hash);
+    expect(shapeMetadata[shapes[0].ptr].color).toBe("#ff0000");
+    expect(shapeMetadata[shapes[1].ptr].color).toBeUndefined();
+  });
+
+  test("keep the name and look of shapes that are moved", () => {
+    resetSceneShapes();
+    evaluateCode("Translate([0, 0, 1], Rotate([0, 0, 1], 90, Name(Color(Box(1, 2, 3), \"#ff0000\"), \"Base\")));", { "Cache?": true });
+    expect(sceneShapes.length).toBe(1);
+    expect(shapeMetadata[sceneShapes[0].ptr]).toEqual({ name: "Base", color: "#ff0000", line: 1 });
+  });
+
+  test("ignore colors they can't read", () => {
+    expect(metadata("Color(Box(1, 2, 3), \"orange-ish\");").color).toBeUndefined();
+  });
+
+  test("keep the surface properties of Material() apart from the color", () => {
+    let boxMetadata = metadata("Material(Color(Box(1, 2, 3), \"#ff0000\"), { roughness: 0.2, opacity: 2 });");
+    expect(boxMetadata.color).toBe("#ff0000");
+    expect(boxMetadata.material).toEqual({ roughness: 0.2, opacity: 1 });
+  });
+
+  test("make shapes see-through with Transparent()", () => {
+    expect(metadata("Transparent(Box(1, 2, 3));").material).toEqual({ opacity: 0.3 });
+    expect(metadata("Transparent(Color(Box(1, 2, 3), \"#ff0000\"), 0.5);")).toMatchObject({ color: "#ff0000", material: { opacity: 0.5 } });
+  });
+
+  test("color the shapes of a Part that have no color of their own", () => {
+    resetSceneShapes();
+    evaluateCode("Color(Part(\"Bracket\", () => { Box(1, 2, 3); Color(Sphere(1), \"#0000ff\"); }), \"#ff0000\");", { "Cache?": true });
+    global.postMessage.mockClear();
+    combineSceneShapes(0.1);
+    let tree = global.postMessage.mock.calls.find(([message]) => message.type === "sceneTree")[0].payload;
+    expect(tree[0].color).toBe("#ff0000");
+    expect(tree[0].children.map((node) => node.color)).toEqual(["#ff0000", "#0000ff"]);
+  });
+});
+
+describe("Part and Assembly", () => {
+  let evaluate = (code) => { resetSceneShapes(); evaluateCode(code, { "Cache?": true }); return sceneShapes; };
+  let byName = () => Object.values(shapeMetadata).reduce((names, metadata) => Object.assign(names, { [metadata.name]: metadata }), {});
+
+  test("group the shapes added inside them under one name", () => {
+    let shapes = evaluate("Part(\"Bracket\", () => { Box(1, 2, 3); Sphere(1); });\nCylinder(1, 2);");
+    expect(shapes.length).toBe(2);
+    expect(byName()["Bracket"].kind).toBe("part");
+    expect(byName()["Bracket"].line).toBe(1);
+    expect(byName()["Bracket"].children.length).toBe(2);
+  });
+
+  test("group the shapes the script pushes to sceneShapes itself", () => {
+    let shapes = evaluate("let box = Box(1, 2, 3);\nlet bracket = Part(\"Bracket\", () => { sceneShapes.push(box); });");
+    expect(byName()["Bracket"].children.length).toBe(1);
+    expect(shapes.map((shape) => shapeMetadata[shape.ptr] && shapeMetadata[shape.ptr].name)).toEqual([undefined, "Bracket"]);
+  });
+
+  test("nest, keeping the names of their children", () => {
+    let shapes = evaluate([
+      "Assembly(\"Robot\", () => {",
+      "  Part(\"Arm\", () => { Box(1, 1, 5); }, { rotation: [[0, 1, 0], 90] });",
+      "  Name(Sphere(1), \"Head\");",
+      "}, { translation: [0, 0, 10] });"].join("\n"));
+    expect(shapes.length).toBe(1);
+    let robot = byName()["Robot"];
+    expect(robot.kind).toBe("assembly");
+    expect(robot.children.map((child) => shapeMetadata[child.ptr].name)).toEqual(["Arm", "Head"]);
+  });
+
+  test("show up in the scene tree with the lines that made them", () => {
+    evaluate("Part(\"Bracket\", () => {\n  Box(1, 2, 3);\n  Sphere(1);\n});\nCylinder(1, 2);");
+    global.postMessage.mockClear();
+    combineSceneShapes(0.1);
+    let tree = global.postMessage.mock.calls.find(([message]) => message.type === "sceneTree")[0].payload;
+    expect(tree.map((node) => [node.name, node.kind, node.line])).toEqual([["Bracket", "part", 1], ["Shape 2", "shape", 5]]);
+    expect(tree[0].children.map((node) => node.line)).toEqual([2, 3]);
+    expect(tree[0].faces).toEqual([0, 0]);
+  });
+
+  test("give the same hash to the same parts", () => {
+    let code = "Part(\"Bracket\", () => { Box(1, 2, 3); }, { translation: [1, 0, 0] });";
+    expect(evaluate(code)[0].hash).toBe(evaluate(code)[0].hash);
+    expect(evaluate(code)[0].hash).not.toBe(evaluate(code.replace("[1, 0, 0]", "[2, 0, 0]"))[0].hash);
+  });
+});
+
+describe("Import", () => {
+  beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+    fakeOc.FS.createDataFile = () => { };
+    fakeOc.FS.unlink = () => { };
+  });
+
+  // Runs first, while `Import()` still reads from the (empty) project folder
+  test("reports that a project file is loading as a notice, not an error", () => {
+    let thrown = null;
+    try { evaluateCode("Import(\"parts/bracket.step\");", {}); } catch (e) { thrown = e; }
+    expect(global.postMessage).toHaveBeenCalledWith({ type: "requestProjectFile", payload: "parts/bracket.step" });
+    expect(describeError(thrown).severity).toBe("notice");
+    expect(describeError(new Error("Oops")).severity).toBe("error");
+  });
+
+  test("parses a file again only when its contents change", () => {
+    let contents = "first";
+    setProjectFileReader(() => new Uint8Array(Buffer.from(contents)));
+    let code = "Import(\"parts/bracket.stl\");";
+    expect(constructions(code, "StlAPI_Reader")).toBe(1);
+    expect(constructions(code, "StlAPI_Reader")).toBe(0);
+    contents = "second";
+    expect(constructions(code, "StlAPI_Reader")).toBe(1);
+  });
+});
+
+describe("STL import", () => {
+  // The sewing, solids, and face merging are faked; the reader and everything else is the Proxy's
+  const fakedClasses = ["BRepBuilderAPI_Sewing", "TopExp_Explorer", "BRep_Builder", "BRepBuilderAPI_MakeSolid",
+    "GProp_GProps", "ShapeUpgrade_UnifySameDomain", "TopoDS_Shape"];
+  let written, freeEdges, volume, solids, merged, fileCount = 0; // `solids` are those of the current import
+
+  beforeEach(() => {
+    written = null; freeEdges = 0; volume = 1; merged = null;
+    setSettings({});
+    fakeOc.FS.createDataFile = (directory, name, contents) => { written = contents; };
+    fakeOc.FS.unlink = () => { };
+    fakeOc.BRepBuilderAPI_Sewing = function () {
+      this.Add = () => { }; this.Perform = () => { };
+      this.SewedShape = () => ({ name: "sewed shell" });
+      this.NbFreeEdges = () => freeEdges; this.NbMultipleEdges = () => 0;
+    };
+    fakeOc.TopExp_Explorer = function (shape, type) {
+      let index = 0, found = type === fakeOc.TopAbs_SOLID ? solids : [{ name: "shell" }];
+      this.Init = () => { index = 0; }; this.More = () => index < found.length;
+      this.Next = () => { index++; }; this.Current = () => found[index];
+    };
+    fakeOc.BRep_Builder = function () { this.MakeCompound = () => { }; this.Add = (compound, shape) => { solids.push(shape); }; };
+    fakeOc.BRepBuilderAPI_MakeSolid = function () {
+      this.Add = () => { }; this.IsDone = () => true;
+      this.Solid = () => ({ name: "solid", Reversed: () => ({ name: "reversed solid" }) });
+    };
+    fakeOc.GProp_GProps = function () { this.Mass = () => volume; };
+    fakeOc.ShapeUpgrade_UnifySameDomain = function (shape) {
+      this.Build = () => { }; this.Shape = () => (merged = { name: "merged " + shape.name });
+    };
+    fakeOc.TopoDS_Shape = function (shape) { Object.assign(this, shape); };
+  });
+  afterAll(() => { fakedClasses.forEach((className) => { delete fakeOc[className]; }); setSettings({}); });
+
+  /** Imports `bytes` as a new .stl file in the project folder. */
+  let importSTL = (bytes = new Uint8Array(84)) => {
+    setProjectFileReader(() => bytes);
+    solids = [];
+    return importProjectFile("mesh" + (fileCount++) + ".stl");
+  };
+
+  test("passes binary files to the reader as bytes", () => {
+    let bytes = new Uint8Array(84); // An 80 byte header and no triangles
+    importSTL(bytes);
+    expect(written).toBe(bytes);
+  });
+
+  test("makes a solid of a closed mesh, turning inside-out ones the right way", () => {
+    expect(importSTL().name).toBe("solid");
+    volume = -1;
+    expect(importSTL().name).toBe("reversed solid");
+  });
+
+  test("keeps an open mesh as a shell and reports why", () => {
+    freeEdges = 3;
+    console.error.mockClear();
+    expect(importSTL().name).toBe("sewed shell");
+    expect(console.error.mock.calls[0][0]).toContain("isn't watertight (3 edges border only one triangle");
+  });
+
+  test("merges coplanar triangles with \"Merge STL Faces\"", () => {
+    importSTL();
+    expect(merged).toBe(null);
+    setSettings({ "Merge STL Faces": true });
+    expect(importSTL().name).toBe("merged solid");
+  });
+});
+
+describe("Worker pool", () => {
+  beforeAll(() => {
+    fakeOc.FS.readFile = () => "serialized";
+    fakeOc.FS.createDataFile = () => { };
+    fakeOc.FS.unlink = () => { };
+  });
+
+  const code = [
+    "let base = Translate([0, 0, 1], Rotate([0, 0, 1], 90, Scale(2, Name(Box(1, 1, 1), \"Base\"))));",
+    "Part(\"Bracket\", () => {\n  Box(1, 2, 3);\n  Color(Sphere(1), \"#0000ff\");\n});",
+    "Cylinder(1, 2);",
+    "Sphere(3);"].join("\n");
+
+  /** Evaluates `code` like the CAD Worker does with `workers` Workers and returns its scene tree. */
+  async function sceneTreeWith(workers) {
+    setArgCache({}); resetIncrementalEvaluation(); resetSceneShapes();
+    let partition = partitionCode(code, workers);
+    let pooled = partition ? evaluateInPool(partition.jobs, {}, workers) : null;
+    evaluateCode(partition ? partition.local : code, {});
+    await pooled;
+    global.postMessage.mockClear();
+    combineSceneShapes(0.1);
+    return global.postMessage.mock.calls.find(([message]) => message.type === "sceneTree")[0].payload;
+  }
+
+  test("splits the independent statements between the workers", () => {
+    let partition = partitionCode(code, 2);
+    expect(partition.jobs.length).toBe(1);
+    expect(partition.local).toContain("Base");
+    expect(partition.jobs[0]).toContain("Bracket");
+  });
+
+  test("renders the same scene tree as a single worker", async () => {
+    let single = await sceneTreeWith(1), pooled = await sceneTreeWith(2);
+    expect(pooled).toEqual(single);
+    expect(pooled.map((node) => [node.name, node.kind, node.line])).toEqual(
+      [["Base", "shape", 1], ["Bracket", "part", 2], ["Shape 3", "shape", 6], ["Shape 4", "shape", 7]]);
+    expect(pooled[1].children.map((node) => [node.line, node.color])).toEqual([[3, null], [4, "#0000ff"]]);
+  });
+});
+
+/** Evaluates a Pool Worker's job like `EvaluateToText()` does, leaving this worker's own evaluation untouched. */
+function mockPoolEvaluation(payload) {
+  let ownShapes = sceneShapes, ownMetadata = shapeMetadata;
+  resetSceneShapes();
+  evaluateCode(payload.code, payload.GUIState);
+  let shapes = sceneShapes.map((shape, index) => serializeSceneShape(shape, "PooledShape" + index));
+  setSceneShapes(ownShapes);
+  setShapeMetadata(ownMetadata);
+  return { job: payload.job, shapes: shapes };
+}
+
+describe("Incremental evaluation", () => {
+  // The cache is emptied between evaluations, so only reused ops avoid their constructions
+  let reevaluate = (code, className, GUIState) => {
+    setArgCache({});
+    constructed = {};
+    resetSceneShapes();
+    evaluateCode(code, Object.assign({ "Cache?": true }, GUIState));
+    return constructed[className] || 0;
+  };
+  let code = [
+    "let radius = Slider(\"Radius\", 1, 0, 10);",
+    "let ball = Sphere(radius);",
+    "let box = Box(1, 2, 3);",
+    "Translate([0, 0, 1], ball);"].join("\n");
+
+  test("reuses the ops that don't depend on the changed slider", () => {
+    reevaluate(code, "BRepPrimAPI_MakeBox", { "Radius": 1 });
+    expect(reevaluate(code, "BRepPrimAPI_MakeBox", { "Radius": 2 })).toBe(0);
+  });
+
+  test("re-executes the ops that depend on the changed slider through variables", () => {
+    reevaluate(code, "gp_Trsf", { "Radius": 1 });
+    expect(reevaluate(code, "BRepPrimAPI_MakeSphere", { "Radius": 2 })).toBeGreaterThan(0);
+    expect(reevaluate(code, "gp_Trsf", { "Radius": 3 })).toBeGreaterThan(0);
+  });
+
+  test("re-executes everything when the code changes", () => {
+    reevaluate(code, "BRepPrimAPI_MakeBox", { "Radius": 1 });
+    expect(reevaluate(code + "\n// Changed", "BRepPrimAPI_MakeBox", { "Radius": 2 })).toBeGreaterThan(0);
+  });
+
+  test("re-executes statements that use sceneShapes", () => {
+    let sceneCode = "let radius = Slider(\"Radius\", 1, 0, 10);\nSphere(radius);\nBox(1, 1, 1);\nUnion(sceneShapes);";
+    reevaluate(sceneCode, "BRepAlgoAPI_Fuse", { "Radius": 1 });
+    expect(reevaluate(sceneCode, "BRepAlgoAPI_Fuse", { "Radius": 2 })).toBeGreaterThan(0);
+  });
+});
+
+describe("ComputeHash()", () => {
+  test("ignores the pointers of input shapes", () => {
+    let first = fakeObject("TopoDS_Shape"), second = fakeObject("TopoDS_Shape");
+    first.hash = 42; second.hash = 42;
+    expect(ComputeHash("Translate", [[1, 0, 0], first])).toBe(ComputeHash("Translate", [[1, 0, 0], second]));
+  });
+
+  test("distinguishes the functions being called", () => {
+    expect(ComputeHash("Sphere", [1])).not.toBe(ComputeHash("Circle", [1]));
+  });
+});
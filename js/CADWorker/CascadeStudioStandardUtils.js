@@ -3,11 +3,22 @@ import {
   GUIState,
   opNumber,
   setOpNumber,
+  currentLineNumber,
   setCurrentLineNumber,
   argCache,
   setCurrentOp,
-  usedHashes
+  opStack,
+  callSiteStack,
+  usedHashes,
+  shapeMetadata
 } from "./CascadeStudioWorkerState";
+import {
+  CheckPersistentCache,
+  AddToPersistentCache,
+  touchPersistentCache
+} from "./CascadeStudioPersistentCache.js";
+import { beginProfileOp, endProfileOp } from "./CascadeStudioProfiler.js";
+import { beginTrackedOp, reusableResult, endTrackedOp } from "./CascadeStudioIncrementalEvaluation.js";
 // Miscellaneous Helper Functions used in the Standard Library
 
 function getCalleeName(fn) {
@@ -17,53 +28,112 @@ function getCalleeName(fn) {
   return ret;
 }
 
-/** Hashes input arguments and checks the cache for that hash.  
+/** Hashes the `callee`'s input `args` and checks the cache for that hash.  
  * It returns a copy of the cached object if it exists, but will 
  * call the `cacheMiss()` callback otherwise. The result will be 
  * added to the cache if `GUIState["Cache?"]` is true. */
-export function CacheOp(callee, cacheMiss) {
+export function CacheOp(callee, args, cacheMiss) {
   //toReturn = cacheMiss();
   setCurrentOp(getCalleeName(callee));
-  setCurrentLineNumber(getCallingLocation()[0]);
-  postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": getCalleeName(callee) } }); // Poor Man's Progress Indicator
-  setOpNumber(opNumber + 1);
+  let callSite = getCallSite();
+  setCurrentLineNumber(callSite.line);
+  // Left unpopped if the op throws, so the error report can show where it happened
+  opStack.push({ op: getCalleeName(callee), line: callSite.line, column: callSite.column,
+    endLine: callSite.endLine, endColumn: callSite.endColumn });
+  let profileEntry = beginProfileOp(getCalleeName(callee), callSite, opStack.length - 1, args);
+  let trackingKey = beginTrackedOp(getCalleeName(callee), callSite);
   let toReturn = null;
-  let curHash = ComputeHash(callee); usedHashes[curHash] = curHash;
-  let check = CheckCache(curHash);
-  if (check && GUIState["Cache?"]) {
-    //console.log("HIT    "+ ComputeHash(args) +  ", " +ComputeHash(args, true));
-    toReturn = new oc.TopoDS_Shape(check);
-    toReturn.hash = check.hash;
+  let check = reusableResult(trackingKey, callSite); // Unaffected by the GUIState that changed
+  if (check) {
+    toReturn = CopyShapes(check);
+    usedHashes[check.hash] = check.hash;
   } else {
-    //console.log("MISSED " + ComputeHash(args) + ", " + ComputeHash(args, true));
-    toReturn = cacheMiss();
-    toReturn.hash = curHash;
-    if (GUIState["Cache?"]) { AddToCache(curHash, toReturn); }
+    postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": getCalleeName(callee), "lineNumber": currentLineNumber } }); // Poor Man's Progress Indicator
+    setOpNumber(opNumber + 1);
+    let hashString = ComputeHash(callee, args, true);
+    let curHash = stringToHash(hashString); usedHashes[curHash] = curHash;
+    check = GUIState["Cache?"] ? CheckCache(curHash, hashString) : null;
+    if (check) {
+      //console.log("HIT    "+ ComputeHash(callee, args) +  ", " +ComputeHash(callee, args, true));
+      toReturn = CopyShapes(check);
+    } else {
+      //console.log("MISSED " + ComputeHash(callee, args) + ", " + ComputeHash(callee, args, true));
+      let startTime = Date.now();
+      toReturn = cacheMiss();
+      if (toReturn) {
+        SetHash(toReturn, curHash);
+        if (GUIState["Cache?"]) { AddToCache(curHash, toReturn, hashString, Date.now() - startTime); }
+      }
+    }
+    postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": null } }); // Poor Man's Progress Indicator
   }
-  postMessage({ "type": "Progress", "payload": { "opNumber": opNumber, "opType": null } }); // Poor Man's Progress Indicator
+  endTrackedOp(trackingKey, toReturn);
+  endProfileOp(profileEntry, !!check, toReturn);
+  opStack.pop();
   return toReturn;
 }
-/** Returns the cached object if it exists, or null otherwise. */
-function CheckCache(hash) { return argCache[hash] || null; }
-/** Adds this `shape` to the cache, indexable by `hash`. */
-function AddToCache(hash, shape) {
-  let cacheShape  = new oc.TopoDS_Shape(shape);
-  cacheShape.hash = hash; // This is the cached version of the object
-  argCache[hash]  = cacheShape;
+/** Returns the cached object if it exists (in memory or, for the op with the arguments `key`,
+ * in the persistent cache), or null otherwise. */
+function CheckCache(hash, key) {
+  if (argCache[hash]) { touchPersistentCache(hash); return argCache[hash]; }
+  let persisted = CheckPersistentCache(hash, key);
+  if (persisted) {
+    persisted.hash = hash;
+    argCache[hash] = persisted;
+  }
+  return persisted;
+}
+/** Adds this `shape` (or array of shapes) to the cache, indexable by `hash`.  Single shapes that took
+ * `duration` milliseconds to compute are also offered to the persistent cache, under the arguments `key`. */
+function AddToCache(hash, shape, key, duration) {
+  argCache[hash] = CopyShapes(shape); // This is the cached version of the object
+  if (!isArrayLike(shape)) { AddToPersistentCache(hash, key, argCache[hash], duration); }
   return hash;
 }
+/** Tags `shapes` with `hash`; the elements of an array of shapes get hashes derived from it. */
+function SetHash(shapes, hash) {
+  shapes.hash = hash;
+  if (isArrayLike(shapes)) {
+    for (let i = 0; i < shapes.length; i++) { shapes[i].hash = stringToHash(hash + "[" + i + "]"); }
+  }
+  return shapes;
+}
+/** Copies a shape (or an array of shapes), keeping the hashes. */
+function CopyShapes(shapes) {
+  if (isArrayLike(shapes)) {
+    let copies = Array.from(shapes, CopyShapes);
+    copies.hash = shapes.hash;
+    return copies;
+  }
+  let copy  = new oc.TopoDS_Shape(shapes);
+  copy.hash = shapes.hash;
+  return copy;
+}
 
-/** This function computes a 32-bit integer hash given a set of `arguments`.  
+/** This function computes a 32-bit integer hash given a `callee` (or its name) and its `args`.  
+ * Shapes are hashed by their `.hash` (so chained operations compose), points by their
+ * coordinates, and everything else by value; `ptr` is ignored.  
  * If `raw` is true, the raw set of sanitized arguments will be returned instead. */
-export function ComputeHash(callee, raw) {
-  let argsString = JSON.stringify(getCalleeName(callee));
-  argsString = argsString.replace(/(\"ptr\"\:(-?[0-9]*?)\,)/g, '');
-  argsString = argsString.replace(/(\"ptr\"\:(-?[0-9]*))/g, '');
-  if (argsString.includes("ptr")) { console.error("YOU DONE MESSED UP YOUR REGEX."); }
-  let hashString = getCalleeName(callee) + argsString;// + GUIState["MeshRes"];
+export function ComputeHash(callee, args, raw) {
+  let calleeName = typeof callee === "string" ? callee : getCalleeName(callee);
+  let argsString = JSON.stringify(Array.prototype.slice.call(args || []), sanitizeHashArgument);
+  let hashString = calleeName + argsString;// + GUIState["MeshRes"];
   if (raw) { return hashString; }
   return stringToHash(hashString);
 }
+/** `JSON.stringify()` replacer that reduces OpenCascade objects to the values that identify them. */
+function sanitizeHashArgument(key, value) {
+  if (key === "ptr") { return undefined; }
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if (typeof value.HashCode === "function") { // TopoDS_Shape
+      // Shapes that didn't come out of CacheOp are identified by their TShape, Location, and Orientation
+      return value.hash !== undefined ? { hash: value.hash } :
+        { shape: value.HashCode(100000000), orientation: value.Orientation() };
+    }
+    if (typeof value.X === "function") { return [value.X(), value.Y(), value.Z()]; } // gp_Pnt, gp_Vec, gp_Dir
+  }
+  return value;
+}
 
 // Random Javascript Utilities
 
@@ -103,16 +173,24 @@ export function isArrayLike(item) {
   );
 }
 
-/**  Mega Brittle Line Number Finding algorithm for Handle Backpropagation; only works in Chrome and FF.
- * Eventually this should be replaced with Microsoft's Typescript interpreter, but that's a big dependency...*/
-export function getCallingLocation() {
-  let errorStack = (new Error).stack;
+/** Returns the source range `{ line, column, endLine, endColumn }` of the innermost
+ * Standard Library call written in the user's code (calls made inside the Standard
+ * Library inherit it), or zeros if the call didn't come from instrumented code. */
+export function getCallSite() {
+  return callSiteStack[callSiteStack.length - 1] || { line: 0, column: 0, endLine: 0, endColumn: 0 };
+}
+
+/**  Mega Brittle Line Number Finding algorithm; only works in Chrome, FF, and Node.
+ * Ops use `getCallSite()` instead; this is only used to find where in the user's code
+ * a plain JavaScript Error was thrown (in the instrumented code's columns). */
+export function getCallingLocation(errorStack = (new Error).stack) {
   //console.log(errorStack);
   //console.log(navigator.userAgent);
   let lineAndColumn = [0, 0];
 
   let matchingString = ", <anonymous>:";
-  if (navigator.userAgent.includes("Chrom")) {
+  if (typeof navigator === "undefined" || navigator.userAgent.includes("Chrom")) {
+    // Node (the headless runner) formats its stack traces like Chrome
     matchingString = ", <anonymous>:";
   }else if (navigator.userAgent.includes("Moz")) {
     matchingString = "eval:";
@@ -144,6 +222,30 @@ export function convertToPnt(pnt) {
   return point;
 }
 
+/** This function converts a color ("#rgb" or "#rrggbb", a 0xrrggbb number, or an `[r, g, b]` array
+ * from 0 to 1) to "#rrggbb"; null if it isn't one. */
+export function toHexColor(color) {
+  if (Array.isArray(color)) {
+    if (color.length < 3 || color.slice(0, 3).some((c) => typeof c !== "number" || isNaN(c))) { return null; }
+    return "#" + color.slice(0, 3).map((c) => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, "0")).join("");
+  }
+  if (typeof color === "number") {
+    return color >= 0 && color <= 0xffffff ? "#" + Math.floor(color).toString(16).padStart(6, "0") : null;
+  }
+  let hex = String(color).trim().replace(/^#/, "").toLowerCase();
+  if (/^[0-9a-f]{3}$/.test(hex)) { hex = hex.split("").map((digit) => digit + digit).join(""); }
+  return /^[0-9a-f]{6}$/.test(hex) ? "#" + hex : null;
+}
+
+/** This function returns how `shape` looks (`{ color, metalness, roughness, opacity }`, with only
+ * the properties it has), from `Color()` and `Material()` or the file it was imported from,
+ * falling back on those of the Part or Assembly it is in (`inherited`). */
+export function shapeAppearance(shape, inherited = {}) {
+  let metadata = shapeMetadata[shape.ptr] || {};
+  let color = metadata.color || (shape.color ? toHexColor(shape.color) : null);
+  return Object.assign({}, inherited, metadata.material, color ? { color: color } : {});
+}
+
 /** This function converts a string to a 32bit integer. */
 export function stringToHash(string) { 
     let hash = 0; 
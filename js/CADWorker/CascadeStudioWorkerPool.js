@@ -0,0 +1,126 @@
+// Worker Pool
+// With the "Workers" setting above 1, the script's independent statement groups (see
+// `groupStatements()`) are spread over a pool of Pool Workers, each evaluating only its own
+// groups while this CAD Worker evaluates the rest.  The Pool Workers' scene shapes come back
+// as text (see `serializeSceneShape()`) and are put into `sceneShapes` before `combineAndRenderShapes()` runs.
+// Scripts that use `sceneShapes` directly can't be split, and groups that use
+// `externalShapes` or randomness always stay in this worker.
+import PoolWorker from "worker-loader!./CascadeStudioPoolWorker.js";
+import { shapeMetadata } from "./CascadeStudioWorkerState";
+import { sceneShapes } from "./CascadeStudioSceneShapesService";
+import { instrumentCode, groupStatements } from "./CascadeStudioCodeInstrumentation.js";
+import { deserializeSceneShape } from "./CascadeStudioShapeSerializer.js";
+import * as standardLibraryModule from "./CascadeStudioStandardLibrary.js";
+
+const unsplittableNames = ["sceneShapes", "RemoveFromSceneShapes", "remainingGlobals"];
+
+let poolWorkers = [];
+let nextJob = 0;
+
+/** This function splits `code` into one version per worker, each keeping only its share of the
+ * independent statement groups (the other statements are blanked out, so line and column numbers
+ * stay the same).  Returns `{ local, jobs }`, where `local` is for this worker, or null if the
+ * code can't be split `poolSize` ways. */
+export function partitionCode(code, poolSize) {
+  if (poolSize < 2) { return null; }
+  let callSites = instrumentCode(code, Object.keys(standardLibraryModule)).callSites;
+  let { statements, statementGroups, siteStatements, groupMentions } = groupStatements(code, callSites);
+  if (groupMentions.some((mentions) => unsplittableNames.some((name) => mentions.has(name)))) { return null; }
+
+  // Balance the groups over the workers by their number of Standard Library calls
+  let weights = groupMentions.map(() => 0);
+  siteStatements.forEach((statement) => { if (statement >= 0) { weights[statementGroups[statement]]++; } });
+  let loads = new Array(poolSize).fill(0), groupWorkers = weights.map(() => 0);
+  weights.map((weight, group) => group).sort((a, b) => weights[b] - weights[a]).forEach((group) => {
+    if (weights[group] === 0 || groupMentions[group].size > 0) { return; } // Stays in this worker
+    let worker = loads.indexOf(Math.min(...loads));
+    groupWorkers[group] = worker;
+    loads[worker] += weights[group];
+  });
+  if (loads.slice(1).every((load) => load === 0)) { return null; }
+
+  let codes = loads.map((load, worker) => {
+    let kept = "", last = 0;
+    statements.forEach((statement, index) => {
+      if (groupWorkers[statementGroups[index]] === worker) { return; }
+      kept += code.slice(last, statement.start) + code.slice(statement.start, statement.end).replace(/[^\n]/g, " ");
+      last = statement.end;
+    });
+    return kept + code.slice(last);
+  });
+  return { local: codes[0], jobs: codes.slice(1).filter((job, index) => loads[index + 1] > 0) };
+}
+
+/** This function evaluates each of the `jobs` (from `partitionCode()`) on one of the `poolSize - 1`
+ * Pool Workers and resolves once their shapes have been put into `sceneShapes`, among this worker's
+ * own shapes in the order of the lines that made them (as if the script had run in one worker). */
+export function evaluateInPool(jobs, GUIState, poolSize) {
+  resizePool(poolSize - 1);
+  return Promise.all(jobs.map((code, index) => runJob(poolWorkers[index], code, GUIState))).then((results) => {
+    let lineOf = (shape) => (shapeMetadata[shape.ptr] || {}).line;
+    let placed = withLines(sceneShapes, lineOf);
+    results.forEach((pooledShapes) => {
+      let shapes = [];
+      pooledShapes.forEach((pooledShape, index) => {
+        let shape = deserializeSceneShape(pooledShape, "PooledShape" + index);
+        if (!shape) {
+          console.error("A shape evaluated by a Pool Worker couldn't be transferred" +
+            (pooledShape.metadata.name ? " (" + pooledShape.metadata.name + ")" : "") + "; set \"Workers\" to 1 to render it.");
+          return;
+        }
+        shapes.push(shape);
+      });
+      placed = placed.concat(withLines(shapes, lineOf));
+    });
+    placed.sort((a, b) => a.line - b.line); // Stable, so each line keeps its shapes in order
+    sceneShapes.splice(0, sceneShapes.length, ...placed.map((entry) => entry.shape));
+  }).catch((error) => { console.error(error); });
+}
+
+/** Pairs each of `shapes` with the line that made it; those without one (like arrays) follow the shape before them. */
+function withLines(shapes, lineOf) {
+  let line = 0;
+  return shapes.map((shape) => ({ shape: shape, line: (line = lineOf(shape) || line) }));
+}
+
+/** Starts or terminates Pool Workers until there are `size` of them. */
+function resizePool(size) {
+  while (poolWorkers.length > size) { poolWorkers.pop().worker.terminate(); }
+  while (poolWorkers.length < size) { poolWorkers.push(startPoolWorker()); }
+}
+
+/** Starts a Pool Worker; its messages are forwarded to the Main Page,
+ * except for the results of its jobs. */
+function startPoolWorker() {
+  let poolWorker = { worker: new PoolWorker(), jobs: {} };
+  poolWorker.ready = new Promise((resolve) => {
+    poolWorker.worker.onmessage = (e) => {
+      if (e.data.type === "startupCallback") {
+        resolve();
+      } else if (e.data.type === "EvaluateToText") {
+        let resolveJob = poolWorker.jobs[e.data.payload.job];
+        delete poolWorker.jobs[e.data.payload.job];
+        if (resolveJob) { resolveJob(e.data.payload.shapes); }
+      } else {
+        postMessage(e.data);
+      }
+    };
+  });
+  poolWorker.worker.onerror = (e) => {
+    console.error("A Pool Worker failed: " + e.message);
+    for (let job in poolWorker.jobs) { poolWorker.jobs[job]([]); }
+    poolWorker.jobs = {};
+  };
+  return poolWorker;
+}
+
+/** Evaluates `code` on `poolWorker`; resolves to its scene shapes, as serialized by `serializeSceneShape()`. */
+function runJob(poolWorker, code, GUIState) {
+  let job = nextJob++;
+  return new Promise((resolve) => {
+    poolWorker.jobs[job] = resolve;
+    poolWorker.ready.then(() => {
+      poolWorker.worker.postMessage({ type: "EvaluateToText", payload: { code: code, GUIState: GUIState, job: job } });
+    });
+  });
+}
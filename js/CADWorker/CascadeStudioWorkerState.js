@@ -1,23 +1,35 @@
 export const messageHandlers = {};
 
 export let argCache = {};
+export let callSiteStack = []; // The source ranges of the Standard Library calls in progress (see instrumentCode())
+export let codeInstrumentation = { callSites: [], insertions: {} };
 export let currentLineNumber = 0;
 export let currentOp = "";
 export let currentShape;
+export let currentSceneShapes = []; // The scene shapes combined into `currentShape`
 export let externalShapes = {};
 export let GUIState = {};
 export let oc = null;
 export let opNumber = 0; // This keeps track of the progress of the evaluation
+export let opStack = []; // The Standard Library ops currently running, outermost first
+export let settings = {}; // The editor's own settings (like "Merge STL Faces"), which aren't part of the GUIState
+export let shapeMetadata = {}; // shape ptr -> { name, color, kind, line, children } assigned during the evaluation
 export let usedHashes = {};
 
 export const setArgCache = val => (argCache = val);
+export const setCallSiteStack = val => (callSiteStack = val);
+export const setCodeInstrumentation = val => (codeInstrumentation = val);
 export const setCurrentOp = val => (currentOp = val);
 export const setCurrentShape = val => (currentShape = val);
+export const setCurrentSceneShapes = val => (currentSceneShapes = val);
 export const setCurrentLineNumber = val => (currentLineNumber = val);
 export const resetExternalShapes = () => (externalShapes = {});
 export const setGUIState = val => (GUIState = val);
 export const setOc = ocInit => (oc = ocInit);
 export const setOpNumber = val => (opNumber = val);
+export const setOpStack = val => (opStack = val);
+export const setSettings = val => (settings = val);
+export const setShapeMetadata = val => (shapeMetadata = val);
 export const setUsedHashes = val => (usedHashes = val);
 
 
@@ -0,0 +1,214 @@
+import fs from "fs";
+import path from "path";
+import { initialize, evaluate, callMessageHandler } from "./CascadeStudioHeadless.js";
+
+// This is the `cascadestudio` command line tool; it exports Cascade Studio
+// project files (the .json written by "Save Project") to STEP/BREP/STL/OBJ, e.g.:
+//   cascadestudio export project.json --format step --out part.step --set Radius=35
+
+const usage =
+`Usage: cascadestudio export <project.json> [options]
+
+Options:
+  --format <step|brep|stl|obj>  Output format (defaults to the extension of --out, else step);
+                                brep needs a build of opencascade.js that includes BRepTools
+  --out <file>                  Output file (defaults to the project name + the format's extension)
+  --set <name>=<value>          Overrides a Slider/Checkbox value; may be repeated
+  --mesh-res <value>            Meshing deviation for stl/obj (defaults to the project's MeshRes)
+  --binary                      Writes a binary .stl instead of an ASCII one
+  --folder <dir>                Folder that Import() reads from (defaults to the project file's folder)
+  --help                        Shows this message`;
+
+const formatExtensions = { step: "step", stp: "step", brep: "brep", brp: "brep", stl: "stl", obj: "obj" };
+
+/** This function parses the command line arguments into an options object. */
+function parseArguments(args) {
+  let options = { command: null, project: null, format: null, out: null, overrides: {}, meshRes: null, binary: false, folder: null };
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg === "--format") {
+      options.format = (args[++i] || "").toLowerCase();
+    } else if (arg === "--out" || arg === "-o") {
+      options.out = args[++i];
+    } else if (arg === "--binary") {
+      options.binary = true;
+    } else if (arg === "--folder") {
+      options.folder = args[++i];
+    } else if (arg === "--mesh-res") {
+      options.meshRes = parseFloat(args[++i]);
+    } else if (arg === "--set") {
+      let assignment = args[++i] || "";
+      let separator  = assignment.indexOf("=");
+      if (separator <= 0) { throw new Error("--set expects <name>=<value>, got \"" + assignment + "\""); }
+      options.overrides[assignment.slice(0, separator)] = parseValue(assignment.slice(separator + 1));
+    } else if (arg.startsWith("-")) {
+      throw new Error("Unknown option " + arg);
+    } else if (!options.command) {
+      options.command = arg;
+    } else if (!options.project) {
+      options.project = arg;
+    } else {
+      throw new Error("Unexpected argument " + arg);
+    }
+  }
+
+  if (!options.format) {
+    options.format = options.out ? path.extname(options.out).slice(1).toLowerCase() : "step";
+  }
+  if (!(options.format in formatExtensions)) {
+    throw new Error("Unsupported format \"" + options.format + "\"; use step, brep, stl, or obj");
+  }
+  options.format = formatExtensions[options.format];
+  if (!options.out && options.project) {
+    options.out = path.basename(options.project, path.extname(options.project)) + "." + options.format;
+  }
+  return options;
+}
+
+/** Converts a `--set` value into the type a Slider or Checkbox would have produced. */
+function parseValue(value) {
+  if (value === "true")  { return true;  }
+  if (value === "false") { return false; }
+  if (value.trim() !== "" && !isNaN(Number(value))) { return Number(value); }
+  return value;
+}
+
+/** This function extracts the code, GUI State, and external files
+ * from a project's Golden Layout configuration (see `saveProject()`). */
+function readProject(projectConfig) {
+  let project = { code: null, GUIState: {}, externalFiles: {} };
+  let visit = (item) => {
+    if (item.type === "component") {
+      if (item.componentName === "codeEditor") {
+        let code = item.componentState.code;
+        project.code = Array.isArray(code) ? code.join("\n") : code;
+      } else if (item.componentName === "cascadeView") {
+        project.GUIState = item.componentState || {};
+      } else if (item.componentName === "console") {
+        project.externalFiles = item.componentState || {};
+      }
+    }
+    (item.content || []).forEach(visit);
+  };
+  visit(projectConfig);
+  if (project.code === null) { throw new Error("The project does not contain a codeEditor component!"); }
+  return project;
+}
+
+/** This function writes the triangulated faces from `ShapeToMesh()` to an .obj string.  Faces
+ * of models with `appearance`s use the materials of `materials` (appearance JSON -> name), added as they are met. */
+function facesToOBJ(facelist, name = "CascadeStudioPart", materials = {}) {
+  let obj = "o " + name + "\n"; let vertexOffset = 1;
+  let colored = facelist.some((face) => face.appearance);
+  facelist.forEach((face, faceIndex) => {
+    obj += "g face_" + (face.face_index !== undefined ? face.face_index : faceIndex) + "\n";
+    if (colored) {
+      let appearance = JSON.stringify(face.appearance || {});
+      if (!(appearance in materials)) { materials[appearance] = "material_" + Object.keys(materials).length; }
+      obj += "usemtl " + materials[appearance] + "\n";
+    }
+    for (let i = 0; i < face.vertex_coord.length; i += 3) {
+      obj += "v "  + face.vertex_coord[i] + " " + face.vertex_coord[i + 1] + " " + face.vertex_coord[i + 2] + "\n";
+      obj += "vn " + face.normal_coord[i] + " " + face.normal_coord[i + 1] + " " + face.normal_coord[i + 2] + "\n";
+    }
+    for (let t = 0; t < face.number_of_triangles; t++) {
+      let indices = [0, 1, 2].map((k) => face.tri_indexes[t * 3 + k] + vertexOffset);
+      obj += "f " + indices.map((index) => index + "//" + index).join(" ") + "\n";
+    }
+    vertexOffset += face.vertex_coord.length / 3;
+  });
+  return obj;
+}
+
+/** This function writes the `materials` of `facesToOBJ()` as an .mtl string. */
+function materialsToMTL(materials) {
+  return Object.keys(materials).map((appearance) => {
+    let { color = "#cccccc", opacity = 1 } = JSON.parse(appearance);
+    let rgb = [1, 3, 5].map((i) => parseInt(color.substr(i, 2), 16) / 255);
+    return "newmtl " + materials[appearance] + "\nKd " + rgb.join(" ") + "\nd " + opacity + "\n";
+  }).join("\n");
+}
+
+/** Prints the logs, warnings, and errors gathered by the headless runner; returns true if there were no errors. */
+function report(result) {
+  result.logs.forEach((message) => { console.log(typeof message === "string" ? message : JSON.stringify(message)); });
+  result.errors.forEach((error) => {
+    console.error((error.severity === "warning" ? "Warning: " : "Error: ") +
+      (error.line ? "Line " + error.line + ": " : "") + (error.op ? error.op + "() " : "") + error.message);
+  });
+  return result.errors.every((error) => error.severity === "warning");
+}
+
+/** This function runs the `export` command. */
+async function exportProject(options) {
+  let project = readProject(JSON.parse(fs.readFileSync(options.project, "utf8")));
+  await initialize();
+  if (options.format === "brep" && !callMessageHandler("capabilities").response.brep) {
+    throw new Error("This build of opencascade.js lacks BRepTools, so it can't write .brep files; use --format step instead.");
+  }
+
+  // Replay the imported files, then evaluate with the overridden GUI State
+  if (Object.keys(project.externalFiles).length > 0) {
+    report(callMessageHandler("loadPrexistingExternalFiles", project.externalFiles));
+  }
+  let GUIState = Object.assign({}, project.GUIState, options.overrides);
+  let result = evaluate(project.code, GUIState, { maxDeviation: options.meshRes || GUIState["MeshRes"],
+    projectDirectory: options.folder || path.dirname(options.project) });
+  report(result);
+  if (!result.facesAndEdges) {
+    throw new Error("Evaluating " + options.project + " failed; nothing was exported.");
+  }
+
+  let name = path.basename(options.out, path.extname(options.out)), content = null;
+  if (options.format === "step") {
+    let saved = callMessageHandler("saveShapeSTEP", path.basename(options.out));
+    if (!report(saved) || !saved.response) { throw new Error("Writing the STEP file failed."); }
+    content = saved.response;
+  } else if (options.format === "brep") {
+    let saved = callMessageHandler("saveShapeBREP", path.basename(options.out));
+    if (!report(saved) || !saved.response) { throw new Error("Writing the BREP file failed."); }
+    content = saved.response;
+  } else if (options.format === "stl") {
+    let saved = callMessageHandler("saveShapeSTL", { filename: path.basename(options.out),
+      linearDeflection: options.meshRes || GUIState["MeshRes"] || 0.1, binary: options.binary });
+    if (!report(saved) || !saved.response || saved.response.files.length === 0) { throw new Error("Writing the STL file failed."); }
+    let stl = saved.response.files[0].content;
+    content = typeof stl === "string" ? stl : Buffer.from(stl);
+  } else {
+    // Colored faces come with an .mtl file next to the .obj
+    let materials = {};
+    content = facesToOBJ(result.facesAndEdges[0], name, materials);
+    if (Object.keys(materials).length > 0) {
+      let mtlFile = options.out.replace(/\.obj$/i, "") + ".mtl";
+      fs.writeFileSync(mtlFile, materialsToMTL(materials));
+      content = "mtllib " + path.basename(mtlFile) + "\n" + content;
+    }
+  }
+  fs.writeFileSync(options.out, content);
+  console.log("Exported " + options.project + " to " + options.out);
+}
+
+/** The entry point of the command line tool. */
+function main(args) {
+  let options;
+  try {
+    options = parseArguments(args);
+  } catch (e) {
+    console.error(e.message + "\n\n" + usage);
+    return Promise.resolve(2);
+  }
+  if (options.help || !options.command) {
+    console.log(usage);
+    return Promise.resolve(options.help ? 0 : 2);
+  }
+  if (options.command !== "export" || !options.project) {
+    console.error((options.command === "export" ? "Missing the project file." :
+      "Unknown command \"" + options.command + "\".") + "\n\n" + usage);
+    return Promise.resolve(2);
+  }
+  return exportProject(options).then(() => 0, (e) => { console.error(e.message); return 1; });
+}
+
+main(process.argv.slice(2)).then((exitCode) => { process.exitCode = exitCode; });
@@ -0,0 +1,118 @@
+import fs from "fs";
+import path from "path";
+import opencascade from "../../static_node_modules/opencascade.js/dist/opencascade.wasm.js";
+import wasmFile from "../../static_node_modules/opencascade.js/dist/opencascade.wasm.wasm";
+
+import {
+  setOc,
+  messageHandlers,
+  currentShape,
+  GUIState
+} from "../CADWorker/CascadeStudioWorkerState";
+import { evaluateCode, combineSceneShapes } from "../CADWorker/CascadeStudioEvaluator.js";
+import { loadFont, preloadedFonts } from "../CADWorker/CascadeStudioFontLoader";
+import { describeError } from "../CADWorker/CascadeStudioErrors.js";
+import { getProfile } from "../CADWorker/CascadeStudioProfiler.js";
+import { setProjectFileReader } from "../CADWorker/CascadeStudioFileUtils.js"; // Also registers the file import/export messageHandlers
+import "../CADWorker/CascadeStudioMeshExport.js"; // Registers the mesh export messageHandlers
+import "../CADWorker/CascadeStudioDrawingExport.js"; // Registers the drawing export messageHandlers
+
+// This file lets Node.js evaluate Cascade Studio scripts without a browser.
+// It runs the same Standard Library as the CAD Worker, but returns everything
+// the Worker would have posted to the Main Page as plain data instead.
+// Build it with `yarn build-headless`, then:
+//   const cascadeStudio = require("./dist/headless.node.js");
+//   await cascadeStudio.initialize();
+//   let result = cascadeStudio.evaluate("Box(10, 20, 30);", { "Cache?": true });
+
+let openCascadeLoading = null;
+
+/** This function loads the OpenCascade WebAssembly Module and the `Text3D()` fonts.
+ *  It only does the work once; every call returns the same Promise, which rejects
+ *  (and lets the next call try again) if the WebAssembly or a font can't be loaded.
+ *  `options.fontDirectory` defaults to the `fonts` folder of this repository. */
+export function initialize(options = {}) {
+  if (!openCascadeLoading) {
+    openCascadeLoading = Promise.resolve().then(() => new opencascade({
+      // Hand over the binary directly; Node's `fetch()` can't load local paths
+      wasmBinary: fs.readFileSync(path.join(__dirname, wasmFile))
+    })).then((openCascade) => {
+      // Register the "OpenCascade" WebAssembly Module under the shorthand "oc"
+      setOc(openCascade);
+
+      let fontDirectory = options.fontDirectory || path.join(__dirname, "..", "fonts");
+      preloadedFonts.forEach((fontURL) => {
+        let fontFile = fs.readFileSync(path.join(fontDirectory, fontURL.split("fonts/")[1]));
+        loadFont(fontURL, fontFile.buffer.slice(fontFile.byteOffset, fontFile.byteOffset + fontFile.byteLength));
+      });
+    }).catch((error) => {
+      openCascadeLoading = null;
+      throw error;
+    });
+  }
+  return openCascadeLoading;
+}
+
+/** This function evaluates `code` with `guiState` (the Slider/Checkbox values) and
+ *  combines the resulting `sceneShapes`.  `initialize()` must have resolved first.
+ *  Returns `{ shape, facesAndEdges, GUIState, profile, logs, errors, messages }` where `shape`
+ *  is the combined `TopoDS_Compound`, `facesAndEdges` is the `ShapeToMesh()` output,
+ *  `errors` are `{ severity, message, op, line, column, callStack, exceptionType }`
+ *  objects ("warning"s don't stop the evaluation) and `messages` are the (non-progress)
+ *  messages the Worker would have posted to the Main Page (e.g. "addSlider").
+ *  `profile.entries` holds the timing of each op (see CascadeStudioProfiler.js).
+ *  `Import()` reads relative paths from `options.projectDirectory` (defaults to the working directory). */
+export function evaluate(code, guiState = {}, options = {}) {
+  let result = { shape: null, facesAndEdges: null, GUIState: null, profile: null, logs: [], errors: [], messages: [] };
+  setProjectFileReader((filePath) => {
+    if (/^[a-z][a-z0-9+.-]+:\/\//i.test(filePath)) {
+      throw new Error("The headless runner can't Import() from URLs; download " + filePath + " into the project folder instead.");
+    }
+    return fs.readFileSync(path.resolve(options.projectDirectory || ".", filePath));
+  });
+  captureWorkerOutput(result, () => {
+    try {
+      evaluateCode(code, Object.assign({ "Cache?": true }, guiState));
+    } catch (e) {
+      result.errors.push(describeError(e));
+      return;
+    }
+    result.facesAndEdges = combineSceneShapes(options.maxDeviation || guiState["MeshRes"] || 0.1) || null;
+    result.shape = currentShape;
+  });
+  result.GUIState = GUIState;
+  result.profile  = getProfile();
+  return result;
+}
+
+/** This function calls a registered Worker `messageHandler` (e.g. "saveShapeSTEP" or
+ *  "loadPrexistingExternalFiles") and returns its response, logs and errors. */
+export function callMessageHandler(type, payload) {
+  let result = { response: null, logs: [], errors: [], messages: [] };
+  captureWorkerOutput(result, () => {
+    try {
+      result.response = messageHandlers[type](payload);
+    } catch (e) {
+      result.errors.push(describeError(e));
+    }
+  });
+  return result;
+}
+
+/** Redirects the Worker's `console` and `postMessage` traffic into `result` while `callback` runs. */
+function captureWorkerOutput(result, callback) {
+  let realConsoleLog = console.log, realConsoleError = console.error;
+  let hadPostMessage = "postMessage" in global, realPostMessage = global.postMessage;
+  console.log   = (message) => { result.logs.push(message); };
+  console.error = (message) => { result.errors.push(describeError(message, "warning")); };
+  global.postMessage = (message) => {
+    if (message.type !== "Progress") { result.messages.push(message); }
+  };
+  try {
+    callback();
+  } finally {
+    console.log   = realConsoleLog;
+    console.error = realConsoleError;
+    if (hadPostMessage) { global.postMessage = realPostMessage; } else { delete global.postMessage; }
+  }
+}
@@ -0,0 +1,21 @@
+import { initialize } from "./CascadeStudioHeadless.js";
+
+// The WebAssembly Module is faked; these tests only cover how `initialize()` fails
+let mockWasmFile = "missing.wasm";
+jest.mock("../../static_node_modules/opencascade.js/dist/opencascade.wasm.wasm",
+  () => ({ __esModule: true, get default() { return mockWasmFile; } }), { virtual: true });
+jest.mock("../../static_node_modules/opencascade.js/dist/opencascade.wasm.js",
+  () => function () { return Promise.resolve({}); });
+
+test("rejects when the WebAssembly file is missing", async () => {
+  await expect(initialize()).rejects.toThrow("missing.wasm");
+});
+
+test("rejects when a font is missing, and tries again on the next call", async () => {
+  mockWasmFile = "../../package.json"; // Any file will do for the fake Module
+  let loading = initialize({ fontDirectory: "missing-fonts" });
+  await expect(loading).rejects.toThrow("missing-fonts");
+  let retrying = initialize({ fontDirectory: "missing-fonts" });
+  expect(retrying).not.toBe(loading);
+  await expect(retrying).rejects.toThrow("missing-fonts");
+});
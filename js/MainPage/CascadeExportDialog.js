@@ -0,0 +1,100 @@
+import { getNewFileHandle, writeFile } from "./CascadeMain";
+
+// This file governs the dialog that asks for the options of an export (tolerances,
+// file variants, etc.) before the CAD Worker writes the file.  The options last chosen
+// for each kind of export are remembered for the rest of the session.
+
+let lastChosenOptions = {};
+
+/** This function shows a dialog titled `title` with an input for each of `fields`
+ * (`{ name, label, type: "number"|"checkbox"|"select", value, choices, step }`) and
+ * calls `onExport(options)` with `{ [name]: value }` when the user presses "Export". */
+export function showExportDialog(title, fields, onExport) {
+  let remembered = lastChosenOptions[title] || {};
+  let dialog = document.createElement("div");
+  dialog.className = "centered";
+  dialog.style.height = "auto";
+  dialog.style.padding = "12px 16px";
+  dialog.style.fontFamily = "Consolas, monospace";
+  dialog.style.boxShadow = "0px 0px 12px rgba(0,0,0,0.75)";
+
+  let heading = document.createElement("h3");
+  heading.innerText = title;
+  heading.style.marginTop = "0px";
+  dialog.appendChild(heading);
+
+  let inputs = {};
+  fields.forEach((field) => {
+    let value = field.name in remembered ? remembered[field.name] : field.value;
+    let row = document.createElement("div");
+    row.style.margin = "6px 0px";
+    let label = document.createElement("span");
+    label.innerText = field.label;
+    label.style.display = "inline-block";
+    label.style.width = "55%";
+    row.appendChild(label);
+
+    let input;
+    if (field.type === "select") {
+      input = document.createElement("select");
+      field.choices.forEach((choice) => {
+        let option = document.createElement("option");
+        option.value = option.innerText = choice;
+        input.appendChild(option);
+      });
+      input.value = value;
+    } else {
+      input = document.createElement("input");
+      input.type = field.type;
+      if (field.type === "checkbox") { input.checked = !!value; } else { input.value = value; }
+      if (field.step) { input.step = field.step; }
+    }
+    inputs[field.name] = input;
+    row.appendChild(input);
+    dialog.appendChild(row);
+  });
+
+  let close = () => { document.body.removeChild(dialog); document.removeEventListener("keydown", onKeyDown); };
+  let onKeyDown = (e) => { if (e.key === "Escape") { close(); } };
+  let addButton = (text, onClick) => {
+    let button = document.createElement("button");
+    button.innerText = text;
+    button.style.marginRight = "8px";
+    button.onclick = onClick;
+    dialog.appendChild(button);
+  };
+  addButton("Export", () => {
+    let options = {};
+    fields.forEach((field) => {
+      let input = inputs[field.name];
+      options[field.name] = field.type === "checkbox" ? input.checked :
+        (field.type === "number" ? parseFloat(input.value) : input.value);
+    });
+    lastChosenOptions[title] = options;
+    close();
+    onExport(options);
+  });
+  addButton("Cancel", close);
+
+  document.addEventListener("keydown", onKeyDown);
+  document.body.appendChild(dialog);
+}
+
+/** This function saves each of `files` (`{ filename, content }`, with text or ArrayBuffer content).
+ * A single file goes through the save file picker; several are downloaded directly. */
+export async function saveExportedFiles(files, description, mime, extension) {
+  if (files.length === 1 && window.showSaveFilePicker) {
+    const fileHandle = await getNewFileHandle(description, mime, extension);
+    await writeFile(fileHandle, files[0].content);
+    console.log("Saved " + extension.toUpperCase() + " to " + fileHandle.name);
+    return;
+  }
+  files.forEach((file) => {
+    let link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([file.content], { type: mime }));
+    link.download = file.filename;
+    link.click();
+    setTimeout(() => { URL.revokeObjectURL(link.href); }, 1000);
+  });
+  console.log("Saved " + files.map((file) => file.filename).join(", "));
+}
@@ -0,0 +1,117 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter";
+
+// This file converts the rendered `mainObject` into a glTF/GLB file for the web.
+// Each Part and Assembly of the `sceneTree` becomes a named node, and each shape a mesh with a
+// primitive per CAD face (the mesh's `faceIndices` extra lists their `face_index`es) in the material
+// of its `Color()` or `Material()`; the edges
+// optionally become a line mesh.  OpenCascade's Z-up coordinates are baked into glTF's Y-up
+// ones, so the file needs no extra rotation in three.js or <model-viewer>.
+
+/** This function builds the scene to export from `mainObject` (as rendered by
+ * `combineAndRenderShapes`).  `options` are `{ includeEdges, metersPerUnit, sceneTree }`. */
+export function buildGLTFScene(mainObject, options = {}) {
+  let scene = new THREE.Scene();
+  let part = new THREE.Group();
+  part.name = "CascadeStudioPart";
+  scene.add(part);
+
+  // Z-up to Y-up, then model units (millimeters) to meters
+  let toGLTF = new THREE.Matrix4().makeScale(options.metersPerUnit || 1, options.metersPerUnit || 1, options.metersPerUnit || 1)
+    .multiply(new THREE.Matrix4().makeRotationX(-Math.PI / 2));
+
+  let faces = mainObject.getObjectByName("Model Faces");
+  if (faces) {
+    let materials = faces.material.slice(0, -1).map(exportedMaterial); // The last is the Outliner's selection
+    let addNode = (node, parent) => {
+      if (node.children.length > 0) {
+        let group = new THREE.Group();
+        group.name = node.name;
+        parent.add(group);
+        node.children.forEach((child) => addNode(child, group));
+      } else {
+        let mesh = buildFacesMesh(faces.geometry, node.faces, materials, toGLTF);
+        if (mesh) { mesh.name = node.name; parent.add(mesh); }
+      }
+    };
+    let nodes = options.sceneTree && options.sceneTree.length > 0 ? options.sceneTree :
+      [{ name: "Faces", faces: [0, Infinity], children: [] }];
+    nodes.forEach((node) => addNode(node, part));
+  }
+
+  let edges = mainObject.getObjectByName("Model Edges");
+  if (edges && options.includeEdges) {
+    let lineGeometry = new THREE.BufferGeometry();
+    lineGeometry.setAttribute("position", edges.geometry.getAttribute("position").clone());
+    lineGeometry.applyMatrix4(toGLTF);
+    let material = new THREE.LineBasicMaterial({ color: 0x000000 });
+    material.name = "Edges";
+    let line = new THREE.LineSegments(lineGeometry, material);
+    line.name = "Edges";
+    part.add(line);
+  }
+  return scene;
+}
+
+/** This function converts a material of the rendered faces into a glTF (metallic-roughness) one. */
+function exportedMaterial(material) {
+  let appearance = material.userData.appearance || {};
+  let exported = new THREE.MeshStandardMaterial({
+    color    : appearance.color || 0xcccccc,
+    metalness: "metalness" in appearance ? appearance.metalness : 0.1,
+    roughness: "roughness" in appearance ? appearance.roughness : 0.6
+  });
+  if ("opacity" in appearance && appearance.opacity < 1) { exported.transparent = true; exported.opacity = appearance.opacity; }
+  exported.name = material.userData.appearance ? material.name : "Faces";
+  return exported;
+}
+
+/** This function builds a mesh of the faces of `geometry` (the rendered "Model Faces") whose index
+ * among the rendered faces is within `[first, end)`, one primitive per face in its material
+ * from `materials`; null if there are none. */
+function buildFacesMesh(geometry, [first, end], materials, matrix) {
+  let positions = [], normals = [], indices = [], faceIndices = [], vertexIndices = {};
+  let bufferGeometry = new THREE.BufferGeometry();
+  let groupStart = 0, currentFace = null, currentMaterial = 0;
+  geometry.faces.forEach((face) => {
+    // Each triangle's color holds its `face_index` (r) and its index among the rendered faces (g)
+    if (face.color.g < first || face.color.g >= end) { return; }
+    if (face.color.g !== currentFace) {
+      if (currentFace !== null) { bufferGeometry.addGroup(groupStart, indices.length - groupStart, currentMaterial); }
+      groupStart = indices.length; currentFace = face.color.g; currentMaterial = face.baseMaterialIndex || 0;
+      faceIndices.push(face.color.r);
+    }
+    [face.a, face.b, face.c].forEach((vertex, corner) => {
+      if (!(vertex in vertexIndices)) {
+        vertexIndices[vertex] = positions.length / 3;
+        positions.push(geometry.vertices[vertex].x, geometry.vertices[vertex].y, geometry.vertices[vertex].z);
+        normals.push(0, 0, 0);
+      }
+      let index = vertexIndices[vertex], normal = face.vertexNormals[corner] || face.normal;
+      normals[index * 3] = normal.x; normals[index * 3 + 1] = normal.y; normals[index * 3 + 2] = normal.z;
+      indices.push(index);
+    });
+  });
+  if (currentFace === null) { return null; }
+  bufferGeometry.addGroup(groupStart, indices.length - groupStart, currentMaterial);
+  bufferGeometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  bufferGeometry.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+  bufferGeometry.setIndex(indices);
+  bufferGeometry.applyMatrix4(matrix);
+
+  let mesh = new THREE.Mesh(bufferGeometry, materials);
+  mesh.userData.faceIndices = faceIndices;
+  return mesh;
+}
+
+/** This function exports `mainObject` as a `.gltf` (JSON text) or `.glb` (ArrayBuffer) file.
+ * `options` are `{ binary, includeEdges, metersPerUnit, sceneTree }`; resolves to `{ filename, content }`. */
+export function exportGLTF(mainObject, options = {}) {
+  return new Promise((resolve) => {
+    new GLTFExporter().parse(buildGLTFScene(mainObject, options), (result) => {
+      resolve(options.binary ?
+        { filename: "CascadeStudioPart.glb",  content: result } :
+        { filename: "CascadeStudioPart.gltf", content: JSON.stringify(result, null, 2) });
+    }, { binary: !!options.binary, onlyVisible: false });
+  });
+}
@@ -1,5 +1,7 @@
 /* eslint-disable prettier/prettier */
 import { CascadeEnvironment } from "./CascadeView";
+import { initializeProfiler } from "./CascadeProfiler";
+import { initializeOutliner } from "./CascadeOutliner";
 import GoldenLayout from "golden-layout";
 import "golden-layout/src/css/goldenlayout-base.css";
 import "golden-layout/src/css/goldenlayout-dark-theme.css";
@@ -13,12 +15,14 @@ import {
     messageHandlers,
     workerWorking,
     setWorkerWorking,
+    setWorkerCapabilities,
+    appSettings,
     monacoEditor,
     setMonacoEditor,
     threejsViewport,
     setThreejsViewport,
 } from "./CascadeState";
-import cascadeStudioWorker from './CascadeWorkerInit';
+import cascadeStudioWorker, { restartWorker } from './CascadeWorkerInit';
 
 
 
@@ -29,7 +33,8 @@ import cascadeStudioWorker from './CascadeWorkerInit';
 var myLayout,
     consoleContainer, consoleGolden, codeContainer, gui,
     guiPanel, GUIState, count = 0, //focused = true,
-    startup, file = {}, realConsoleLog;
+    startup, file = {}, realConsoleLog,
+    evaluationTimeout = null, lastOp = {}, errorMarkers = [];
 
 let starterCode = 
 `// Welcome to Cascade Studio!   Here are some useful functions:
@@ -85,7 +90,7 @@ export function initialize(projectContent = null) {
 
         // Define the Default Golden Layout
         // Code on the left, Model on the right
-        // Console on the bottom right
+        // Console (and Profiler and Outliner) on the bottom right
         myLayout = new GoldenLayout({
             content: [{
                 type: 'row',
@@ -105,12 +110,27 @@ export function initialize(projectContent = null) {
                         componentState: GUIState,
                         isClosable: false
                     }, {
-                        type: 'component',
-                        componentName: 'console',
-                        title: 'Console',
-                        componentState: {},
+                        type: 'stack',
                         height: 20.0,
-                        isClosable: false
+                        content: [{
+                            type: 'component',
+                            componentName: 'console',
+                            title: 'Console',
+                            componentState: {},
+                            isClosable: false
+                        }, {
+                            type: 'component',
+                            componentName: 'profiler',
+                            title: 'Profiler',
+                            componentState: {},
+                            isClosable: false
+                        }, {
+                            type: 'component',
+                            componentName: 'outliner',
+                            title: 'Outliner',
+                            componentState: {},
+                            isClosable: false
+                        }]
                     }]
                 }]
             }],
@@ -218,6 +238,7 @@ export function initialize(projectContent = null) {
                 let newCode = monacoEditor.getValue();
 
                 // Clear Inline Monaco Editor Error Highlights
+                errorMarkers = [];
                 monaco.editor.setModelMarkers(monacoEditor.getModel(), 'test', []);
 
                 // Refresh the GUI Panel
@@ -225,9 +246,13 @@ export function initialize(projectContent = null) {
                     gui.clearPanels();
 
                     guiPanel = gui.addPanel({ label: 'Cascade Control Panel' })
-                        .addButton('Evaluate', () => { monacoEditor.evaluateCode(true); });
+                        .addButton('Evaluate', () => { monacoEditor.evaluateCode(true); })
+                        .addButton('Stop', () => { stopEvaluation(); });
                     messageHandlers["addSlider"]({ name: "MeshRes", default: 0.1, min: 0.01, max: 2 });
                     messageHandlers["addCheckbox"]({ name: "Cache?", default: true });
+                    addSettingCheckbox("Merge STL Faces");
+                    addSettingSlider({ name: "Timeout", min: 5, max: 600, step: 5, dp: 0 });
+                    addSettingSlider({ name: "Workers", min: 1, max: navigator.hardwareConcurrency || 4, step: 1, dp: 0 });
                 }
 
                 // Remove any existing Transform Handles that could be laying around
@@ -243,13 +268,22 @@ export function initialize(projectContent = null) {
                     link.click();
                 };
 
+                // Kill the worker if this evaluation (including meshing the result) runs for longer
+                // than "Timeout" seconds; the rendered result disarms this (see `finishEvaluation()`)
+                lastOp = {};
+                clearTimeout(evaluationTimeout);
+                evaluationTimeout = setTimeout(() => {
+                    stopEvaluation("Timed out after " + appSettings["Timeout"] + " seconds");
+                }, appSettings["Timeout"] * 1000);
+
                 // Send the current editor code and GUI state to the Worker thread
                 // This is where the magic happens!
                 cascadeStudioWorker.postMessage({
                     "type": "Evaluate",
                     payload: {
                         "code": newCode,
-                        "GUIState": GUIState
+                        "GUIState": GUIState,
+                        "settings": appSettings
                     }
                 });
 
@@ -383,38 +417,23 @@ export function initialize(projectContent = null) {
             };
             // Call this console.log when triggered from the WASM
             messageHandlers["log"  ] = (payload) => { console.log(payload); };
-            messageHandlers["error"] = (payload) => { 
-                setWorkerWorking(false);
-                console.error(payload); 
-            };
+            messageHandlers["error"] = (payload) => { reportError(payload); };
 
-            // Print Errors in Red
+            // Print uncaught Main Page and Worker Errors in Red
+            // (errors in the user's code arrive through messageHandlers["error"] instead)
             window.onerror = function (err, url, line, colno, errorObj) {
-                let newline = document.createElement("div");
-                newline.style.color = "red";
-                newline.style.fontFamily = "monospace";
-                newline.style.fontSize = "1.2em";
                 let errorText = JSON.stringify(err, getCircularReplacer());
                 if (errorText.startsWith('"')) { errorText = errorText.slice(1, -1); }
-                newline.innerHTML = "Line " + line + ": " + errorText;
-                consoleContainer.appendChild(newline);
-                consoleContainer.parentElement.scrollTop = consoleContainer.parentElement.scrollHeight;
-
-                // Highlight the error'd code in the editor
-                if (!errorObj || !(errorObj.stack.includes("wasm-function"))) {
-                    monaco.editor.setModelMarkers(monacoEditor.getModel(), 'test', [{
-                        startLineNumber: line,
-                        startColumn: colno,
-                        endLineNumber: line,
-                        endColumn: 1000,
-                        message: JSON.stringify(err, getCircularReplacer()),
-                        severity: monaco.MarkerSeverity.Error
-                    }]);
-                }
+                appendConsoleLine(errorText, "red");
             };
 
             // If we've received a progress update from the Worker Thread, append it to our previous message
             messageHandlers["Progress"] = (payload) => {
+                // Remember which op is running in case the worker has to be killed
+                if (payload.opType) {
+                    lastOp = { opType: payload.opType, lineNumber: payload.lineNumber, running: true };
+                } else if (payload.opType === null) { lastOp.running = false; }
+
                 // Add a dot to the progress indicator for each progress message we find in the queue
                 consoleContainer.parentElement.lastElementChild.lastElementChild.innerText =
                     "> Generating Model" + ".".repeat(payload.opNumber) + ((payload.opType)? " ("+payload.opType+")" : "");
@@ -426,6 +445,28 @@ export function initialize(projectContent = null) {
         }
     });
 
+    // Set up the Profiler Window, which shows how long each op took
+    myLayout.registerComponent('profiler', function (container) {
+        initializeProfiler(container);
+    });
+
+    // Set up the Outliner Window, which lists the shapes, Parts, and Assemblies of the last render
+    myLayout.registerComponent('outliner', function (container) {
+        initializeOutliner(container);
+    });
+
+    // Projects saved before the Profiler (or Outliner) existed get it as a tab next to the Console
+    myLayout.on("initialised", () => {
+        if (!consoleGolden) { return; }
+        let consoleStack = consoleGolden.parent.parent;
+        [['profiler', 'Profiler'], ['outliner', 'Outliner']].forEach(([componentName, title]) => {
+            if (myLayout.root.getComponentsByName(componentName).length === 0) {
+                consoleStack.addChild({ type: 'component', componentName: componentName, title: title, isClosable: false });
+                consoleStack.setActiveContentItem(consoleGolden.parent);
+            }
+        });
+    });
+
     // onbeforeunload doesn't get triggered in time to do any good
     //window.onbeforeunload = function () {}
     //window.onblur  = () => { focused = false; }
@@ -445,17 +486,10 @@ export function initialize(projectContent = null) {
 
     // If the Main Page loads before the CAD Worker, register a 
     // callback to start the model evaluation when the CAD is ready.
-    messageHandlers["startupCallback"] = () => {
+    messageHandlers["startupCallback"] = (capabilities) => {
+        applyWorkerCapabilities(capabilities);
         startup = function () {
-            // Reimport any previously imported STEP/IGES Files
-            let curState = consoleGolden.getState();
-            if (curState && Object.keys(curState).length > 0) {
-                cascadeStudioWorker.postMessage({
-                    "type": "loadPrexistingExternalFiles",
-                    payload: consoleGolden.getState()
-                });
-            }
-
+            reloadExternalFiles();
             monacoEditor.evaluateCode();
         }
         // Call the startup if we're ready when the wasm is ready
@@ -483,7 +517,132 @@ export function initialize(projectContent = null) {
         if (!(payload.name in GUIState)) { GUIState[payload.name] = payload.default; }
         guiPanel.addCheckbox(GUIState, payload.name, { onChange: () => { monacoEditor.evaluateCode() } });
     }
-    messageHandlers["resetWorking"] = () => setWorkerWorking(false)
+}
+
+/** This function restores the editor's own `appSettings` that were saved in this browser. */
+function loadAppSettings() {
+    try {
+        Object.assign(appSettings, JSON.parse(window.localStorage.getItem("CascadeStudioSettings") || "{}"));
+    } catch (e) { /* Unreadable or unavailable; keep the defaults */ }
+}
+loadAppSettings();
+
+/** This function saves the editor's own `appSettings` (without the sliders' ranges) in this browser. */
+function saveAppSettings() {
+    let settings = {};
+    Object.keys(appSettings).filter((key) => !key.endsWith("Range")).forEach((key) => { settings[key] = appSettings[key]; });
+    try { window.localStorage.setItem("CascadeStudioSettings", JSON.stringify(settings)); } catch (e) { }
+}
+
+/** This function adds a slider for one of the editor's own `appSettings` to the GUI panel; unlike the
+ * script's sliders, it isn't part of the `GUIState` that's saved with the project and hashed by the cache. */
+function addSettingSlider(payload) {
+    appSettings[payload.name + "Range"] = [payload.min, payload.max];
+    guiPanel.addSlider(appSettings, payload.name, payload.name + 'Range', {
+        onFinish: saveAppSettings,
+        step: payload.step,
+        dp: payload.dp
+    });
+}
+
+/** This function adds a checkbox for one of the editor's own `appSettings` to the GUI panel. */
+function addSettingCheckbox(name) {
+    guiPanel.addCheckbox(appSettings, name, { onChange: saveAppSettings });
+}
+
+/** This function only offers what the CAD Worker's build of opencascade.js can do;
+ * the BREP import and export are shown once it reports that it includes BRepTools. */
+function applyWorkerCapabilities(capabilities = {}) {
+    setWorkerCapabilities(capabilities);
+    for (let element of document.getElementsByClassName("brep-only")) {
+        element.style.display = capabilities.brep ? "" : "none";
+    }
+    let fileInput = document.getElementById("files");
+    let accepted  = fileInput.accept.split(",").filter((extension) => !/^\.(brep|brp)$/.test(extension));
+    fileInput.accept = (capabilities.brep ? accepted.concat([".brep", ".brp"]) : accepted).join(",");
+}
+
+/** This function reimports any previously imported STEP/IGES/STL/DXF/SVG/BREP Files into the CAD Worker. */
+function reloadExternalFiles() {
+    let curState = consoleGolden.getState();
+    if (curState && Object.keys(curState).length > 0) {
+        cascadeStudioWorker.postMessage({
+            "type": "loadPrexistingExternalFiles",
+            payload: curState
+        });
+    }
+}
+
+/** This function ends the evaluation once its result has been rendered, disarming its timeout. */
+export function finishEvaluation() {
+    clearTimeout(evaluationTimeout);
+    evaluationTimeout = null;
+    setWorkerWorking(false);
+}
+
+/** This function terminates a running evaluation by replacing the CAD Worker,
+ * reports the line and op it was stuck in, and reloads the project's files. */
+export function stopEvaluation(reason = "Stopped") {
+    if (!workerWorking) { return; }
+    clearTimeout(evaluationTimeout);
+
+    restartWorker();
+    setWorkerWorking(false);
+    messageHandlers["startupCallback"] = (capabilities) => {
+        applyWorkerCapabilities(capabilities);
+        reloadExternalFiles();
+        console.log("CAD Kernel restarted; press F5 to evaluate again.");
+    };
+
+    // Report where the evaluation was (in red, with the line highlighted in the editor)
+    let where = lastOp.opType ?
+        (lastOp.running ? " while running " : " after ") + lastOp.opType + "()" : "";
+    reportError({
+        severity: "error",
+        message: reason + where + "; restarting the CAD Kernel...",
+        line: lastOp.lineNumber || 0,
+        column: 1
+    });
+}
+
+/** This function appends a line of `text` to the Console window. */
+function appendConsoleLine(text, color) {
+    let newline = document.createElement("div");
+    newline.style.color = color;
+    newline.style.fontFamily = "monospace";
+    newline.style.fontSize = "1.2em";
+    newline.innerText = text;
+    consoleContainer.appendChild(newline);
+    consoleContainer.parentElement.scrollTop = consoleContainer.parentElement.scrollHeight;
+}
+
+/** This function prints an error or warning from the CAD Worker (see `describeError()`
+ * in CascadeStudioErrors.js) to the Console window and marks its line in the editor.
+ * Notices (e.g. that a project file is still loading) are only logged. */
+function reportError(error) {
+    if (error.severity === "notice") { console.log(error.message); return; }
+    let isWarning = error.severity === "warning";
+    let color = isWarning ? "orange" : "red";
+    let exceptionType = error.exceptionType ? " (" + error.exceptionType + ")" : "";
+    appendConsoleLine((error.line > 0 ? "Line " + error.line + ": " : "") +
+        (error.op ? error.op + "() " : "") + (isWarning ? "warning: " : "") + error.message + exceptionType, color);
+    if (error.callStack && error.callStack.length > 1) {
+        appendConsoleLine("    in " + error.callStack.slice().reverse().map((frame) =>
+            frame.op + "() at Line " + frame.line).join(", called by "), color);
+    }
+
+    // Highlight the error'd code in the editor; warnings accumulate with the errors of this run
+    if (error.line > 0 && monacoEditor) {
+        errorMarkers.push({
+            startLineNumber: error.line,
+            startColumn: error.column || 1,
+            endLineNumber: error.endLine || error.line,
+            endColumn: error.endColumn || 1000,
+            message: (error.op ? error.op + "(): " : "") + error.message + exceptionType,
+            severity: isWarning ? monaco.MarkerSeverity.Warning : monaco.MarkerSeverity.Error
+        });
+        monaco.editor.setModelMarkers(monacoEditor.getModel(), 'test', errorMarkers);
+    }
 }
 
 export async function getNewFileHandle(desc, mime, ext, open = false) {
@@ -562,7 +721,7 @@ export function loadFiles(fileElementID = "files") {
     let files = document.getElementById(fileElementID).files;
     cascadeStudioWorker.postMessage({
         "type": "loadFiles",
-        "payload": files
+        "payload": { files: files, options: { mergeFaces: appSettings["Merge STL Faces"] } }
     });
 
     // Receive a list of the imported files
@@ -582,6 +741,14 @@ export function clearExternalFiles() {
     consoleGolden.setState({});
 }
 
+/** This function clears the CAD WebWorker's cached shapes,
+ * including the ones persisted between sessions. */
+export function clearGeometryCache() {
+    cascadeStudioWorker.postMessage({
+        "type": "clearGeometryCache"
+    });
+}
+
 /** This decodes a base64 and zipped string to the original version of that string */
 function decode(string) { return RawDeflate.inflate(window.atob(decodeURIComponent(string))); }
 /** This function encodes a string to a base64 and zipped version of that string */
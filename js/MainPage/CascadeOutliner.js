@@ -0,0 +1,159 @@
+import { messageHandlers, monacoEditor, threejsViewport, sceneTree, setSceneTree } from "./CascadeState";
+
+// This file governs the Outliner panel, which lists the scene shapes of the last render (nested
+// under their Parts and Assemblies) with the line that made them, their type, and their size.
+// The eye toggles hide shapes in the viewport, the target toggle isolates one, and clicking a
+// row highlights the shape in the viewport and its line in the editor.  The tree is described
+// in the CAD Worker by `meshSceneShapes()`.
+
+const kindIcons = { assembly: "▣", part: "■", shape: "□" };
+
+let outliner    = null;
+let hiddenPaths = new Set(); // Kept between renders, so shapes stay hidden as the code changes
+let isolatedPath = null, selectedPath = null;
+let collapsedPaths = new Set();
+
+/** Calls `callback(node, path, parentPath)` for the nodes of `nodes` and their children (parents first).
+ * A path names a node by its name and those of its parents (numbering repeated names). */
+function forEachNode(nodes, callback, parentPath = "") {
+  let seen = {};
+  nodes.forEach((node) => {
+    seen[node.name] = (seen[node.name] || 0) + 1;
+    let path = parentPath + "/" + node.name + (seen[node.name] > 1 ? "#" + seen[node.name] : "");
+    if (callback(node, path, parentPath) !== false) { forEachNode(node.children, callback, path); }
+  });
+}
+
+/** Whether `path` is `ancestor` or inside of it. */
+function isWithin(path, ancestor) { return path === ancestor || path.startsWith(ancestor + "/"); }
+
+/** Whether the shape at `path` is hidden by the eye toggles or by isolating another shape. */
+function isHidden(path) {
+  return [...hiddenPaths].some((hiddenPath) => isWithin(path, hiddenPath)) ||
+    (isolatedPath !== null && !isWithin(path, isolatedPath) && !isWithin(isolatedPath, path));
+}
+
+/** This function returns what the viewport should show of the last render:
+ * `{ hiddenFaces, hiddenEdges, selectedFaces }`, where the first two are lists of
+ * `[first, end)` ranges of rendered faces and edges, and `selectedFaces` is one range (or null). */
+export function outlinerDisplay() {
+  let display = { hiddenFaces: [], hiddenEdges: [], selectedFaces: null };
+  forEachNode(sceneTree, (node, path) => {
+    if (path === selectedPath) { display.selectedFaces = node.faces; }
+    if (isHidden(path)) { display.hiddenFaces.push(node.faces); display.hiddenEdges.push(node.edges); }
+  });
+  return display;
+}
+
+/** Shows the Outliner's hidden, isolated, and selected shapes in the viewport. */
+function updateViewport() {
+  if (threejsViewport.applySceneDisplay) { threejsViewport.applySceneDisplay(outlinerDisplay()); }
+}
+
+/** Selects the editor's line that made `node`. */
+function selectSource(node) {
+  if (!monacoEditor || !(node.line > 0)) { return; }
+  monacoEditor.revealLineInCenter(node.line);
+  monacoEditor.setSelection({ startLineNumber: node.line, startColumn: 1, endLineNumber: node.line,
+    endColumn: monacoEditor.getModel().getLineMaxColumn(node.line) });
+}
+
+/** The Outliner panel inside of the `goldenContainer`. */
+var CascadeOutliner = function (goldenContainer) {
+  this.element = goldenContainer.getElement().get(0);
+  this.element.style.overflow  = 'auto';
+  this.element.style.boxShadow = "inset 0px 0px 3px rgba(0,0,0,0.75)";
+  this.element.style.fontFamily = "monospace";
+  this.element.style.fontSize = "12px";
+  this.element.style.color = "white";
+
+  this.render = function () {
+    while (this.element.firstChild) { this.element.removeChild(this.element.firstChild); }
+    if (sceneTree.length === 0) {
+      let empty = document.createElement("div");
+      empty.style.padding = "4px";
+      empty.innerText = "Nothing was rendered.";
+      this.element.appendChild(empty);
+    }
+    let depths = {};
+    forEachNode(sceneTree, (node, path, parentPath) => {
+      depths[path] = parentPath ? depths[parentPath] + 1 : 0;
+      this.element.appendChild(this.renderRow(node, path, depths[path]));
+      return !collapsedPaths.has(path);
+    });
+  }
+
+  /** One row for `node`, indented by its `depth`. */
+  this.renderRow = function (node, path, depth) {
+    let row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.padding = "1px 4px";
+    row.style.whiteSpace = "nowrap";
+    row.style.cursor = "pointer";
+    row.style.background = path === selectedPath ? "#3b6ea5" : "transparent";
+    row.style.opacity = isHidden(path) ? 0.5 : 1;
+    row.onclick = () => {
+      selectedPath = selectedPath === path ? null : path;
+      if (selectedPath) { selectSource(node); }
+      this.render(); updateViewport();
+    };
+
+    row.appendChild(this.renderButton(hiddenPaths.has(path) ? "◌" : "◉", "Show or hide this shape", () => {
+      if (hiddenPaths.has(path)) { hiddenPaths.delete(path); } else { hiddenPaths.add(path); }
+    }));
+    row.appendChild(this.renderButton(isolatedPath === path ? "◎" : "○", "Show only this shape", () => {
+      isolatedPath = isolatedPath === path ? null : path;
+    }, isolatedPath === path ? "#ffc14d" : "gray"));
+
+    let name = document.createElement("span");
+    name.style.flex = "1";
+    name.style.paddingLeft = (depth * 14) + "px";
+    let toggle = this.renderButton(node.children.length > 0 ? (collapsedPaths.has(path) ? "▸" : "▾") : "", "", () => {
+      if (collapsedPaths.has(path)) { collapsedPaths.delete(path); } else { collapsedPaths.add(path); }
+    });
+    name.appendChild(toggle);
+    let icon = document.createElement("span");
+    icon.style.color = node.color || "inherit"; // The color given with Color() or Material()
+    icon.innerText = kindIcons[node.kind];
+    name.appendChild(icon);
+    name.appendChild(document.createTextNode(" " + node.name));
+    row.appendChild(name);
+
+    let details = document.createElement("span");
+    details.style.color = "#aaa";
+    details.style.paddingLeft = "12px";
+    details.innerText = node.type + "  " + node.solids + " solids, " + (node.faces[1] - node.faces[0]) + " faces, " +
+      (node.edges[1] - node.edges[0]) + " edges" + (node.line ? "  Line " + node.line : "");
+    row.appendChild(details);
+    return row;
+  }
+
+  /** A small clickable glyph that runs `onClick` (without selecting the row) and re-renders. */
+  this.renderButton = function (glyph, title, onClick, color = "white") {
+    let button = document.createElement("span");
+    button.style.display = "inline-block";
+    button.style.width = "16px";
+    button.style.color = color;
+    button.title = title;
+    button.innerText = glyph;
+    button.onclick = (event) => {
+      event.stopPropagation();
+      onClick();
+      this.render(); updateViewport();
+    };
+    return button;
+  }
+
+  this.render();
+}
+
+messageHandlers["sceneTree"] = (tree) => {
+  setSceneTree(tree);
+  if (outliner) { outliner.render(); }
+};
+
+/** Creates the Outliner panel in this Golden Layout `container`. */
+export function initializeOutliner(container) {
+  outliner = new CascadeOutliner(container);
+  return outliner;
+}
@@ -0,0 +1,137 @@
+import { messageHandlers, monacoEditor } from "./CascadeState";
+
+// This file governs the Profiler panel, which shows how long each op took during the
+// last evaluation (as a sortable table and a flame-style timeline).  The timings are
+// collected in the CAD Worker by CascadeStudioProfiler.js.
+
+const columns = [
+  { title: "Op",        value: (entry) => entry.op },
+  { title: "Line",      value: (entry) => entry.line || "", sortValue: (entry) => entry.line },
+  { title: "Time (ms)", value: (entry) => entry.duration.toFixed(1), sortValue: (entry) => entry.duration },
+  { title: "Cache",     value: (entry) => entry.cacheHit === null ? "" : (entry.cacheHit ? "hit" : "miss") },
+  { title: "Inputs",    value: (entry) => entry.inputs.shapes ? entry.inputs.shapes + " shapes, " + entry.inputs.faces + " faces" : "",
+    sortValue: (entry) => entry.inputs.faces },
+  { title: "Output",    value: (entry) => entry.output ? entry.output.solids + " solids, " + entry.output.faces + " faces" : "",
+    sortValue: (entry) => entry.output ? entry.output.faces : -1 }
+];
+
+/** Moves the editor's cursor to the op's call in the code. */
+function jumpToSource(entry) {
+  if (!monacoEditor || !(entry.line > 0)) { return; }
+  monacoEditor.revealLineInCenter(entry.line);
+  monacoEditor.setPosition({ lineNumber: entry.line, column: entry.column || 1 });
+  monacoEditor.focus();
+}
+
+/** The Profiler panel inside of the `goldenContainer`. */
+var CascadeProfiler = function (goldenContainer) {
+  this.element = goldenContainer.getElement().get(0);
+  this.element.style.overflow  = 'auto';
+  this.element.style.boxShadow = "inset 0px 0px 3px rgba(0,0,0,0.75)";
+  this.element.style.fontFamily = "monospace";
+  this.element.style.color = "white";
+  this.profile = { entries: [] };
+  this.sortColumn = 2; this.sortDescending = true;
+
+  /** Displays a new `profile` from the CAD Worker. */
+  this.show = function (profile) {
+    this.profile = profile;
+    this.render();
+  }
+
+  this.render = function () {
+    while (this.element.firstChild) { this.element.removeChild(this.element.firstChild); }
+    let entries = this.profile.entries;
+    let totalTime = entries.reduce((total, entry) => Math.max(total, entry.start + entry.duration), 0);
+    let ops = entries.filter((entry) => entry.cacheHit !== null);
+    let summary = document.createElement("div");
+    summary.style.padding = "4px";
+    summary.innerText = ops.length + " ops in " + totalTime.toFixed(0) + " ms, " +
+      ops.filter((entry) => entry.cacheHit).length + " cache hits";
+    this.element.appendChild(summary);
+    this.element.appendChild(this.renderTimeline(entries, totalTime));
+    this.element.appendChild(this.renderTable(entries));
+  }
+
+  /** A flame-style timeline: one row per nesting depth, one bar per op. */
+  this.renderTimeline = function (entries, totalTime) {
+    let rowHeight = 16;
+    let timeline = document.createElement("div");
+    timeline.style.position = "relative";
+    timeline.style.margin = "0px 4px 8px 4px";
+    timeline.style.height = (entries.reduce((depth, entry) => Math.max(depth, entry.depth), 0) + 1) * rowHeight + "px";
+    entries.forEach((entry) => {
+      let bar = document.createElement("div");
+      bar.style.position = "absolute";
+      bar.style.boxSizing = "border-box";
+      bar.style.left   = (100 * entry.start / (totalTime || 1)) + "%";
+      bar.style.width  = "max(2px, " + (100 * entry.duration / (totalTime || 1)) + "%)";
+      bar.style.top    = (entry.depth * rowHeight) + "px";
+      bar.style.height = (rowHeight - 2) + "px";
+      bar.style.overflow = "hidden";
+      bar.style.whiteSpace = "nowrap";
+      bar.style.fontSize = "10px";
+      bar.style.border = "1px solid #222";
+      bar.style.cursor = entry.line > 0 ? "pointer" : "default";
+      bar.style.background = entry.cacheHit === null ? "#3b6ea5" :
+        (entry.cacheHit ? "#4a4a4a" : "hsl(" + (40 - 40 * entry.duration / (totalTime || 1)) + ", 90%, 45%)");
+      bar.innerText = entry.op;
+      bar.title = entry.op + "()" + (entry.line ? " at Line " + entry.line : "") + ": " + entry.duration.toFixed(1) + " ms" +
+        (entry.cacheHit === null ? "" : (entry.cacheHit ? " (cache hit)" : " (cache miss)"));
+      bar.onclick = () => { jumpToSource(entry); };
+      timeline.appendChild(bar);
+    });
+    return timeline;
+  }
+
+  /** A table of the ops, sortable by clicking on the column headers. */
+  this.renderTable = function (entries) {
+    let column = columns[this.sortColumn];
+    let sortValue = column.sortValue || column.value;
+    let sorted = entries.slice().sort((a, b) => {
+      let [x, y] = [sortValue(a), sortValue(b)];
+      let order = (typeof x === "number" && typeof y === "number") ? x - y : String(x).localeCompare(String(y));
+      return this.sortDescending ? -order : order;
+    });
+
+    let table = document.createElement("table");
+    table.style.width = "100%";
+    table.style.borderCollapse = "collapse";
+    table.style.fontSize = "12px";
+    let header = table.insertRow();
+    columns.forEach((col, index) => {
+      let cell = document.createElement("th");
+      cell.innerText = col.title + (index === this.sortColumn ? (this.sortDescending ? " ▼" : " ▲") : "");
+      cell.style.textAlign = "left";
+      cell.style.cursor = "pointer";
+      cell.style.borderBottom = "1px solid gray";
+      cell.onclick = () => {
+        this.sortDescending = index === this.sortColumn ? !this.sortDescending : true;
+        this.sortColumn = index;
+        this.render();
+      };
+      header.appendChild(cell);
+    });
+    sorted.forEach((entry, rowIndex) => {
+      let row = table.insertRow();
+      row.style.background = rowIndex % 2 ? "#1e1e1e" : "#262626";
+      row.style.cursor = entry.line > 0 ? "pointer" : "default";
+      row.onclick = () => { jumpToSource(entry); };
+      columns.forEach((col) => {
+        let cell = row.insertCell();
+        cell.innerText = (col === columns[0] ? "\u00a0\u00a0".repeat(entry.depth) : "") + col.value(entry);
+      });
+    });
+    return table;
+  }
+
+  this.render();
+}
+
+/** Creates the Profiler panel in this Golden Layout `container` and
+ * registers it to receive the profile of each evaluation. */
+export function initializeProfiler(container) {
+  let profiler = new CascadeProfiler(container);
+  messageHandlers["profile"] = (profile) => { profiler.show(profile); };
+  return profiler;
+}
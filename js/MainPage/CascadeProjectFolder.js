@@ -0,0 +1,72 @@
+import { messageHandlers, monacoEditor, workerWorking } from "./CascadeState";
+import cascadeStudioWorker from "./CascadeWorkerInit";
+
+// This file lets `Import("parts/bracket.step")` read from a folder on disk through the
+// File System Access API.  The CAD Worker asks for each file the first time a script imports
+// it; those files are then watched, and re-sent (re-running the script) when they change.
+
+let projectFolder = null; // The FileSystemDirectoryHandle picked with "Open Folder"
+let watchedFiles  = {};   // path -> lastModified of the version the CAD Worker has
+let watchTimer    = null;
+
+/** Asks the user for the project folder that `Import()` resolves relative paths against. */
+export async function openProjectFolder() {
+  if (!window.showDirectoryPicker) {
+    console.error("This browser can't open folders; Import() can still read files from URLs.");
+    return;
+  }
+  try {
+    projectFolder = await window.showDirectoryPicker();
+  } catch (e) { return; } // The picker was cancelled
+  watchedFiles  = {};
+  if (!watchTimer) { watchTimer = setInterval(checkForChanges, 1000); }
+  console.log("Opened the project folder \"" + projectFolder.name + "\"; Import() paths are relative to it.");
+  monacoEditor.evaluateCode();
+}
+
+/** Reads the file at `filePath` (relative to `projectFolder`; "/"-separated). */
+async function readProjectFile(filePath) {
+  let parts = filePath.split("/").filter((part) => part && part !== "."), directory = projectFolder;
+  for (let i = 0; i < parts.length - 1; i++) { directory = await directory.getDirectoryHandle(parts[i]); }
+  return (await directory.getFileHandle(parts[parts.length - 1])).getFile();
+}
+
+/** Sends `files` (path -> File) to the CAD Worker and runs the script again. */
+async function sendProjectFiles(files) {
+  let payload = {}, buffers = [];
+  for (let filePath in files) {
+    payload[filePath] = new Uint8Array(await files[filePath].arrayBuffer());
+    buffers.push(payload[filePath].buffer);
+    watchedFiles[filePath] = files[filePath].lastModified;
+  }
+  cascadeStudioWorker.postMessage({ type: "setProjectFiles", payload: payload }, buffers);
+  evaluateWhenIdle();
+}
+
+/** Runs the script again once the CAD Worker has finished its current evaluation. */
+function evaluateWhenIdle() {
+  if (workerWorking) { setTimeout(evaluateWhenIdle, 100); } else { monacoEditor.evaluateCode(); }
+}
+
+/** Re-sends the watched files that changed on disk since they were sent. */
+async function checkForChanges() {
+  if (!projectFolder) { return; }
+  let changed = {};
+  for (let filePath in watchedFiles) {
+    try {
+      let file = await readProjectFile(filePath);
+      if (file.lastModified !== watchedFiles[filePath]) { changed[filePath] = file; }
+    } catch (e) { /* Moved or deleted; the next evaluation reports it */ }
+  }
+  if (Object.keys(changed).length > 0) { sendProjectFiles(changed); }
+}
+
+messageHandlers["requestProjectFile"] = (filePath) => {
+  if (!projectFolder) {
+    console.error("Open a project folder to Import(\"" + filePath + "\").");
+    return;
+  }
+  readProjectFile(filePath).then((file) => sendProjectFiles({ [filePath]: file }), () => {
+    console.error("There's no " + filePath + " in the project folder \"" + projectFolder.name + "\".");
+  });
+};
@@ -1,9 +1,14 @@
 export const messageHandlers = {};
 
 export let monacoEditor = null;
+export let sceneTree = []; // The Parts, Assemblies, and shapes of the last render (see `meshSceneShapes()`)
 export let threejsViewport = {};
 export let workerWorking = false;
+export let workerCapabilities = {}; // What the CAD Worker's build of opencascade.js can do (see "capabilities")
+export let appSettings = { Timeout: 60, Workers: 1, "Merge STL Faces": false }; // The editor's own settings; kept in this browser, not in the projects' GUIState
 
 export const setMonacoEditor = newEditor => (monacoEditor = newEditor);
+export const setSceneTree = val => (sceneTree = val);
 export const setThreejsViewport = val => (threejsViewport = val);
 export const setWorkerWorking = val => (workerWorking = val);
+export const setWorkerCapabilities = val => (workerCapabilities = val);
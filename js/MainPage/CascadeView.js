@@ -1,24 +1,31 @@
 import * as THREE from "three";
-import { STLExporter } from "three/examples/jsm/exporters/STLExporter";
 import { OBJExporter } from "three/examples/jsm/exporters/OBJExporter";
 import { initializeHandleGizmos } from "./CascadeViewHandles";
+import { initializeRenderModes } from "./CascadeViewModes";
+import { initializeSectionPlanes } from "./CascadeViewSections";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
 import {
   messageHandlers,
-  setWorkerWorking,
-  threejsViewport
+  threejsViewport,
+  sceneTree
 } from "./CascadeState";
 import cascadeStudioWorker from "./CascadeWorkerInit";
+import { showExportDialog, saveExportedFiles } from "./CascadeExportDialog";
+import { exportGLTF } from "./CascadeGLTFExport";
+import { openProjectFolder } from "./CascadeProjectFolder";
+import { outlinerDisplay } from "./CascadeOutliner";
 import {
   getNewFileHandle,
   writeFile,
   loadProject,
   saveProject,
   loadFiles,
-  clearExternalFiles
+  clearExternalFiles,
+  clearGeometryCache,
+  finishEvaluation
 } from "./CascadeMain";
 // This file governs the 3D Viewport which displays the 3D Model
-// It is also in charge of saving to STL and OBJ
+// It is also in charge of saving to BREP, STL, OBJ, glTF, and DXF/SVG
 
 /** Create the base class for a 3D Viewport.
  *  This includes the floor, the grid, the fog, the camera, and lights */
@@ -27,12 +34,24 @@ function setupIdeButtonListeners() {
   document.getElementById("save-step").addEventListener("click", () => {
     threejsViewport.saveShapeSTEP();
   });
+  document.getElementById("save-brep").addEventListener("click", () => {
+    threejsViewport.saveShapeBREP();
+  });
   document.getElementById("save-stl").addEventListener("click", () => {
     threejsViewport.saveShapeSTL();
   });
+  document.getElementById("save-3mf").addEventListener("click", () => {
+    threejsViewport.saveShape3MF();
+  });
   document.getElementById("save-obj").addEventListener("click", () => {
     threejsViewport.saveShapeOBJ();
   });
+  document.getElementById("save-gltf").addEventListener("click", () => {
+    threejsViewport.saveShapeGLTF();
+  });
+  document.getElementById("save-drawing").addEventListener("click", () => {
+    threejsViewport.saveShapeDrawing();
+  });
   document.getElementById("load-project").addEventListener("click", () => {
     loadProject();
   });
@@ -42,14 +61,68 @@ function setupIdeButtonListeners() {
   document.getElementById("files").addEventListener("click", () => {
     loadFiles();
   });
+  document.getElementById("open-folder").addEventListener("click", () => {
+    openProjectFolder();
+  });
   document
     .getElementById("clear-external-files")
     .addEventListener("click", () => {
       clearExternalFiles();
     });
+  document
+    .getElementById("clear-geometry-cache")
+    .addEventListener("click", () => {
+      clearGeometryCache();
+    });
 }
 setupIdeButtonListeners();
 
+/** Returns the scene tree nodes (outermost first) containing the rendered face at `faceIndex`. */
+function sceneTreePath(nodes, faceIndex) {
+  let node = nodes.find((node) => node.faces[0] <= faceIndex && faceIndex < node.faces[1]);
+  return node ? [node].concat(sceneTreePath(node.children, faceIndex)) : [];
+}
+
+/** Whether `index` falls in one of the `[first, end)` `ranges`. */
+function inRanges(ranges, index) {
+  return ranges.some((range) => range[0] <= index && index < range[1]);
+}
+
+/** A name for a face `appearance` from the CAD Worker (see `shapeAppearance()`), like "ff8800_r20";
+ * it tells the appearances apart and names their materials in exports. */
+export function appearanceName(appearance) {
+  return ["color", "metalness", "roughness", "opacity"].filter((key) => key in appearance).map((key) =>
+    key === "color" ? appearance.color.replace("#", "") : key[0] + Math.round(appearance[key] * 100)).join("_");
+}
+
+/** The material that hover highlighting tints on `object` (the first, for multi-material meshes). */
+function hoverMaterial(object) {
+  return Array.isArray(object.material) ? object.material[0] : object.material;
+}
+
+/** This function adds the materials of the rendered `model` to the `obj` text from three.js's
+ * OBJExporter (whose "f" lines follow the model's triangles), returning `[obj, mtl]`. */
+function colorOBJ(obj, model, mtlFilename) {
+  let triangle = 0, currentMaterial = -1, lines = ["mtllib " + mtlFilename];
+  obj.split("\n").forEach((line) => {
+    if (line.startsWith("f ") && triangle < model.geometry.faces.length) {
+      let materialIndex = model.geometry.faces[triangle++].baseMaterialIndex;
+      if (materialIndex !== currentMaterial) { lines.push("usemtl " + model.material[materialIndex].name); currentMaterial = materialIndex; }
+    } else if (line.startsWith("o ")) {
+      currentMaterial = -1; // Each object starts without a material
+    }
+    lines.push(line);
+  });
+  let mtl = [];
+  model.material.slice(0, -1).forEach((material) => {
+    mtl.push("newmtl " + material.name, "Kd " + material.color.r + " " + material.color.g + " " + material.color.b);
+    let appearance = material.userData.appearance || {};
+    if ("opacity" in appearance) { mtl.push("d " + appearance.opacity); }
+    mtl.push("");
+  });
+  return [lines.join("\n"), mtl.join("\n")];
+}
+
 var Environment = function (goldenContainer) {
   this.goldenContainer = goldenContainer;
 
@@ -177,21 +250,64 @@ export function CascadeEnvironment (goldenContainer) {
                           polygonOffsetFactor: 2.0,
                           polygonOffsetUnits: 1.0
                         });
+  this.matcapMaterial.name = "Default";
+  // Faces selected in the Outliner
+  this.selectedMaterial = this.matcapMaterial.clone();
+  this.selectedMaterial.color = new THREE.Color(0x7fb2ff);
+  this.selectedMaterial.name  = "Selected";
+
+  /** Makes the material of the faces with this `appearance` (from `Color()` and `Material()`); shiny
+   * or rough ones are lit physically, the rest are tinted versions of the matcap material. */
+  this.appearanceMaterial = (appearance) => {
+    let material = "metalness" in appearance || "roughness" in appearance ?
+      new THREE.MeshStandardMaterial({
+        metalness: "metalness" in appearance ? appearance.metalness : 0.1,
+        roughness: "roughness" in appearance ? appearance.roughness : 0.6,
+        polygonOffset: true, polygonOffsetFactor: 2.0, polygonOffsetUnits: 1.0
+      }) : this.matcapMaterial.clone();
+    material.color = new THREE.Color(appearance.color || 0xf5f5f5);
+    if ("opacity" in appearance && appearance.opacity < 1) {
+      material.transparent = true;
+      material.opacity     = appearance.opacity;
+      material.depthWrite  = false;
+    }
+    material.name = appearanceName(appearance);
+    material.userData.appearance = appearance;
+    return material;
+  }
 
   // A callback to load the Triangulated Shape from the Worker and add it to the Scene
   messageHandlers["combineAndRenderShapes"] = ([facelist, edgelist]) => {
-    setWorkerWorking(false);   // Untick this flag to allow Evaluations again
+    finishEvaluation();        // Untick the `workerWorking` flag to allow Evaluations again
     if (!facelist) { return;}  // Do nothing if the results are null
 
     // The old mainObject is dead!  Long live the mainObject!
     this.environment.scene.remove(this.mainObject);
+    if (this.mainObject) {
+      let oldModel = this.mainObject.getObjectByName("Model Faces");
+      if (oldModel) {
+        (oldModel.userData.shadedMaterials || oldModel.material).slice(1, -1).forEach((material) => material.dispose());
+        (oldModel.userData.xrayMaterials || []).forEach((material) => material.dispose());
+      }
+    }
     this.mainObject            = new THREE.Group();
     this.mainObject.name       = "shape";
     this.mainObject.rotation.x = -Math.PI / 2;
 
     // Add Triangulated Faces to Object
     let vertices = []; let triangles = []; let vInd = 0; let globalFaceIndex = 0;
+    let materials = [this.matcapMaterial]; let materialIndices = {};
     facelist.forEach((face) => {
+      // Faces colored with Color() or Material() share a material per appearance
+      let materialIndex = 0;
+      if (face.appearance) {
+        let name = appearanceName(face.appearance);
+        if (!(name in materialIndices)) {
+          materialIndices[name] = materials.length;
+          materials.push(this.appearanceMaterial(face.appearance));
+        }
+        materialIndex = materialIndices[name];
+      }
       // Sort Vertices into three.js Vector3 List
       for (let i = 0; i < face.vertex_coord.length; i += 3) {
         vertices.push(new THREE.Vector3(face.vertex_coord[i    ],
@@ -210,8 +326,9 @@ export function CascadeEnvironment (goldenContainer) {
                        new THREE.Vector3(face.normal_coord[(face.tri_indexes[i + 2 ] * 3)    ], 
                                          face.normal_coord[(face.tri_indexes[i + 2 ] * 3) + 1], 
                                          face.normal_coord[(face.tri_indexes[i + 2 ] * 3) + 2])],
-                       new THREE.Color(face.face_index, globalFaceIndex, 0)
+                       new THREE.Color(face.face_index, globalFaceIndex, 0), materialIndex
         ));
+        triangles[triangles.length - 1].baseMaterialIndex = materialIndex;
       }
       globalFaceIndex++;
       vInd += face.vertex_coord.length / 3;
@@ -222,7 +339,8 @@ export function CascadeEnvironment (goldenContainer) {
     let geometry          = new THREE.Geometry();
         geometry.vertices = vertices;
         geometry.faces    = triangles;
-    let model = new THREE.Mesh(geometry, this.matcapMaterial);
+    materials.push(this.selectedMaterial);
+    let model = new THREE.Mesh(geometry, materials);
     model.castShadow = true;
     model.name = "Model Faces";
     this.mainObject.add(model);
@@ -289,12 +407,42 @@ export function CascadeEnvironment (goldenContainer) {
     this.boundingBox = new THREE.Box3().setFromObject(this.mainObject);
     this.fogDist = Math.max(this.fogDist, this.boundingBox.min.distanceTo(this.boundingBox.max)*1.5);
     this.environment.scene.fog = new THREE.Fog(this.environment.backgroundColor, this.fogDist, this.fogDist + 400);
+
+    // Show it as the Outliner, the render mode, and the section planes ask
+    this.applySceneDisplay(outlinerDisplay());
+    this.setRenderMode(this.renderMode);
     
     this.environment.scene.add(this.mainObject);
     this.environment.viewDirty = true;
     console.log("Generation Complete!");
   }
 
+  /** Hides and highlights the rendered faces and edges as the Outliner asks; `display` is
+   * `{ hiddenFaces, hiddenEdges, selectedFaces }` (see `outlinerDisplay()`). */
+  this.applySceneDisplay = (display) => {
+    if (!this.mainObject) { return; }
+    let model = this.mainObject.getObjectByName("Model Faces");
+    let line  = this.mainObject.getObjectByName("Model Edges");
+    if (model) {
+      // Hidden faces use a material index with no material; the selected material is the last
+      let hiddenIndex = model.material.length, selectedIndex = model.material.length - 1;
+      model.geometry.faces.forEach((face) => {
+        let globalFaceIndex = face.color.g;
+        face.materialIndex = inRanges(display.hiddenFaces, globalFaceIndex) ? hiddenIndex :
+          display.selectedFaces && inRanges([display.selectedFaces], globalFaceIndex) ? selectedIndex : face.baseMaterialIndex;
+      });
+      model.geometry.groupsNeedUpdate = true;
+    }
+    if (line) {
+      let visibleVertices = [];
+      line.globalEdgeIndices.forEach((globalEdgeIndex, vertex) => {
+        if (!inRanges(display.hiddenEdges, globalEdgeIndex)) { visibleVertices.push(vertex); }
+      });
+      line.geometry.setIndex(visibleVertices.length < line.globalEdgeIndices.length ? visibleVertices : null);
+    }
+    this.environment.viewDirty = true;
+  }
+
   /** Save the current shape to .stl */
   this.saveShapeSTEP = () => {
     // Ask the worker thread for a STEP file of the current space
@@ -309,28 +457,112 @@ export function CascadeEnvironment (goldenContainer) {
     };
   }
 
-  /**  Save the current shape to an ASCII .stl */
-  this.saveShapeSTL = async () => {
-    this.stlExporter = new STLExporter();
-    let result = this.stlExporter.parse(this.mainObject);
-    
-    const fileHandle = await getNewFileHandle("STL files", "text/plain", "stl");
-    writeFile(fileHandle, result).then(() => {
-      console.log("Saved STL to " + fileHandle.name);
+  /** Save the current shape to .brep */
+  this.saveShapeBREP = () => {
+    // Ask the worker thread for a BREP file of the current space
+    cascadeStudioWorker.postMessage({"type": "saveShapeBREP"});
+
+    // Receive the BREP file content from the Worker Thread
+    messageHandlers["saveShapeBREP"] = async (brepContent) => {
+      if (!brepContent) { return; } // The CAD Worker has logged why
+      const fileHandle = await getNewFileHandle("BREP files", "text/plain", "brep");
+      writeFile(fileHandle, brepContent).then(() => {
+        console.log("Saved BREP to " + fileHandle.name);
+      });
+    };
+  }
+
+  /**  Save the current shape to .stl; the CAD Worker triangulates it at the chosen tolerances */
+  this.saveShapeSTL = () => {
+    showExportDialog("Export STL", [
+      { name: "linearDeflection",  label: "Linear Deflection (mm)",    type: "number", value: 0.05, step: 0.01 },
+      { name: "angularDeflection", label: "Angular Deflection (°)",    type: "number", value: 15,   step: 1 },
+      { name: "binary",            label: "Binary (instead of ASCII)", type: "checkbox", value: true },
+      { name: "perSolid",          label: "One File per Solid",        type: "checkbox", value: false }
+    ], (options) => {
+      // Ask the worker thread for the STL file(s) of the current shape
+      cascadeStudioWorker.postMessage({ "type": "saveShapeSTL", payload: Object.assign({ filename: "CascadeStudioPart.stl" }, options) });
     });
+
+    // Receive the STL files from the Worker Thread
+    messageHandlers["saveShapeSTL"] = (response) => {
+      saveExportedFiles(response.files, "STL files", "model/stl", "stl");
+    };
+  }
+
+  /**  Save the scene shapes to .3mf, one named (and colored) object per shape */
+  this.saveShape3MF = () => {
+    showExportDialog("Export 3MF", [
+      { name: "linearDeflection",  label: "Linear Deflection (mm)", type: "number", value: 0.05, step: 0.01 },
+      { name: "angularDeflection", label: "Angular Deflection (°)", type: "number", value: 15,   step: 1 }
+    ], (options) => {
+      cascadeStudioWorker.postMessage({ "type": "saveShape3MF", payload: Object.assign({ filename: "CascadeStudioPart.3mf" }, options) });
+    });
+
+    // Receive the 3MF package from the Worker Thread
+    messageHandlers["saveShape3MF"] = (response) => {
+      saveExportedFiles(response.files, "3MF files", "model/3mf", "3mf");
+    };
   }
 
-  /**  Save the current shape to .obj */
+  /**  Save the current shape to .obj, with a .mtl file of its colors if it has any */
   this.saveShapeOBJ = async () => {
     this.objExporter = new OBJExporter();
+    let hiddenEdges = this.mainObject.getObjectByName("Hidden Edges"); // X-ray's copy of the edges
+    if (hiddenEdges) { this.mainObject.remove(hiddenEdges); }
     let result = this.objExporter.parse(this.mainObject);
-    
+    if (hiddenEdges) { this.mainObject.add(hiddenEdges); }
+
+    let model = this.mainObject.getObjectByName("Model Faces");
+    if (model && model.geometry.faces.some((face) => face.baseMaterialIndex > 0)) {
+      let [obj, mtl] = colorOBJ(result, model, "CascadeStudioPart.mtl");
+      saveExportedFiles([{ filename: "CascadeStudioPart.obj", content: obj },
+                         { filename: "CascadeStudioPart.mtl", content: mtl }], "OBJ files", "text/plain", "obj");
+      return;
+    }
+
     const fileHandle = await getNewFileHandle("OBJ files", "text/plain", "obj");
     writeFile(fileHandle, result).then(() => {
       console.log("Saved OBJ to " + fileHandle.name);
     });
   }
 
+  /**  Save the rendered model to .gltf/.glb (Y-up), with a primitive per face */
+  this.saveShapeGLTF = () => {
+    if (!this.mainObject) { console.error("There is no model to export yet!"); return; }
+    showExportDialog("Export glTF", [
+      { name: "binary",        label: "Binary (.glb)",           type: "checkbox", value: true },
+      { name: "includeEdges",  label: "Include Edges",           type: "checkbox", value: false },
+      { name: "metersPerUnit", label: "Scale (meters per unit)", type: "number",   value: 0.001, step: 0.001 }
+    ], async (options) => {
+      let file = await exportGLTF(this.mainObject, Object.assign({ sceneTree: sceneTree }, options));
+      saveExportedFiles([file], "glTF files", options.binary ? "model/gltf-binary" : "model/gltf+json",
+        options.binary ? "glb" : "gltf");
+    });
+  }
+
+  /**  Save a section or projection (hidden edges included) of the current shape to .dxf/.svg, keeping arcs and circles as true curves */
+  this.saveShapeDrawing = () => {
+    showExportDialog("Export DXF/SVG", [
+      { name: "format", label: "Format",                type: "select", value: "DXF",     choices: ["DXF", "SVG"] },
+      { name: "mode",   label: "Drawing",               type: "select", value: "Section", choices: ["Section", "Projection"] },
+      { name: "plane",  label: "Plane",                 type: "select", value: "XY",      choices: ["XY", "XZ", "YZ"] },
+      { name: "offset", label: "Section Offset (mm)",   type: "number", value: 0,         step: 1 }
+    ], (options) => {
+      let extension = options.format.toLowerCase();
+      cascadeStudioWorker.postMessage({ "type": "saveShapeDrawing", payload: {
+        format: extension, mode: options.mode.toLowerCase(), plane: options.plane, offset: options.offset,
+        filename: "CascadeStudioDrawing." + extension } });
+    });
+
+    // Receive the drawing from the Worker Thread
+    messageHandlers["saveShapeDrawing"] = (response) => {
+      if (response.files.length === 0) { return; }
+      let svg = response.files[0].filename.endsWith(".svg");
+      saveExportedFiles(response.files, svg ? "SVG files" : "DXF files", svg ? "image/svg+xml" : "image/vnd.dxf", svg ? "svg" : "dxf");
+    };
+  }
+
   /** Set up the the Mouse Move Callback */
   this.mouse = { x: 0, y: 0 };
   this.goldenContainer.getElement().get(0).addEventListener('mousemove', (event) => {
@@ -349,34 +581,36 @@ export function CascadeEnvironment (goldenContainer) {
     // are being drawn in a single drawcall.  This is also on the docket for refactoring.
     if (this.mainObject) {
       this.raycaster.setFromCamera(this.mouse, this.environment.camera);
-      let intersects = this.raycaster.intersectObjects(this.mainObject.children);
+      let intersects = this.raycaster.intersectObjects(this.mainObject.children.filter((child) =>
+        child.visible && child.name !== "Hidden Edges")).filter((hit) => !this.isClipped(hit.point));
       if (this.environment.controls.state < 0 && intersects.length > 0) {
         let isLine = intersects[0].object.type === "LineSegments";
-        let newIndex = isLine ? intersects[0].object.getEdgeMetadataAtLineIndex(intersects[0].index).localEdgeIndex : 
+        // Hidden edges are left out of the line's index, so its hits are positions in that index
+        let lineIndex = isLine && intersects[0].object.geometry.index ?
+          intersects[0].object.geometry.index.getX(intersects[0].index) : intersects[0].index;
+        let newIndex = isLine ? intersects[0].object.getEdgeMetadataAtLineIndex(lineIndex).localEdgeIndex : 
                                 intersects[0].face.color.r;
         if (this.highlightedObj != intersects[0].object || this.highlightedIndex !== newIndex) {
           if (this.highlightedObj) {
-            this.highlightedObj.material.color.setHex(this.highlightedObj.currentHex);
+            hoverMaterial(this.highlightedObj).color.setHex(this.highlightedObj.currentHex);
             if (this.highlightedObj && this.highlightedObj.clearHighlights) { this.highlightedObj.clearHighlights(); }
           }
           this.highlightedObj = intersects[0].object;
-          this.highlightedObj.currentHex = this.highlightedObj.material.color.getHex();
-          this.highlightedObj.material.color.setHex(0xffffff);
+          this.highlightedObj.currentHex = hoverMaterial(this.highlightedObj).color.getHex();
+          hoverMaterial(this.highlightedObj).color.setHex(0xffffff);
           this.highlightedIndex = newIndex;
-          if (isLine) { this.highlightedObj.highlightEdgeAtLineIndex(intersects[0].index); }
+          if (isLine) { this.highlightedObj.highlightEdgeAtLineIndex(lineIndex); }
           this.environment.viewDirty = true;
         }
 
         let indexHelper = (isLine ? "Edge" : "Face") + " Index: " + this.highlightedIndex;
+        if (!isLine) {
+          let names = sceneTreePath(sceneTree, intersects[0].face.color.g).map((node) => node.name);
+          if (names.length > 0) { indexHelper = names.join(" / ") + " - " + indexHelper; }
+        }
         this.goldenContainer.getElement().get(0).title = indexHelper;
       } else {
-        if (this.highlightedObj) {
-          this.highlightedObj.material.color.setHex(this.highlightedObj.currentHex);
-          if (this.highlightedObj.clearHighlights) { this.highlightedObj.clearHighlights(); }
-          this.environment.viewDirty = true;
-        }
-        
-        this.highlightedObj = null;
+        this.clearHoverHighlight();
         this.goldenContainer.getElement().get(0).title = "";
       }
     }
@@ -396,9 +630,25 @@ export function CascadeEnvironment (goldenContainer) {
     }
   };
   
+  /** Un-highlights the face or edge under the mouse, if there is one */
+  this.clearHoverHighlight = () => {
+    if (this.highlightedObj) {
+      hoverMaterial(this.highlightedObj).color.setHex(this.highlightedObj.currentHex);
+      if (this.highlightedObj.clearHighlights) { this.highlightedObj.clearHighlights(); }
+      this.environment.viewDirty = true;
+    }
+    this.highlightedObj = null;
+  }
+
   // Patch in the Handle Gizmo Code
   initializeHandleGizmos(this);
 
+  // Patch in the Render Modes and their toolbar
+  initializeRenderModes(this);
+
+  // Patch in the Section Planes
+  initializeSectionPlanes(this);
+
   this.animate();
   // Initialize the view in-case we're lazy rendering...
   this.environment.renderer.render(this.environment.scene, this.environment.camera);
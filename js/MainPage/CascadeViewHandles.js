@@ -9,7 +9,7 @@ export function initializeHandleGizmos(threejsViewport){
   /** Create a Transformation Gizmo in the Scene View */
   messageHandlers["createTransformHandle"] = function (payload) {
     if (payload.lineAndColumn[0] <= 0) {
-      console.error("Transform Gizmo not supported in this browser!  Use Chrome or Firefox!"); return null;
+      console.error("Transform Gizmo couldn't find its Transform() call in the code!"); return null;
     }
     let handle = new TransformControls(this.environment.camera,
       this.environment.renderer.domElement);
@@ -49,14 +49,17 @@ export function initializeHandleGizmos(threejsViewport){
         let scaleString = handle.placeHolder.scale.x.toFixed(2); // Use this properly later
         let updateString = "Transform(" + translateString + ", " + rotateString + ", " + scaleString + ",";
 
-        let fullSwapped = code[lineNum]
+        // Only rewrite this handle's own Transform() call, which starts at its column
+        let callStart = code[lineNum].slice(0, handle.lineAndColumn[1] - 1);
+        let callRest  = code[lineNum].slice(handle.lineAndColumn[1] - 1);
+        let fullSwapped = callRest
           .replace(/(Transform\(\[(.*?)\]\,\s*\[\[(.*?)\,(.*?)\,(.*?)\]\,(.*?)]\, (.*?)\,)/, updateString);
-        if (!code[lineNum].includes(updateString)) { // Only update if the transform has changed!
-          if (fullSwapped === code[lineNum]) {
-            code[lineNum] = code[lineNum]
-              .replace(/(Transform\()/g, updateString + " "); // Initialize all the arguments
+        if (!callRest.startsWith(updateString)) { // Only update if the transform has changed!
+          if (fullSwapped === callRest) {
+            code[lineNum] = callStart + callRest
+              .replace(/(Transform\()/, updateString + " "); // Initialize all the arguments
           } else {
-            code[lineNum] = fullSwapped;
+            code[lineNum] = callStart + fullSwapped;
           }
 
           let newCode = "";
@@ -0,0 +1,118 @@
+import * as THREE from "three";
+
+// This file handles the render modes of the CAD View and the toolbar that switches them:
+// shaded, shaded with edges, wireframe (edges only), and X-ray, where the faces are
+// see-through and the edges hidden behind them are drawn dashed.
+
+const renderModes = [
+  ["shaded",      "Shaded",    "Faces only"],
+  ["shadedEdges", "Edges",     "Faces and edges"],
+  ["wireframe",   "Wireframe", "Edges only"],
+  ["xray",        "X-Ray",     "See-through faces, with the hidden edges dashed"]
+];
+
+/** Returns the X-ray version of a face `material`: see-through, so it doesn't write depth and
+ * the faces behind it still show (the edges behind it are hidden by `addHiddenEdges()`'s depth pass). */
+function xrayMaterial(material) {
+  let xray = material.clone();
+  xray.transparent = true;
+  xray.opacity     = Math.min(material.opacity, 0.2);
+  xray.depthWrite  = false;
+  return xray;
+}
+
+/** Adds the dashed copy of the rendered `line` that X-ray mode draws where the faces hide it;
+ * it shares `line`'s geometry, so the edges hidden in the Outliner stay hidden.  The faces of
+ * `model` are drawn into the depth buffer only (before anything see-through), to tell which edges are hidden. */
+function addHiddenEdges(mainObject, line, model) {
+  // Dashes run along the edges, like `LineSegments.computeLineDistances()` (which ignores the index)
+  let positions = line.geometry.getAttribute("position"), distances = [0];
+  let start = new THREE.Vector3(), end = new THREE.Vector3();
+  for (let i = 0; i < positions.count; i += 2) {
+    start.fromBufferAttribute(positions, i); end.fromBufferAttribute(positions, i + 1);
+    distances[i] = i === 0 ? 0 : distances[i - 1];
+    distances[i + 1] = distances[i] + start.distanceTo(end);
+  }
+  line.geometry.setAttribute("lineDistance", new THREE.Float32BufferAttribute(distances, 1));
+
+  let hiddenLine = new THREE.LineSegments(line.geometry, new THREE.LineDashedMaterial({
+    color: 0x999999, dashSize: 1, gapSize: 1, transparent: true, opacity: 0.75, depthFunc: THREE.GreaterDepth }));
+  hiddenLine.name = "Hidden Edges";
+  hiddenLine.renderOrder = 1;
+
+  // A child of the hidden edges, so it's shown (and left out of picking and exports) along with them
+  let depthPass = new THREE.Mesh(model.geometry, new THREE.MeshBasicMaterial({ colorWrite: false }));
+  depthPass.name = "X-Ray Depth";
+  depthPass.renderOrder = -1;
+  hiddenLine.add(depthPass);
+
+  mainObject.add(hiddenLine);
+  return hiddenLine;
+}
+
+/** Returns a button for the CAD View's toolbar that calls `onClick`. */
+export function toolbarButton(label, title, onClick) {
+  let button = document.createElement("button");
+  button.innerText = label;
+  button.title = title;
+  button.style.marginRight = "2px";
+  button.style.border = "none";
+  button.style.padding = "2px 8px";
+  button.style.cursor = "pointer";
+  button.style.background = "#333";
+  button.style.color = "#ccc";
+  button.onclick = onClick;
+  return button;
+}
+
+/** Adds the render modes and their toolbar (`threejsViewport.toolbar`) to the Cascade View */
+export function initializeRenderModes(threejsViewport) {
+  threejsViewport.renderMode = "shadedEdges";
+
+  let toolbar = document.createElement("div");
+  toolbar.style.position = "absolute";
+  toolbar.style.left = "4px"; toolbar.style.bottom = "4px";
+  toolbar.style.fontFamily = "Consolas, monospace";
+  toolbar.style.fontSize = "12px";
+  let buttons = renderModes.map(([mode, label, title]) => {
+    let button = toolbarButton(label, title, () => { threejsViewport.setRenderMode(mode); });
+    toolbar.appendChild(button);
+    return [mode, button];
+  });
+  threejsViewport.goldenContainer.getElement().get(0).appendChild(toolbar);
+  threejsViewport.toolbar = toolbar;
+
+  /** Shows the rendered model in `mode` ("shaded", "shadedEdges", "wireframe", or "xray"). */
+  threejsViewport.setRenderMode = function (mode) {
+    this.renderMode = mode;
+    buttons.forEach(([buttonMode, button]) => {
+      button.style.background = buttonMode === mode ? "#4CAF50" : "#333";
+      button.style.color = buttonMode === mode ? "white" : "#ccc";
+    });
+    if (!this.mainObject) { return; }
+    let model = this.mainObject.getObjectByName("Model Faces");
+    let line  = this.mainObject.getObjectByName("Model Edges");
+    if (!model || !line) { return; }
+
+    this.clearHoverHighlight(); // The hovered object's material may be about to change
+
+    if (!model.userData.shadedMaterials) {
+      model.userData.shadedMaterials = model.material;
+      model.userData.xrayMaterials   = model.material.map(xrayMaterial);
+    }
+    let hiddenLine = this.mainObject.getObjectByName("Hidden Edges") || addHiddenEdges(this.mainObject, line, model);
+
+    model.material     = mode === "xray" ? model.userData.xrayMaterials : model.userData.shadedMaterials;
+    model.visible      = mode !== "wireframe";
+    line.visible       = mode !== "shaded";
+    hiddenLine.visible = mode === "xray";
+    // X-ray faces are drawn with the transparent objects; the edges come after them to be blended over them
+    line.material.transparent = mode === "xray";
+    line.material.needsUpdate = true;
+    line.renderOrder = mode === "xray" ? 1 : 0;
+    if (this.updateSectionPlanes) { this.updateSectionPlanes(); } // Clip the materials it switched to
+    this.environment.viewDirty = true;
+  }.bind(threejsViewport);
+
+  threejsViewport.setRenderMode(threejsViewport.renderMode);
+}
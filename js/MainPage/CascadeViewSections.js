@@ -0,0 +1,350 @@
+import * as THREE from "three";
+import { TransformControls } from "three/examples/jsm/controls/TransformControls";
+import cascadeStudioWorker from "./CascadeWorkerInit";
+import { messageHandlers, workerCapabilities } from "./CascadeState";
+import { showExportDialog, saveExportedFiles } from "./CascadeExportDialog";
+import { toolbarButton } from "./CascadeViewModes";
+
+// This file handles the section planes of the CAD View.  Each plane clips the model away on
+// the side its normal points from, and is moved and turned with a Transformation Gizmo (W and E
+// switch between them, like the script's handles).  The cut through the solids is capped with a
+// hatched face, using the stencil buffer to find where the plane is inside of the model (as in
+// three.js's "clipping stencil" example).  The exact section is computed by the CAD Worker.
+
+const maxSectionPlanes = 3;
+// The directions of the first, second, and third planes' normals, in OpenCascade's Z-up coordinates
+const sectionNormals = [
+  [0, 0, -1],
+  [0, 1, 0],
+  [-1, 0, 0]
+];
+
+/** The viewport's Y-up coordinates of a point or direction in OpenCascade's Z-up ones, and back */
+let toView = v => new THREE.Vector3(v[0], v[2], -v[1]);
+let fromView = v => [v.x, -v.z, v.y];
+
+/** Returns the diagonal hatching drawn on the cut faces. */
+function hatchTexture() {
+  let canvas = document.createElement("canvas");
+  canvas.width = canvas.height = 16;
+  let context = canvas.getContext("2d");
+  context.fillStyle = "#5a3d1a";
+  context.fillRect(0, 0, 16, 16);
+  context.strokeStyle = "#ffa64d";
+  context.lineWidth = 2;
+  context.beginPath();
+  context.moveTo(-4, 4);
+  context.lineTo(4, -4);
+  context.moveTo(0, 16);
+  context.lineTo(16, 0);
+  context.moveTo(12, 20);
+  context.lineTo(20, 12);
+  context.stroke();
+  let texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  return texture;
+}
+
+/** Returns the meshes that count, in the stencil buffer, how many surfaces of `geometry` lie in front
+ * of each pixel of `plane` (back faces up, front faces down); it is inside of the model where that's not zero. */
+function createStencilGroup(geometry, plane, renderOrder) {
+  let group = new THREE.Group();
+  [
+    [THREE.BackSide, THREE.IncrementWrapStencilOp],
+    [THREE.FrontSide, THREE.DecrementWrapStencilOp]
+  ].forEach(([side, stencilOp]) => {
+    let material = new THREE.MeshBasicMaterial({
+      side: side,
+      clippingPlanes: [plane],
+      depthWrite: false,
+      depthTest: false,
+      colorWrite: false,
+      stencilWrite: true,
+      stencilFunc: THREE.AlwaysStencilFunc,
+      stencilFail: stencilOp,
+      stencilZFail: stencilOp,
+      stencilZPass: stencilOp
+    });
+    let mesh = new THREE.Mesh(geometry, material);
+    mesh.renderOrder = renderOrder;
+    group.add(mesh);
+  });
+  return group;
+}
+
+/** Adds Section Plane Functionality to the Cascade View */
+export function initializeSectionPlanes(threejsViewport) {
+  threejsViewport.sectionPlanes = [];
+  threejsViewport.environment.renderer.localClippingEnabled = true;
+  let hatch = hatchTexture();
+
+  // The stencil meshes follow the model, but stay out of `mainObject` and its exports
+  let stencils = new THREE.Group();
+  stencils.rotation.x = -Math.PI / 2;
+  threejsViewport.environment.scene.add(stencils);
+
+  /** Add a section plane through the middle of the model (up to three, each along another axis). */
+  threejsViewport.addSectionPlane = function() {
+    if (!this.mainObject || !this.boundingBox) {
+      console.error("There is no model to section yet!");
+      return;
+    }
+    if (this.sectionPlanes.length >= maxSectionPlanes) {
+      console.error(
+        "There can only be " + maxSectionPlanes + " section planes."
+      );
+      return;
+    }
+    let section = { plane: new THREE.Plane() };
+
+    section.placeHolder = new THREE.Group();
+    this.boundingBox.getCenter(section.placeHolder.position);
+    section.placeHolder.quaternion.setFromUnitVectors(
+      new THREE.Vector3(0, 0, 1),
+      toView(sectionNormals[this.sectionPlanes.length])
+    );
+    this.environment.scene.add(section.placeHolder);
+
+    section.handle = new TransformControls(
+      this.environment.camera,
+      this.environment.renderer.domElement
+    );
+    section.handle.setMode(
+      this.gizmoMode === "rotate" ? "rotate" : "translate"
+    );
+    section.handle.setSpace("local");
+    section.handle.onChanged = event => {
+      this.environment.controls.enabled = !event.value;
+      this.environment.viewDirty = true;
+    };
+    section.handle.addEventListener(
+      "dragging-changed",
+      section.handle.onChanged
+    );
+    section.handle.addEventListener("objectChange", () => {
+      this.placeSectionPlanes();
+    });
+    section.handle.attach(section.placeHolder);
+    this.environment.scene.add(section.handle);
+
+    section.helper = new THREE.PlaneHelper(section.plane, 1, 0x4caf50);
+    this.environment.scene.add(section.helper);
+
+    // The cap draws the hatching wherever its plane is inside of the model, then resets the stencil
+    section.cap = new THREE.Mesh(
+      new THREE.PlaneBufferGeometry(1, 1),
+      new THREE.MeshBasicMaterial({
+        map: hatch,
+        side: THREE.DoubleSide,
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp
+      })
+    );
+    section.cap.onAfterRender = renderer => {
+      renderer.clearStencil();
+    };
+    this.environment.scene.add(section.cap);
+
+    this.sectionPlanes.push(section);
+    this.updateSectionPlanes();
+  }.bind(threejsViewport);
+
+  /** Remove all of the section planes. */
+  threejsViewport.clearSectionPlanes = function() {
+    this.sectionPlanes.forEach(section => {
+      section.handle.removeEventListener(
+        "dragging-changed",
+        section.handle.onChanged
+      );
+      section.handle.detach();
+      [
+        section.handle,
+        section.placeHolder,
+        section.helper,
+        section.cap
+      ].forEach(object => this.environment.scene.remove(object));
+      section.cap.geometry.dispose();
+      section.cap.material.dispose();
+    });
+    this.sectionPlanes = [];
+    this.environment.controls.enabled = true;
+    this.updateSectionPlanes();
+  }.bind(threejsViewport);
+
+  /** Whether the section planes clip away this `point` (in the viewport's coordinates). */
+  threejsViewport.isClipped = function(point) {
+    return this.sectionPlanes.some(
+      section => section.plane.distanceToPoint(point) < 0
+    );
+  }.bind(threejsViewport);
+
+  /** Moves the planes (which the materials clip with) and their caps to their gizmos. */
+  threejsViewport.placeSectionPlanes = function() {
+    let size = this.boundingBox
+      ? this.boundingBox.min.distanceTo(this.boundingBox.max) * 2 + 1
+      : 1;
+    this.sectionPlanes.forEach(section => {
+      section.plane.setFromNormalAndCoplanarPoint(
+        new THREE.Vector3(0, 0, 1).applyQuaternion(
+          section.placeHolder.quaternion
+        ),
+        section.placeHolder.position
+      );
+      section.helper.size = size;
+      section.cap.scale.set(size, size, 1);
+      section.cap.position.copy(section.placeHolder.position);
+      section.cap.lookAt(
+        section.cap.position.clone().sub(section.plane.normal)
+      );
+      section.cap.material.map.repeat.set(size / 2, size / 2);
+    });
+    this.environment.viewDirty = true;
+  }.bind(threejsViewport);
+
+  /** Clips (and caps) the rendered model with the section planes; called again whenever
+   * the planes change, or the model is rendered or its render mode changes. */
+  threejsViewport.updateSectionPlanes = function() {
+    this.placeSectionPlanes();
+    let planes = this.sectionPlanes.map(section => section.plane);
+
+    let model =
+      this.mainObject && this.mainObject.getObjectByName("Model Faces");
+    if (model) {
+      // Clip the faces and edges (every material they may switch to, and X-ray's depth pass) with all of the planes
+      let materials = (model.userData.shadedMaterials || model.material).concat(
+        model.userData.xrayMaterials || []
+      );
+      ["Model Edges", "Hidden Edges", "X-Ray Depth"].forEach(name => {
+        let object = this.mainObject.getObjectByName(name);
+        if (object) {
+          materials.push(object.material);
+        }
+      });
+      materials.forEach(material => {
+        if ((material.clippingPlanes || []).length !== planes.length) {
+          material.needsUpdate = true;
+        }
+        material.clippingPlanes = planes;
+      });
+
+      // Rebuild the stencil meshes for this model; each plane's cap is clipped by the other planes
+      stencils.children.forEach(group =>
+        group.children.forEach(mesh => mesh.material.dispose())
+      );
+      stencils.remove(...stencils.children);
+      this.sectionPlanes.forEach((section, index) => {
+        stencils.add(
+          createStencilGroup(model.geometry, section.plane, index + 1)
+        );
+        section.cap.renderOrder = index + 1.1;
+        section.cap.material.clippingPlanes = planes.filter(
+          plane => plane !== section.plane
+        );
+        section.cap.material.needsUpdate = true;
+        section.cap.visible = model.visible;
+      });
+    }
+    this.environment.viewDirty = true;
+  }.bind(threejsViewport);
+
+  /** Save the exact section through one of the section planes to .dxf/.svg; the CAD Worker cuts it
+   * (exactly only if its build of opencascade.js includes `BRepAlgoAPI_Section`) */
+  threejsViewport.saveSectionDrawing = function() {
+    if (this.sectionPlanes.length === 0) {
+      console.error("Add a section plane to export its section!");
+      return;
+    }
+    let fields = [
+      {
+        name: "format",
+        label: "Format",
+        type: "select",
+        value: "DXF",
+        choices: ["DXF", "SVG"]
+      }
+    ];
+    if (workerCapabilities.exactSection) {
+      fields.push({
+        name: "exact",
+        label: "Exact Curves (BRepAlgoAPI_Section)",
+        type: "checkbox",
+        value: true
+      });
+    }
+    if (this.sectionPlanes.length > 1) {
+      fields.push({
+        name: "plane",
+        label: "Section Plane",
+        type: "select",
+        value: "1",
+        choices: this.sectionPlanes.map((section, index) => String(index + 1))
+      });
+    }
+    showExportDialog("Export Section", fields, options => {
+      let section = this.sectionPlanes[(parseInt(options.plane) || 1) - 1];
+      let extension = options.format.toLowerCase();
+      cascadeStudioWorker.postMessage({
+        type: "saveShapeDrawing",
+        payload: {
+          format: extension,
+          mode: "section",
+          exact: options.exact,
+          origin: fromView(section.placeHolder.position),
+          normal: fromView(section.plane.normal),
+          filename: "CascadeStudioSection." + extension
+        }
+      });
+    });
+
+    // Receive the drawing from the Worker Thread
+    messageHandlers["saveShapeDrawing"] = response => {
+      if (response.files.length === 0) {
+        return;
+      }
+      let svg = response.files[0].filename.endsWith(".svg");
+      saveExportedFiles(
+        response.files,
+        svg ? "SVG files" : "DXF files",
+        svg ? "image/svg+xml" : "image/vnd.dxf",
+        svg ? "svg" : "dxf"
+      );
+    };
+  }.bind(threejsViewport);
+
+  /** Keep the section gizmos in the handles' mode (they can't be scaled) */
+  window.addEventListener(
+    "keydown",
+    function() {
+      this.sectionPlanes.forEach(section => {
+        section.handle.setMode(
+          this.gizmoMode === "rotate" ? "rotate" : "translate"
+        );
+      });
+    }.bind(threejsViewport)
+  );
+
+  let spacer = document.createElement("span");
+  spacer.style.marginRight = "8px";
+  threejsViewport.toolbar.appendChild(spacer);
+  threejsViewport.toolbar.appendChild(
+    toolbarButton("Section", "Add a section plane", () =>
+      threejsViewport.addSectionPlane()
+    )
+  );
+  threejsViewport.toolbar.appendChild(
+    toolbarButton("Clear", "Remove the section planes", () =>
+      threejsViewport.clearSectionPlanes()
+    )
+  );
+  threejsViewport.toolbar.appendChild(
+    toolbarButton(
+      "Export Section",
+      "Save the section as a DXF or SVG drawing",
+      () => threejsViewport.saveSectionDrawing()
+    )
+  );
+}
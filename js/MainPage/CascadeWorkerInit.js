@@ -3,7 +3,7 @@ import Worker from "worker-loader!../CADWorker/CascadeStudioMainWorker.js";
 
 // Begins loading the CAD Kernel Web Worker
 let cascadeStudioWorker;
-if (window.Worker) {
+function startWorker() {
   cascadeStudioWorker = new Worker();
   // Ping Pong Messages Back and Forth based on their registration in messageHandlers
   cascadeStudioWorker.onmessage = function(e) {
@@ -16,7 +16,17 @@ if (window.Worker) {
         });
       }
     }
-  }
+  };
+}
+if (window.Worker) {
+  startWorker();
+}
+
+/** Terminates the CAD Kernel Web Worker (even mid-evaluation) and starts a fresh one.
+ *  The new worker posts "startupCallback" once it has loaded. */
+export function restartWorker() {
+  cascadeStudioWorker.terminate();
+  startWorker();
 }
 
-export default cascadeStudioWorker;
+export { cascadeStudioWorker as default };
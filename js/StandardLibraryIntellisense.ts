@@ -3,9 +3,18 @@
  * @example```sceneShapes.push(externalShapes['myStep.step']);``` */
 var sceneShapes: oc.TopoDS_Shape[];
 
+/** An imported part; the parts of a STEP assembly are nested in `children` by name. */
+interface ImportedShape extends oc.TopoDS_Shape {
+  name?: string;
+  color?: number[];
+  faceColors?: { [faceIndex: number]: number[] };
+  children?: { [name: string]: ImportedShape };
+}
+
 /** The dictionary that stores all of your imported STEP and IGES files.  Push to sceneShapes to render in the view! 
- * @example```sceneShapes.push(externalShapes['myStep.step']);``` */
-var externalShapes: { [filename: string]: oc.TopoDS_Shape };
+ * The parts of STEP files are in `children`, by their product names.
+ * @example```sceneShapes.push(externalShapes['myStep.step'].children['Bolt_M3']);``` */
+var externalShapes: { [filename: string]: ImportedShape };
 
 /** Type definition for Int */
 type integer = number;
@@ -95,6 +104,12 @@ function Difference(mainBody: oc.TopoDS_Shape, objectsToSubtract: oc.TopoDS_Shap
  * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
  * @example```let roundedBox = Intersection([Box(50, 50, 50, true), Sphere(38)]);```*/
 function Intersection(objectsToIntersect: oc.TopoDS_Shape[], keepObjects?: boolean, fuzzValue?: number, keepEdges?: boolean): oc.TopoDS_Shape;
+/** Cuts `shape` with the plane through `origin` (default `[0, 0, 0]`) facing `normal` (default `[0, 0, 1]`),
+ * returning the faces where the plane passes through its solids.
+ * The original shape is removed unless `keepShape` is true.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```let crossSection = Section(Sphere(38), [0, 0, 10], [0, 0, 1]);```*/
+function Section(shape: oc.TopoDS_Shape, origin?: number[], normal?: number[], keepShape?: boolean): oc.TopoDS_Shape;
 /** Removes internal, unused edges from the insides of faces on this shape.  Keeps the model clean.
  * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
  * @example```let cleanPart = RemoveInternalEdges(part);```*/
@@ -209,16 +224,70 @@ function FilletEdges(shape: oc.TopoDS_Shape, radius: number, edgeList: number[],
  * @example```ChamferEdges(shape, 1, [0,1,2,7]);``` */
 function ChamferEdges(shape: oc.TopoDS_Shape, distance: number, edgeList: number[], keepOriginal?:boolean): oc.TopoDS_Shape;
 
+/** Where a `Part()` or `Assembly()` sits in its parent: moved by `translation` after turning `rotation[1]` degrees about the axis `rotation[0]`. */
+interface Placement { translation?: number[], rotation?: [number[], number] }
+/** Group the shapes that `build` adds to the scene into a named part, which STEP, 3MF, and glTF export as one object.
+ * Parts show up in the Outliner panel and in the viewport's hover title.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```Part("Bracket", () => { Box(10, 20, 5); Cylinder(2, 10); }, { translation: [0, 0, 5] });``` */
+function Part(name: string, build: () => void, placement?: Placement): oc.TopoDS_Shape;
+/** Group the parts (and shapes) that `build` adds to the scene into a named assembly; assemblies may nest.
+ * STEP export keeps the assembly structure, so it opens as an assembly in other CAD applications.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```Assembly("Robot", () => { Part("Arm", () => { Box(2, 2, 20); }, { rotation: [[0, 1, 0], 30] }); Part("Base", () => { Cylinder(10, 3); }); });``` */
+function Assembly(name: string, build: () => void, placement?: Placement): oc.TopoDS_Shape;
+
+/** Import a STEP, IGES, STL, DXF, SVG or BREP file from a URL or from the project folder (see "Open Folder").
+ * The file is parsed again only when its contents change; edits on disk re-run the script.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioFileUtils.js)
+ * @example```let bracket = Translate([0, 0, 10], Import("parts/bracket.step"));``` */
+function Import(filePath: string): oc.TopoDS_Shape;
+
+/** Name this shape; exports such as STEP and 3MF label the shape's product or object with it.
+ * The name stays with this shape (and its `Translate`d, `Rotate`d and `Scale`d copies), so name the result of other ops.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```let bracket = Name(Box(10, 20, 5), "Bracket");``` */
+function Name(shape: oc.TopoDS_Shape, name: string): oc.TopoDS_Shape;
+
+/** Color this shape in the viewport and in the STEP, 3MF, OBJ and glTF exports; the shapes of a
+ * colored Part or Assembly take its color unless they have their own.  The color stays with this shape (and its
+ * `Translate`d, `Rotate`d and `Scale`d copies); booleans and other ops make new, uncolored shapes, so color their result.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```let bracket = Color(Box(10, 20, 5), "#ff8800");``` */
+function Color(shape: oc.TopoDS_Shape, color: string | number | number[]): oc.TopoDS_Shape;
+
+/** Set how this shape looks: its `color`, and its `metalness`, `roughness`, and `opacity` (from 0 to 1).
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```let lens = Material(Sphere(10), { color: "#88ccff", roughness: 0.1, opacity: 0.5 });``` */
+function Material(shape: oc.TopoDS_Shape, material: { color?: string | number | number[], metalness?: number, roughness?: number, opacity?: number }): oc.TopoDS_Shape;
+
+/** Make this shape see-through in the viewport (and the exports that keep opacity), to look at the features inside of it.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```let housing = Transparent(Difference(Box(20, 20, 20), [Cylinder(5, 30)]), 0.25);``` */
+function Transparent(shape: oc.TopoDS_Shape, opacity?: number): oc.TopoDS_Shape;
+
 /** Download this file URL through the browser.  Use this to export information from the CAD engine.
  * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
  * @example```SaveFile("myInfo.txt", URL.createObjectURL( new Blob(["Hello, Harddrive!"], { type: 'text/plain' }) ));``` */
 function SaveFile(filename: string, fileURL: string): void;
+/** Download a flat DXF drawing (in millimeters) of a planar face or wire, e.g. from `Section()`.
+ * Lines, arcs, and circles are kept as true curves.  Shapes that aren't planar are projected onto
+ * the plane facing `normal`; hidden edges aren't removed, so every edge (the back's too) is drawn.  Guard it with a `Checkbox()` so it doesn't download on every evaluation.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```if (Checkbox("Export DXF")) { SaveDXF(Section(part, [0, 0, 5], [0, 0, 1], true), "plate.dxf"); }``` */
+function SaveDXF(shape: oc.TopoDS_Shape, filename?: string, normal?: number[]): void;
+/** Download a flat SVG drawing (in millimeters) of a planar face or wire; see `SaveDXF()`.
+ * Projections of shapes that aren't planar draw every edge, including the hidden ones.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
+ * @example```if (Checkbox("Export SVG")) { SaveSVG(Section(part, [0, 0, 5], [0, 0, 1], true), "plate.svg"); }``` */
+function SaveSVG(shape: oc.TopoDS_Shape, filename?: string, normal?: number[]): void;
 
 /** Explicitly Cache the result of this operation so that it can return instantly next time it is called with the same arguments.
- * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
- * @example```let box = CacheOp(arguments, () => { return new oc.BRepPrimAPI_MakeBox(x, y, z).Shape(); });``` */
-function CacheOp(arguments: IArguments, cacheMiss: () => oc.TopoDS_Shape): oc.TopoDS_Shape;
+ * Input shapes are identified by their `.hash`, so chains of cached operations are invalidated together.
+ * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardUtils.js)
+ * @example```let box = CacheOp(MyBox, arguments, () => { return new oc.BRepPrimAPI_MakeBox(x, y, z).Shape(); });``` */
+function CacheOp(callee: Function, args: IArguments, cacheMiss: () => oc.TopoDS_Shape): oc.TopoDS_Shape;
  /** Remove this object from this array.  Useful for preventing objects being added to `sceneShapes` (in cached functions).
  * [Source](https://github.com/zalo/CascadeStudio/blob/master/js/CADWorker/CascadeStudioStandardLibrary.js)
- * @example```let box = CacheOp(arguments, () => { let box = Box(x,y,z); sceneShapes = Remove(sceneShapes, box); return box; });``` */
+ * @example```let box = CacheOp(MyBox, arguments, () => { let box = Box(x,y,z); sceneShapes = Remove(sceneShapes, box); return box; });``` */
 function RemoveFromSceneShapes(toRemove: any): any[];
@@ -0,0 +1,37 @@
+const webpack = require("webpack");
+const path = require("path");
+
+// Builds the Node.js (headless) entry points; see js/Headless/
+const config = {
+  target: "node",
+  entry: {
+    headless: "./js/Headless/CascadeStudioHeadless.js",
+    cascadestudio: "./js/Headless/CascadeStudioCLI.js"
+  },
+  output: {
+    path: path.resolve(__dirname, "dist"),
+    filename: "[name].node.js",
+    publicPath: "",
+    libraryTarget: "commonjs2"
+  },
+  module: {
+    rules: [
+      {
+        test: /opencascade\.wasm\.wasm$/,
+        type: "javascript/auto",
+        loader: "file-loader"
+      }
+    ]
+  },
+  plugins: [
+    // Make the command line tool directly executable
+    new webpack.BannerPlugin({ banner: "#!/usr/bin/env node", raw: true, include: /cascadestudio/ })
+  ],
+  node: {
+    // Keep the real paths so the .wasm and the fonts can be found at runtime
+    __dirname: false,
+    __filename: false
+  }
+};
+
+module.exports = config;